@@ -3,6 +3,10 @@
 async function fetchJSON(url, options) {
     const res = await fetch(url, options);
     const contentType = res.headers.get('content-type') || '';
+    if (res.status === 401) {
+        showLoginScreen();
+        throw new Error('Your session has ended; sign in again');
+    }
     if (!res.ok) {
         let bodyText = '';
         try { bodyText = await res.text(); } catch {}
@@ -15,6 +19,54 @@ async function fetchJSON(url, options) {
     return res.json();
 }
 
+// Sent with every change the dashboard makes, so the audit log records it
+// as coming from the UI rather than the REST API
+const DASHBOARD_HEADERS = { 'X-Client': 'dashboard' };
+
+// The signed-in user, from /api/auth/me. Roles build on each other: a clerk
+// can do everything a viewer can, and a manager everything a clerk can.
+let currentUser = null;
+const ROLES = ['viewer', 'clerk', 'manager'];
+
+function can(role) {
+    return currentUser !== null && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+// Hide the controls marked data-min-role that the signed-in user can't use
+function applyRole() {
+    document.getElementById('user-name').textContent = `Signed in as ${currentUser.username} (${currentUser.role})`;
+    document.querySelectorAll('[data-min-role]').forEach(el => {
+        el.hidden = !can(el.dataset.minRole);
+    });
+}
+
+// The shop's currency (the currency setting), loaded from /api/config
+let shopCurrency = 'USD';
+
+function formatMoney(amount, digits = 2) {
+    return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: shopCurrency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(amount);
+}
+
+// Put the currency symbol in the price field labels
+function showCurrency() {
+    const symbol = new Intl.NumberFormat(undefined, { style: 'currency', currency: shopCurrency })
+        .formatToParts(0)
+        .find(part => part.type === 'currency').value;
+    document.querySelectorAll('.currency-symbol').forEach(el => {
+        el.textContent = symbol;
+    });
+}
+
+// Margin percentages are null when there is nothing to divide by
+function formatMargin(marginPct) {
+    return marginPct === null || marginPct === undefined ? '-' : `${marginPct.toFixed(1)}%`;
+}
+
 document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => {
         const tabName = btn.dataset.tab;
@@ -36,51 +88,170 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
             loadWeeklySales();
         } else if (tabName === 'costs') {
             loadAverageCosts();
+        } else if (tabName === 'inventory') {
+            loadLowStock();
+        } else if (tabName === 'customers') {
+            loadCustomers();
+            loadTopCustomers();
         } else if (tabName === 'ask') {
             // no-op; user will submit a question
         }
     });
 });
 
-// Load all products
-async function loadProducts(filters = {}) {
+// Product types, including retired ones, keyed by name. Loaded from the
+// API so the dropdowns follow the shop's own types and categories.
+let productTypes = {};
+
+// Replace a <select>'s options, after an optional placeholder like "All Types"
+function fillSelect(select, entries, placeholder) {
+    const options = entries.map(entry => `<option value="${entry.name}">${entry.label}</option>`).join('');
+    select.innerHTML = (placeholder ? `<option value="">${placeholder}</option>` : '') + options;
+}
+
+async function loadProductTypes() {
+    const data = await fetchJSON('/api/types?include_retired=true');
+    if (!data.success) return;
+
+    productTypes = Object.fromEntries(data.product_types.map(type => [type.name, type]));
+    const active = data.product_types.filter(type => !type.retired_at);
+
+    fillSelect(document.getElementById('filter-type'), data.product_types, 'All Types');
+    fillSelect(document.getElementById('sales-filter-type'), data.product_types, 'All Products');
+    fillSelect(document.getElementById('top-customers-type'), data.product_types, 'All Types');
+    fillSelect(document.getElementById('add-type'), active, 'Select Type');
+    fillSelect(document.getElementById('edit-type'), active);
+}
+
+// Fill a category <select> with the active categories of a type. current,
+// when given, stays selectable even if it has been retired.
+async function loadCategoryOptions(select, type, current) {
+    if (!type) {
+        fillSelect(select, [], 'Select a type first');
+        return;
+    }
+
+    const data = await fetchJSON(`/api/categories?type=${encodeURIComponent(type)}`);
+    const categories = data.success ? data.categories : [];
+    if (current && !categories.some(category => category.name === current)) {
+        categories.push({ name: current, label: current });
+    }
+    fillSelect(select, categories, current ? '' : 'Select Category');
+    if (current) select.value = current;
+}
+
+document.getElementById('add-type').addEventListener('change', (e) => {
+    loadCategoryOptions(document.getElementById('add-category'), e.target.value);
+});
+
+document.getElementById('edit-type').addEventListener('change', (e) => {
+    loadCategoryOptions(document.getElementById('edit-category'), e.target.value);
+});
+
+const PRODUCTS_PAGE_SIZE = 24;
+const SEARCH_RESULTS_LIMIT = 48;
+
+// The filters, sort and page the products tab is showing, so reloading after
+// an edit stays on the same page
+let productQuery = { sort: 'name', direction: 'asc' };
+let productOffset = 0;
+
+function renderProductsPager(data) {
+    const pager = document.getElementById('products-pager');
+    if (data.total <= data.limit) {
+        pager.innerHTML = '';
+        return;
+    }
+
+    const previousOffset = Math.max(data.offset - data.limit, 0);
+    pager.innerHTML = `
+        <button onclick="loadProducts(productQuery, ${previousOffset})" ${data.offset === 0 ? 'disabled' : ''}>Previous</button>
+        <span>${data.offset + 1}-${data.offset + data.count} of ${data.total}</span>
+        <button onclick="loadProducts(productQuery, ${data.next_offset})" ${data.next_offset === null ? 'disabled' : ''}>Next</button>
+    `;
+}
+
+// Load one page of products
+async function loadProducts(query = productQuery, offset = productOffset) {
     const productsList = document.getElementById('products-list');
     productsList.innerHTML = '<div class="loading">Loading products...</div>';
+    productQuery = query;
+    productOffset = offset;
     
     try {
-        const params = new URLSearchParams(filters);
-        const data = await fetchJSON(`/api/products?${params}`);
+        // Search text goes to the ranked search, best matches first;
+        // otherwise the catalog is paged in the chosen sort order
+        let data;
+        if (query.search) {
+            const params = new URLSearchParams({ query: query.search, limit: SEARCH_RESULTS_LIMIT });
+            if (query.type) params.set('type', query.type);
+            if (query.include_archived) params.set('include_archived', 'true');
+            data = await fetchJSON(`/api/search?${params}`);
+        } else {
+            const params = new URLSearchParams({ ...query, limit: PRODUCTS_PAGE_SIZE, offset });
+            data = await fetchJSON(`/api/products?${params}`);
+        }
         
         if (data.success) {
+            // The last product on the last page was deleted; step back a page
+            if (data.products.length === 0 && offset > 0) {
+                return loadProducts(query, Math.max(offset - PRODUCTS_PAGE_SIZE, 0));
+            }
+
+            if (query.search) {
+                document.getElementById('products-pager').innerHTML = data.total > data.count
+                    ? `<span>Best ${data.count} of ${data.total} matches</span>`
+                    : '';
+            } else {
+                renderProductsPager(data);
+            }
             if (data.products.length === 0) {
                 productsList.innerHTML = '<div class="error">No products found.</div>';
                 return;
             }
             
             productsList.innerHTML = data.products.map(product => `
-                <div class="product-card">
+                <div class="product-card ${product.archived_at ? 'archived' : ''}">
                     <div class="product-header">
                         <div class="product-name">${product.name}</div>
-                        <span class="product-badge badge-${product.type}">${product.type}</span>
+                        <span class="product-badge badge-${product.type}">${product.archived_at ? 'archived' : product.type}</span>
                     </div>
+                    ${product.description ? `<div class="product-description">${product.description}</div>` : ''}
                     <div class="product-info">
                         <strong>Category:</strong> ${product.category}
                     </div>
                     <div class="product-info">
-                        <strong>Cost:</strong> $${product.cost.toFixed(2)}
+                        <strong>Unit Cost:</strong> ${formatMoney(product.unit_cost)}
                     </div>
                     <div class="product-info">
-                        <strong>Sales/Day:</strong> ${product.sales_per_day}
+                        <strong>Retail Price:</strong> ${formatMoney(product.retail_price)}
+                    </div>
+                    <div class="product-info">
+                        <strong>Margin:</strong> ${formatMargin(product.margin_pct)}
+                    </div>
+                    <div class="product-info">
+                        <strong>In Stock:</strong> ${product.quantity_on_hand}
+                    </div>
+                    <div class="product-info">
+                        <strong>Sales/Day:</strong> ${product.sales_per_day.toFixed(1)}
                     </div>
                     <div class="product-info">
                         <strong>Weekly Sales:</strong> ${(product.sales_per_day * 7).toFixed(1)}
                     </div>
                     <div class="product-info">
-                        <strong>Weekly Revenue:</strong> $${(product.sales_per_day * 7 * product.cost).toFixed(2)}
+                        <strong>Weekly Revenue:</strong> ${formatMoney(product.sales_per_day * 7 * product.retail_price)}
                     </div>
                     <div class="product-actions">
-                        <button class="btn-edit" onclick="openEditModal(${product.id})">Edit</button>
-                        <button class="btn-delete" onclick="deleteProduct(${product.id})">Delete</button>
+                        ${product.archived_at ? (can('manager') ? `
+                            <button class="btn-edit" onclick="restoreProduct(${product.id})">Restore</button>
+                            <button class="btn-delete" onclick="purgeProduct(${product.id})">Delete Permanently</button>
+                        ` : '') : `
+                            ${can('clerk') ? `<button class="btn-edit" onclick="recordSale(${product.id})">Record Sale</button>` : ''}
+                            ${can('manager') ? `
+                                <button class="btn-edit" onclick="openEditModal(${product.id})">Edit</button>
+                                <button class="btn-delete" onclick="deleteProduct(${product.id})">Delete</button>
+                            ` : ''}
+                        `}
                     </div>
                 </div>
             `).join('');
@@ -92,22 +263,32 @@ async function loadProducts(filters = {}) {
     }
 }
 
-// Filter products
+// Search, filter and sort products, starting again from the first page
 function filterProducts() {
-    const name = document.getElementById('filter-name').value;
+    const search = document.getElementById('filter-name').value.trim();
     const type = document.getElementById('filter-type').value;
+    const [sort, direction] = document.getElementById('sort-products').value.split(':');
     
-    const filters = {};
-    if (name) filters.name = name;
-    if (type) filters.type = type;
+    const query = { sort, direction };
+    if (search) query.search = search;
+    if (type) query.type = type;
+    if (document.getElementById('filter-archived').checked) query.include_archived = true;
     
-    loadProducts(filters);
+    loadProducts(query, 0);
 }
 
+document.getElementById('filter-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        filterProducts();
+    }
+});
+
 function clearFilters() {
     document.getElementById('filter-name').value = '';
     document.getElementById('filter-type').value = '';
-    loadProducts();
+    document.getElementById('sort-products').value = 'name:asc';
+    document.getElementById('filter-archived').checked = false;
+    filterProducts();
 }
 
 // Load weekly sales
@@ -132,10 +313,20 @@ async function loadWeeklySales() {
                 </div>
                 <div class="summary-card">
                     <h3>Total Weekly Revenue</h3>
-                    <div class="value">$${data.total_weekly_revenue.toFixed(2)}</div>
+                    <div class="value">${formatMoney(data.total_weekly_revenue)}</div>
+                </div>
+                <div class="summary-card">
+                    <h3>Gross Profit</h3>
+                    <div class="value">${formatMoney(data.total_gross_profit)}</div>
+                </div>
+                <div class="summary-card">
+                    <h3>Margin</h3>
+                    <div class="value">${formatMargin(data.margin_pct)}</div>
                 </div>
             `;
             
+            loadSalesTrend();
+
             // Sales table
             if (data.products.length === 0) {
                 salesList.innerHTML = '<div class="error">No sales data found.</div>';
@@ -151,8 +342,11 @@ async function loadWeeklySales() {
                             <th>Category</th>
                             <th>Daily Sales</th>
                             <th>Weekly Sales</th>
-                            <th>Cost</th>
+                            <th>Unit Cost</th>
+                            <th>Retail Price</th>
                             <th>Weekly Revenue</th>
+                            <th>Gross Profit</th>
+                            <th>Margin</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -161,10 +355,13 @@ async function loadWeeklySales() {
                                 <td>${product.name}</td>
                                 <td><span class="product-badge badge-${product.type}">${product.type}</span></td>
                                 <td>${product.category}</td>
-                                <td>${product.sales_per_day}</td>
+                                <td>${product.sales_per_day.toFixed(1)}</td>
                                 <td>${product.weekly_sales.toFixed(1)}</td>
-                                <td>$${product.cost.toFixed(2)}</td>
-                                <td><strong>$${product.weekly_revenue.toFixed(2)}</strong></td>
+                                <td>${formatMoney(product.unit_cost)}</td>
+                                <td>${formatMoney(product.retail_price)}</td>
+                                <td><strong>${formatMoney(product.weekly_revenue)}</strong></td>
+                                <td>${formatMoney(product.gross_profit)}</td>
+                                <td>${formatMargin(product.margin_pct)}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -178,6 +375,90 @@ async function loadWeeklySales() {
     }
 }
 
+// "+12.5%" in green, "-3.0%" in red, or "-" when there is nothing to compare with
+function formatChange(changePct) {
+    if (changePct === null || changePct === undefined) return '-';
+    const className = changePct >= 0 ? 'trend-up' : 'trend-down';
+    return `<span class="${className}">${changePct >= 0 ? '+' : ''}${changePct.toFixed(1)}%</span>`;
+}
+
+// Draw one series of trend buckets as an SVG line chart
+function renderLineChart(buckets, valueKey, formatValue) {
+    const width = 600;
+    const height = 220;
+    const pad = { top: 15, right: 15, bottom: 30, left: 60 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const values = buckets.map(bucket => bucket[valueKey]);
+    const max = Math.max(...values, 0) || 1;
+    const x = index => pad.left + (buckets.length === 1 ? plotWidth / 2 : (index / (buckets.length - 1)) * plotWidth);
+    const y = value => pad.top + plotHeight - (value / max) * plotHeight;
+
+    const points = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+    const gridLines = [0, 0.5, 1].map(fraction => `
+        <line class="grid-line" x1="${pad.left}" x2="${width - pad.right}" y1="${y(max * fraction)}" y2="${y(max * fraction)}" />
+        <text class="axis-label" x="${pad.left - 8}" y="${y(max * fraction) + 4}" text-anchor="end">${formatValue(max * fraction)}</text>
+    `).join('');
+
+    // Label at most about six buckets so the dates don't overlap
+    const labelEvery = Math.ceil(buckets.length / 6);
+    const dateLabels = buckets.map((bucket, index) => index % labelEvery === 0 ? `
+        <text class="axis-label" x="${x(index)}" y="${height - 8}" text-anchor="middle">${bucket.period_start.slice(5)}</text>
+    ` : '').join('');
+
+    const dots = buckets.map((bucket, index) => `
+        <circle class="trend-point" cx="${x(index)}" cy="${y(bucket[valueKey])}" r="3">
+            <title>${bucket.period_start}: ${formatValue(bucket[valueKey])}</title>
+        </circle>
+    `).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" role="img">
+            ${gridLines}
+            <polyline class="trend-line" points="${points.join(' ')}" />
+            ${dots}
+            ${dateLabels}
+        </svg>
+    `;
+}
+
+// Load the sales trend for the type selected on the Sales Analytics tab
+async function loadSalesTrend() {
+    const trend = document.getElementById('sales-trend');
+    const type = document.getElementById('sales-filter-type').value;
+    const interval = document.getElementById('trend-interval').value;
+
+    trend.innerHTML = '<div class="loading">Loading sales trend...</div>';
+
+    try {
+        const params = new URLSearchParams({ interval });
+        if (type) params.set('type', type);
+        const data = await fetchJSON(`/api/sales/trend?${params}`);
+
+        if (!data.success) {
+            trend.innerHTML = `<div class="error">Error: ${data.error}</div>`;
+            return;
+        }
+
+        const comparedTo = `vs ${data.previous_period.from} to ${data.previous_period.to}`;
+        trend.innerHTML = `
+            <div class="trend-chart">
+                <h3>Units Sold</h3>
+                <div class="trend-change">${data.totals.units} units, ${formatChange(data.change.units_pct)} ${comparedTo}</div>
+                ${renderLineChart(data.buckets, 'units', value => Math.round(value).toString())}
+            </div>
+            <div class="trend-chart">
+                <h3>Revenue</h3>
+                <div class="trend-change">${formatMoney(data.totals.revenue)}, ${formatChange(data.change.revenue_pct)} ${comparedTo}</div>
+                ${renderLineChart(data.buckets, 'revenue', value => formatMoney(value, 0))}
+            </div>
+        `;
+    } catch (error) {
+        trend.innerHTML = `<div class="error">Error loading sales trend: ${error.message}</div>`;
+    }
+}
+
 // Load average costs
 async function loadAverageCosts() {
     const costsList = document.getElementById('costs-list');
@@ -201,16 +482,28 @@ async function loadAverageCosts() {
                             <div class="value">${item.product_count}</div>
                         </div>
                         <div class="cost-stat">
-                            <label>Average Cost</label>
-                            <div class="value">$${item.avg_cost.toFixed(2)}</div>
+                            <label>Avg Unit Cost</label>
+                            <div class="value">${formatMoney(item.avg_unit_cost)}</div>
                         </div>
                         <div class="cost-stat">
-                            <label>Min Cost</label>
-                            <div class="value">$${item.min_cost.toFixed(2)}</div>
+                            <label>Avg Retail Price</label>
+                            <div class="value">${formatMoney(item.avg_retail_price)}</div>
                         </div>
                         <div class="cost-stat">
-                            <label>Max Cost</label>
-                            <div class="value">$${item.max_cost.toFixed(2)}</div>
+                            <label>Unit Cost Range</label>
+                            <div class="value">${formatMoney(item.min_unit_cost)} - ${formatMoney(item.max_unit_cost)}</div>
+                        </div>
+                        <div class="cost-stat">
+                            <label>Weekly Revenue</label>
+                            <div class="value">${formatMoney(item.weekly_revenue)}</div>
+                        </div>
+                        <div class="cost-stat">
+                            <label>Weekly Gross Profit</label>
+                            <div class="value">${formatMoney(item.gross_profit)}</div>
+                        </div>
+                        <div class="cost-stat">
+                            <label>Margin</label>
+                            <div class="value">${formatMargin(item.margin_pct)}</div>
                         </div>
                         <div class="cost-stat" style="grid-column: 1 / -1;">
                             <label>Total Daily Sales</label>
@@ -227,22 +520,393 @@ async function loadAverageCosts() {
     }
 }
 
+// Load products that need reordering
+async function loadLowStock() {
+    const lowStockList = document.getElementById('low-stock-list');
+    const days = document.getElementById('low-stock-days').value;
+    lowStockList.innerHTML = '<div class="loading">Loading stock levels...</div>';
+
+    try {
+        const params = days ? `?days=${days}` : '';
+        const data = await fetchJSON(`/api/inventory/low-stock${params}`);
+
+        if (data.success) {
+            if (data.products.length === 0) {
+                lowStockList.innerHTML = '<div class="success">Every product has enough stock.</div>';
+                return;
+            }
+
+            lowStockList.innerHTML = `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Product</th>
+                            <th>Type</th>
+                            <th>In Stock</th>
+                            <th>Reorder Point</th>
+                            <th>Sales/Day</th>
+                            <th>Days of Cover</th>
+                            <th>Suggested Order</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.products.map(product => `
+                            <tr>
+                                <td>${product.name}</td>
+                                <td><span class="product-badge badge-${product.type}">${product.type}</span></td>
+                                <td>${product.quantity_on_hand}</td>
+                                <td>${product.reorder_point}</td>
+                                <td>${product.sales_per_day.toFixed(1)}</td>
+                                <td>${product.days_of_cover === null ? 'No recent sales' : product.days_of_cover.toFixed(1)}</td>
+                                <td><strong>${product.suggested_order_quantity}</strong></td>
+                                <td>${can('clerk') ? `<button class="btn-edit" onclick="receiveStock(${product.id}, ${product.suggested_order_quantity})">Receive</button>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } else {
+            lowStockList.innerHTML = `<div class="error">Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        lowStockList.innerHTML = `<div class="error">Error loading stock levels: ${error.message}</div>`;
+    }
+}
+
+// Receive goods into stock
+async function receiveStock(productId, suggestedQuantity) {
+    const input = prompt('How many units were received?', String(suggestedQuantity || 1));
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/inventory/receive', {
+            method: 'POST',
+            headers: {
+                ...DASHBOARD_HEADERS,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ product_id: productId, quantity: parseInt(input, 10) })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            loadLowStock();
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        alert(`Error receiving stock: ${error.message}`);
+    }
+}
+
+// Customer details are typed in by clerks, so they are escaped before they
+// go into the page
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// SQLite timestamps are UTC, written 'YYYY-MM-DD HH:MM:SS'
+function formatTimestamp(value, withTime = false) {
+    if (!value) return '-';
+    const date = new Date(value.replace(' ', 'T') + 'Z');
+    return withTime ? date.toLocaleString() : date.toLocaleDateString();
+}
+
+function formatConsent(customer) {
+    const channels = [customer.email_consent && 'Email', customer.sms_consent && 'SMS'].filter(Boolean);
+    return channels.length ? channels.join(', ') : 'None';
+}
+
+// Load customers, filtered by the search box
+async function loadCustomers() {
+    const customersList = document.getElementById('customers-list');
+    const search = document.getElementById('customer-search').value.trim();
+    customersList.innerHTML = '<div class="loading">Loading customers...</div>';
+
+    try {
+        const params = search ? `?search=${encodeURIComponent(search)}` : '';
+        const data = await fetchJSON(`/api/customers${params}`);
+
+        if (data.success) {
+            if (data.customers.length === 0) {
+                customersList.innerHTML = `<div class="error">${search ? 'No customers match your search.' : 'No customers yet.'}</div>`;
+                return;
+            }
+
+            customersList.innerHTML = `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Email</th>
+                            <th>Phone</th>
+                            <th>Purchases</th>
+                            <th>Lifetime Value</th>
+                            <th>Last Purchase</th>
+                            <th>Marketing</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.customers.map(customer => `
+                            <tr class="clickable" onclick="openCustomerModal(${customer.id})">
+                                <td><strong>${escapeHtml(customer.name)}</strong></td>
+                                <td>${escapeHtml(customer.email) || '-'}</td>
+                                <td>${escapeHtml(customer.phone) || '-'}</td>
+                                <td>${customer.purchase_count}</td>
+                                <td>${formatMoney(customer.lifetime_value)}</td>
+                                <td>${formatTimestamp(customer.last_purchase_at)}</td>
+                                <td>${formatConsent(customer)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } else {
+            customersList.innerHTML = `<div class="error">Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        customersList.innerHTML = `<div class="error">Error loading customers: ${error.message}</div>`;
+    }
+}
+
+document.getElementById('customer-search').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        loadCustomers();
+    }
+});
+
+// The customers who buy the most of the chosen type
+async function loadTopCustomers() {
+    const topList = document.getElementById('top-customers-list');
+    const type = document.getElementById('top-customers-type').value;
+    const by = document.getElementById('top-customers-by').value;
+    topList.innerHTML = '<div class="loading">Loading top customers...</div>';
+
+    try {
+        const params = new URLSearchParams({ by });
+        if (type) params.set('type', type);
+        const data = await fetchJSON(`/api/customers/top?${params}`);
+
+        if (data.success) {
+            if (data.customers.length === 0) {
+                topList.innerHTML = '<div class="error">No purchases by known customers yet.</div>';
+                return;
+            }
+
+            topList.innerHTML = `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Customer</th>
+                            <th>Purchases</th>
+                            <th>Units</th>
+                            <th>Revenue</th>
+                            <th>Gross Profit</th>
+                            <th>Last Purchase</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.customers.map((customer, index) => `
+                            <tr class="clickable" onclick="openCustomerModal(${customer.id})">
+                                <td>${index + 1}</td>
+                                <td><strong>${escapeHtml(customer.name)}</strong></td>
+                                <td>${customer.purchase_count}</td>
+                                <td>${customer.units}</td>
+                                <td>${formatMoney(customer.revenue)}</td>
+                                <td>${formatMoney(customer.gross_profit)}</td>
+                                <td>${formatTimestamp(customer.last_purchase_at)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } else {
+            topList.innerHTML = `<div class="error">Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        topList.innerHTML = `<div class="error">Error loading top customers: ${error.message}</div>`;
+    }
+}
+
+// Open the customer modal: empty to add a customer, or with a customer's
+// details and purchases. Only clerks and managers can save it.
+async function openCustomerModal(customerId) {
+    const form = document.getElementById('customer-form');
+    const history = document.getElementById('customer-history');
+    form.reset();
+    form.querySelectorAll('input, textarea').forEach(input => {
+        input.disabled = !can('clerk');
+    });
+    document.getElementById('customer-id').value = customerId || '';
+    document.getElementById('customer-consent-updated').textContent = '';
+
+    if (!customerId) {
+        document.getElementById('customer-modal-title').textContent = 'Add Customer';
+        history.hidden = true;
+        document.getElementById('customer-modal').classList.add('active');
+        return;
+    }
+
+    try {
+        const data = await fetchJSON(`/api/customers/${customerId}`);
+        if (!data.success) {
+            alert(`Error: ${data.error}`);
+            return;
+        }
+
+        const customer = data.customer;
+        document.getElementById('customer-modal-title').textContent = customer.name;
+        document.getElementById('customer-name').value = customer.name;
+        document.getElementById('customer-email').value = customer.email || '';
+        document.getElementById('customer-phone').value = customer.phone || '';
+        document.getElementById('customer-notes').value = customer.notes || '';
+        document.getElementById('customer-email-consent').checked = customer.email_consent;
+        document.getElementById('customer-sms-consent').checked = customer.sms_consent;
+        if (customer.consent_updated_at) {
+            document.getElementById('customer-consent-updated').textContent =
+                `Consent last changed ${formatTimestamp(customer.consent_updated_at, true)}`;
+        }
+
+        document.getElementById('customer-summary').innerHTML = `
+            <div class="summary-card">
+                <h3>Lifetime Value</h3>
+                <div class="value">${formatMoney(customer.lifetime_value)}</div>
+            </div>
+            <div class="summary-card">
+                <h3>Purchases</h3>
+                <div class="value">${customer.purchase_count}</div>
+            </div>
+            ${customer.by_type.slice(0, 2).map(type => `
+                <div class="summary-card">
+                    <h3>${productTypes[type.type]?.label || type.type || 'Other'}</h3>
+                    <div class="value">${formatMoney(type.revenue)}</div>
+                </div>
+            `).join('')}
+        `;
+        history.hidden = false;
+        document.getElementById('customer-modal').classList.add('active');
+        loadCustomerPurchases(customer.id);
+    } catch (error) {
+        alert(`Error loading customer: ${error.message}`);
+    }
+}
+
+// Show the customer's most recent purchases in the customer modal
+async function loadCustomerPurchases(customerId) {
+    const purchases = document.getElementById('customer-purchases');
+    purchases.innerHTML = '<div class="loading">Loading purchases...</div>';
+
+    try {
+        const data = await fetchJSON(`/api/customers/${customerId}/purchases?limit=50`);
+        if (data.sales.length === 0) {
+            purchases.innerHTML = '<p class="history-empty">No purchases recorded.</p>';
+            return;
+        }
+
+        purchases.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Product</th>
+                        <th>Quantity</th>
+                        <th>Unit Price</th>
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.sales.map(sale => `
+                        <tr>
+                            <td>${formatTimestamp(sale.sold_at)}</td>
+                            <td>${sale.product_name}</td>
+                            <td>${sale.quantity}</td>
+                            <td>${formatMoney(sale.unit_price)}</td>
+                            <td>${formatMoney(sale.total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        purchases.innerHTML = `<div class="error">Error loading purchases: ${error.message}</div>`;
+    }
+}
+
+function closeCustomerModal() {
+    document.getElementById('customer-modal').classList.remove('active');
+}
+
+document.getElementById('customer-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'customer-modal') {
+        closeCustomerModal();
+    }
+});
+
+// Add or update a customer. Empty contact fields are sent as empty strings,
+// which clear them on an existing customer.
+document.getElementById('customer-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const customerId = document.getElementById('customer-id').value;
+    const customer = {
+        name: document.getElementById('customer-name').value,
+        email: document.getElementById('customer-email').value.trim(),
+        phone: document.getElementById('customer-phone').value.trim(),
+        notes: document.getElementById('customer-notes').value,
+        email_consent: document.getElementById('customer-email-consent').checked,
+        sms_consent: document.getElementById('customer-sms-consent').checked
+    };
+
+    try {
+        const response = await fetch(customerId ? `/api/customers/${customerId}` : '/api/customers', {
+            method: customerId ? 'PUT' : 'POST',
+            headers: {
+                ...DASHBOARD_HEADERS,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(customer)
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            closeCustomerModal();
+            loadCustomers();
+            loadTopCustomers();
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        alert(`Error saving customer: ${error.message}`);
+    }
+});
+
 // Add product form
 document.getElementById('add-product-form').addEventListener('submit', async (e) => {
     e.preventDefault();
     
     const product = {
         name: document.getElementById('add-name').value,
+        description: document.getElementById('add-description').value,
         type: document.getElementById('add-type').value,
         category: document.getElementById('add-category').value,
-        cost: parseFloat(document.getElementById('add-cost').value),
-        sales_per_day: parseFloat(document.getElementById('add-sales').value)
+        unit_cost: parseFloat(document.getElementById('add-unit-cost').value),
+        retail_price: parseFloat(document.getElementById('add-retail-price').value),
+        quantity_on_hand: parseInt(document.getElementById('add-stock').value || '0', 10),
+        reorder_point: parseInt(document.getElementById('add-reorder-point').value || '0', 10),
+        reorder_quantity: parseInt(document.getElementById('add-reorder-quantity').value || '0', 10)
     };
     
     try {
         const response = await fetch('/api/products', {
             method: 'POST',
             headers: {
+                ...DASHBOARD_HEADERS,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(product)
@@ -258,6 +922,7 @@ document.getElementById('add-product-form').addEventListener('submit', async (e)
             
             // Reset form
             form.reset();
+            loadCategoryOptions(document.getElementById('add-category'), '');
             
             // Reload products list
             loadProducts();
@@ -281,20 +946,33 @@ document.getElementById('add-product-form').addEventListener('submit', async (e)
 // Open edit modal
 async function openEditModal(productId) {
     try {
-        const data = await fetchJSON(`/api/products`);
+        const data = await fetchJSON(`/api/products/${productId}`);
         
         if (data.success) {
-            const product = data.products.find(p => p.id === productId);
+            const product = data.product;
             
             if (product) {
                 document.getElementById('edit-id').value = product.id;
                 document.getElementById('edit-name').value = product.name;
-                document.getElementById('edit-type').value = product.type;
-                document.getElementById('edit-category').value = product.category;
-                document.getElementById('edit-cost').value = product.cost;
-                document.getElementById('edit-sales').value = product.sales_per_day;
+                document.getElementById('edit-description').value = product.description;
+                // A retired type stays selectable for the product that has it
+                const editType = document.getElementById('edit-type');
+                if (![...editType.options].some(option => option.value === product.type)) {
+                    editType.insertAdjacentHTML('beforeend', `<option value="${product.type}">${productTypes[product.type]?.label || product.type}</option>`);
+                }
+                editType.value = product.type;
+                editType.dataset.original = product.type;
+                const editCategory = document.getElementById('edit-category');
+                await loadCategoryOptions(editCategory, product.type, product.category);
+                editCategory.dataset.original = product.category;
+                document.getElementById('edit-unit-cost').value = product.unit_cost;
+                document.getElementById('edit-retail-price').value = product.retail_price;
+                document.getElementById('edit-stock').value = product.quantity_on_hand;
+                document.getElementById('edit-reorder-point').value = product.reorder_point;
+                document.getElementById('edit-reorder-quantity').value = product.reorder_quantity;
                 
                 document.getElementById('edit-modal').classList.add('active');
+                loadProductHistory(product.id);
             }
         }
     } catch (error) {
@@ -302,6 +980,47 @@ async function openEditModal(productId) {
     }
 }
 
+const HISTORY_ACTIONS = { create: 'Created', update: 'Updated', archive: 'Deleted', restore: 'Restored', delete: 'Purged' };
+const HISTORY_SOURCES = { mcp: 'MCP', rest: 'REST API', ui: 'Dashboard', system: 'System' };
+
+function formatHistoryValue(value) {
+    return value === null || value === '' ? '<em>none</em>' : value;
+}
+
+// Show the product's recorded changes, newest first, in the edit modal
+async function loadProductHistory(productId) {
+    const history = document.getElementById('edit-history');
+    history.innerHTML = '<div class="loading">Loading history...</div>';
+
+    try {
+        const data = await fetchJSON(`/api/products/${productId}/history?limit=20`);
+        if (data.entries.length === 0) {
+            history.innerHTML = '<p class="history-empty">No recorded changes.</p>';
+            return;
+        }
+
+        history.innerHTML = data.entries.map(entry => {
+            const changes = entry.action === 'update'
+                ? Object.entries(entry.changes).map(([field, change]) => `
+                    <li>${field.replace(/_/g, ' ')}: ${formatHistoryValue(change.from)} &rarr; ${formatHistoryValue(change.to)}</li>
+                `).join('')
+                : '';
+            return `
+                <div class="history-entry">
+                    <div class="history-meta">
+                        <strong>${HISTORY_ACTIONS[entry.action] || entry.action}</strong>
+                        via ${HISTORY_SOURCES[entry.source] || entry.source}
+                        <span class="history-date">${new Date(entry.changed_at.replace(' ', 'T') + 'Z').toLocaleString()}</span>
+                    </div>
+                    ${changes ? `<ul>${changes}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        history.innerHTML = `<div class="error">Error loading history: ${error.message}</div>`;
+    }
+}
+
 // Close edit modal
 function closeEditModal() {
     document.getElementById('edit-modal').classList.remove('active');
@@ -325,21 +1044,34 @@ document.getElementById('edit-product-form').addEventListener('submit', async (e
     const updates = {};
     
     const name = document.getElementById('edit-name').value;
+    const description = document.getElementById('edit-description').value;
     const type = document.getElementById('edit-type').value;
     const category = document.getElementById('edit-category').value;
-    const cost = document.getElementById('edit-cost').value;
-    const sales = document.getElementById('edit-sales').value;
+    const unitCost = document.getElementById('edit-unit-cost').value;
+    const retailPrice = document.getElementById('edit-retail-price').value;
+    const stock = document.getElementById('edit-stock').value;
+    const reorderPoint = document.getElementById('edit-reorder-point').value;
+    const reorderQuantity = document.getElementById('edit-reorder-quantity').value;
     
     if (name) updates.name = name;
-    if (type) updates.type = type;
-    if (category) updates.category = category;
-    if (cost) updates.cost = parseFloat(cost);
-    if (sales) updates.sales_per_day = parseFloat(sales);
+    updates.description = description;
+    // Only send the type and category when they changed, so a product in a
+    // retired category can still be edited otherwise
+    const editType = document.getElementById('edit-type');
+    const editCategory = document.getElementById('edit-category');
+    if (type && type !== editType.dataset.original) updates.type = type;
+    if (category && (updates.type || category !== editCategory.dataset.original)) updates.category = category;
+    if (unitCost) updates.unit_cost = parseFloat(unitCost);
+    if (retailPrice) updates.retail_price = parseFloat(retailPrice);
+    if (stock) updates.quantity_on_hand = parseInt(stock, 10);
+    if (reorderPoint) updates.reorder_point = parseInt(reorderPoint, 10);
+    if (reorderQuantity) updates.reorder_quantity = parseInt(reorderQuantity, 10);
     
     try {
         const response = await fetch(`/api/products/${productId}`, {
             method: 'PUT',
             headers: {
+                ...DASHBOARD_HEADERS,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(updates)
@@ -369,26 +1101,181 @@ document.getElementById('edit-product-form').addEventListener('submit', async (e
 });
 
 // Delete product
-async function deleteProduct(productId) {
-    if (!confirm('Are you sure you want to delete this product?')) {
+// Download the products matching the current type and archived filters as CSV
+function exportProductsCsv() {
+    const params = new URLSearchParams({ format: 'csv' });
+    if (productQuery.type) params.set('type', productQuery.type);
+    if (productQuery.include_archived) params.set('include_archived', 'true');
+    window.location = `/api/products/export?${params}`;
+}
+
+function showProductsMessage(message) {
+    const productsTab = document.getElementById('products-tab');
+    productsTab.insertAdjacentHTML('afterbegin', `<div class="success">${message}</div>`);
+    setTimeout(() => {
+        const successMsg = productsTab.querySelector('.success');
+        if (successMsg) successMsg.remove();
+    }, 3000);
+}
+
+// Import a CSV price list: preview it with a dry run, then import it if
+// every row is valid and the user confirms
+document.getElementById('import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
         return;
     }
-    
+
+    const importCsv = async (dryRun) => {
+        const response = await fetch('/api/products/import', {
+            method: 'POST',
+            headers: { ...DASHBOARD_HEADERS, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ format: 'csv', data: await file.text(), dry_run: dryRun })
+        });
+        return response.json();
+    };
+
+    try {
+        const preview = await importCsv(true);
+        if (!preview.success) {
+            alert(`Error: ${preview.error}`);
+            return;
+        }
+        if (preview.failed > 0) {
+            const problems = preview.rows
+                .filter(row => row.errors)
+                .map(row => `Line ${row.line}: ${row.errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+            alert(`${preview.failed} of ${preview.total} rows have errors, so nothing was imported:\n\n${problems.join('\n')}`);
+            return;
+        }
+        if (!confirm(`Import ${file.name}?\n\n${preview.created} new, ${preview.updated} updated, ${preview.unchanged} unchanged`)) {
+            return;
+        }
+
+        const data = await importCsv(false);
+        if (data.success) {
+            loadProducts();
+            showProductsMessage(`Imported ${data.created} new and ${data.updated} updated products.`);
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        alert(`Error importing products: ${error.message}`);
+    }
+});
+
+const UNDO_TOAST_MS = 8000;
+let toastTimer = null;
+
+// A message at the bottom of the page with an Undo button, for a few seconds
+function showUndoToast(message, undo) {
+    const toast = document.getElementById('toast');
+    toast.innerHTML = `<span>${message}</span><button>Undo</button>`;
+    toast.querySelector('button').addEventListener('click', () => {
+        hideToast();
+        undo();
+    });
+    toast.classList.add('active');
+
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, UNDO_TOAST_MS);
+}
+
+function hideToast() {
+    document.getElementById('toast').classList.remove('active');
+}
+
+// Deleting archives the product, so it can be undone from the toast
+async function deleteProduct(productId) {
     try {
         const response = await fetch(`/api/products/${productId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: DASHBOARD_HEADERS
         });
         const data = await response.json();
         
         if (data.success) {
             loadProducts();
-            
+            showUndoToast(`${data.deleted_product.name} deleted.`, () => restoreProduct(productId));
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        alert(`Error deleting product: ${error.message}`);
+    }
+}
+
+async function restoreProduct(productId) {
+    try {
+        const response = await fetch(`/api/products/${productId}/restore`, {
+            method: 'POST',
+            headers: DASHBOARD_HEADERS
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            loadProducts();
+            showProductsMessage(`${data.product.name} restored.`);
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        alert(`Error restoring product: ${error.message}`);
+    }
+}
+
+// Hard delete of an archived product; this one cannot be undone
+async function purgeProduct(productId) {
+    if (!confirm('Permanently delete this product? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/products/${productId}/purge`, {
+            method: 'POST',
+            headers: DASHBOARD_HEADERS
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            loadProducts();
+            showProductsMessage(`${data.purged_product.name} permanently deleted.`);
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        alert(`Error deleting product: ${error.message}`);
+    }
+}
+
+// Record a sale of one product
+async function recordSale(productId) {
+    const input = prompt('How many units were sold?', '1');
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/sales', {
+            method: 'POST',
+            headers: {
+                ...DASHBOARD_HEADERS,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ product_id: productId, quantity: parseInt(input, 10) })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            loadProducts();
+
             // Show success message
             const productsTab = document.getElementById('products-tab');
             productsTab.insertAdjacentHTML('afterbegin', `
-                <div class="success">Product deleted successfully!</div>
+                <div class="success">Sale recorded successfully!</div>
             `);
-            
+
             setTimeout(() => {
                 const successMsg = productsTab.querySelector('.success');
                 if (successMsg) successMsg.remove();
@@ -397,14 +1284,130 @@ async function deleteProduct(productId) {
             alert(`Error: ${data.error}`);
         }
     } catch (error) {
-        alert(`Error deleting product: ${error.message}`);
+        alert(`Error recording sale: ${error.message}`);
+    }
+}
+
+// Sign-in screen. With no accounts yet it creates the first manager instead.
+let needsSetup = false;
+
+function showLoginScreen(setup = false) {
+    currentUser = null;
+    needsSetup = setup;
+    document.getElementById('login-title').textContent = setup ? 'Create the manager account' : 'Sign in';
+    document.getElementById('login-hint').textContent = setup
+        ? 'There are no accounts yet. Choose a username and a password of at least 8 characters for the first manager.'
+        : '';
+    document.getElementById('login-submit').textContent = setup ? 'Create account' : 'Sign in';
+    document.getElementById('login-password').autocomplete = setup ? 'new-password' : 'current-password';
+    document.getElementById('login-error').hidden = true;
+    document.getElementById('login-screen').classList.add('active');
+}
+
+// Load the dashboard for the signed-in user, starting on the products tab
+function startDashboard(user) {
+    currentUser = user;
+    document.getElementById('login-screen').classList.remove('active');
+    applyRole();
+    loadProductTypes();
+    document.querySelector('.tab-btn[data-tab="products"]').click();
+}
+
+document.getElementById('login-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorBox = document.getElementById('login-error');
+
+    try {
+        const response = await fetch(needsSetup ? '/api/auth/setup' : '/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value.trim(),
+                password: document.getElementById('login-password').value
+            })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            document.getElementById('login-form').reset();
+            startDashboard(data.user);
+        } else {
+            errorBox.textContent = data.details?.length
+                ? data.details.map(d => `${d.field}: ${d.message}`).join('; ')
+                : data.error;
+            errorBox.hidden = false;
+        }
+    } catch (error) {
+        errorBox.textContent = `Error signing in: ${error.message}`;
+        errorBox.hidden = false;
+    }
+});
+
+document.getElementById('sign-out').addEventListener('click', async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    showLoginScreen();
+});
+
+// Load initial data once we know who is signed in
+async function checkSession() {
+    try {
+        const config = await (await fetch('/api/config')).json();
+        shopCurrency = config.currency;
+        showCurrency();
+
+        const response = await fetch('/api/auth/me');
+        const data = await response.json();
+        if (data.success) {
+            startDashboard(data.user);
+        } else {
+            showLoginScreen(data.needs_setup);
+        }
+    } catch (error) {
+        showLoginScreen();
     }
 }
 
-// Load initial data
-loadProducts();
+checkSession();
 
 // Ask (NLQ) handler
+
+const PERIOD_LABELS = { day: 'Per Day', week: 'Weekly', month: 'Monthly' };
+const METRIC_LABELS = {
+    sales: 'Units Sold',
+    revenue: 'Revenue',
+    gross_profit: 'Gross Profit',
+    margin_pct: 'Margin',
+    unit_cost: 'Unit Cost',
+    retail_price: 'Retail Price'
+};
+const AGGREGATE_LABELS = { average: 'Average', total: 'Total', count: 'Number of Products' };
+
+function periodLabel({ period, days }) {
+    if (period !== 'total') return PERIOD_LABELS[period];
+    return `${days}-Day`;
+}
+
+// The filters a question was read as, e.g. "Type: hair, under $15"
+function describeScope(scope) {
+    const parts = [];
+    const list = value => [].concat(value).join(' or ');
+    if (scope.type) parts.push(`Type: ${list(scope.type)}`);
+    if (scope.category) parts.push(`Category: ${list(scope.category)}`);
+    if (scope.name) parts.push(`Name contains "${list(scope.name)}"`);
+    if (scope.min_price !== undefined) parts.push(`price from ${formatMoney(scope.min_price)}`);
+    if (scope.max_price !== undefined) parts.push(`price up to ${formatMoney(scope.max_price)}`);
+    if (scope.min_cost !== undefined) parts.push(`cost from ${formatMoney(scope.min_cost)}`);
+    if (scope.max_cost !== undefined) parts.push(`cost up to ${formatMoney(scope.max_cost)}`);
+    return parts.join(', ') || 'All Products';
+}
+
+function formatMetric(metric, value) {
+    if (value === null || value === undefined) return '—';
+    if (metric === 'margin_pct') return `${value.toFixed(1)}%`;
+    if (metric === 'sales') return value.toFixed(1);
+    return formatMoney(value);
+}
+
 async function submitQuestion() {
     const input = document.getElementById('ask-input');
     const results = document.getElementById('ask-results');
@@ -423,32 +1426,81 @@ async function submitQuestion() {
             return;
         }
 
-        const periodLabel = data.interpreted.period === 'week' ? 'Weekly' : 'Per Day';
-        const scope = data.interpreted.scope;
-        const scopeLabel = scope.name ? `Name contains "${scope.name}"` : scope.category ? `Category: ${scope.category}` : scope.type ? `Type: ${scope.type}` : 'All Products';
+        const { interpreted } = data;
+        const label = periodLabel(interpreted);
+        const scopeLabel = describeScope(interpreted.scope);
+
+        // The summary ends by listing any words that were not understood;
+        // those are worth a warning
+        const summaryHtml = `<div class="${interpreted.unrecognized.length > 0 ? 'ask-note' : 'ask-summary'}">${data.summary}</div>`;
+
+        const answerHtml = data.answer ? `
+            <div class="summary-card">
+              <h3>${AGGREGATE_LABELS[data.answer.aggregate]}${data.answer.aggregate === 'count' ? '' : ` ${METRIC_LABELS[data.answer.metric]}`} (${scopeLabel})</h3>
+              <div class="value">${data.answer.aggregate === 'count' ? data.answer.value : formatMetric(data.answer.metric, data.answer.value)}</div>
+            </div>
+        ` : '';
+
+        const groupsHtml = data.groups ? `
+          <div class="sales-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Compared</th>
+                  <th>Products</th>
+                  <th>${label} Sales</th>
+                  <th>${label} Revenue</th>
+                  <th>${label} Gross Profit</th>
+                  <th>Margin</th>
+                  ${data.answer ? `<th>${AGGREGATE_LABELS[data.answer.aggregate]}</th>` : ''}
+                </tr>
+              </thead>
+              <tbody>
+                ${data.groups.map(group => `
+                  <tr>
+                    <td><strong>${describeScope(group.scope)}</strong></td>
+                    <td>${group.count}</td>
+                    <td>${group.sales.toFixed(1)}</td>
+                    <td>${formatMoney(group.revenue)}</td>
+                    <td>${formatMoney(group.gross_profit)}</td>
+                    <td>${formatMetric('margin_pct', group.margin_pct)}</td>
+                    ${data.answer ? `<td>${data.answer.aggregate === 'count' ? group.value : formatMetric(data.answer.metric, group.value)}</td>` : ''}
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : '';
 
         const itemsHtml = data.items.map(item => `
             <tr>
               <td>${item.name}</td>
               <td><span class="product-badge badge-${item.type}">${item.type}</span></td>
               <td>${item.category}</td>
-              <td>$${item.cost.toFixed(2)}</td>
+              <td>${formatMoney(item.retail_price)}</td>
               <td>${item.sales.toFixed(1)}</td>
-              <td><strong>$${item.revenue.toFixed(2)}</strong></td>
+              <td><strong>${formatMoney(item.revenue)}</strong></td>
             </tr>
         `).join('');
 
+        const title = interpreted.intent === 'top'
+            ? `${interpreted.top.order === 'desc' ? 'Top' : 'Bottom'} ${interpreted.top.count} by ${METRIC_LABELS[interpreted.metric]}`
+            : `${label} Sales`;
+
         results.innerHTML = `
+          ${summaryHtml}
           <div class="summary-cards">
+            ${answerHtml}
             <div class="summary-card">
-              <h3>${periodLabel} Sales (${scopeLabel})</h3>
+              <h3>${title} (${data.groups ? 'Compared Products' : scopeLabel})</h3>
               <div class="value">${data.totals.sales.toFixed(1)}</div>
             </div>
             <div class="summary-card">
-              <h3>${periodLabel} Revenue</h3>
-              <div class="value">$${data.totals.revenue.toFixed(2)}</div>
+              <h3>${label} Revenue</h3>
+              <div class="value">${formatMoney(data.totals.revenue)}</div>
             </div>
           </div>
+          ${groupsHtml}
           <div class="sales-table">
             <table>
               <thead>
@@ -456,9 +1508,9 @@ async function submitQuestion() {
                   <th>Product</th>
                   <th>Type</th>
                   <th>Category</th>
-                  <th>Cost</th>
-                  <th>${periodLabel} Sales</th>
-                  <th>${periodLabel} Revenue</th>
+                  <th>Retail Price</th>
+                  <th>${label} Sales</th>
+                  <th>${label} Revenue</th>
                 </tr>
               </thead>
               <tbody>
@@ -0,0 +1,138 @@
+// Audit log of product changes (the audit_log table, see
+// src/migrations/008_create_audit_log.js). Each entry records a product's
+// values before and after a change and the surface it came through: the MCP
+// server, the REST API, or the dashboard UI, and on the web server the
+// signed-in user. The servers set these for each request with
+// withAuditSource; changes made outside a request, such as seeding sample
+// data, are recorded as "system".
+
+import { AsyncLocalStorage } from "async_hooks";
+import { dbRun, dbAll } from "./db.js";
+
+// archive and restore are soft deletes and their undoing; delete is a purge
+export const AUDIT_ACTIONS = ["create", "update", "archive", "restore", "delete"];
+export const AUDIT_SOURCES = ["mcp", "rest", "ui", "system"];
+
+export const DEFAULT_AUDIT_LIMIT = 100;
+
+const auditSource = new AsyncLocalStorage();
+
+// Run work() with every change it makes attributed to `source` and, when
+// known, `username`. operation names the tool or route, e.g.
+// "update_product" or "PUT /api/products/3".
+export function withAuditSource({ source, operation, username }, work) {
+  return auditSource.run({ source, operation, username }, work);
+}
+
+// The fields whose values differ, as { field: { from, to } }
+function diff(before = {}, after = {}) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return Object.fromEntries(
+    fields
+      .filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+      .map((field) => [field, { from: before[field] ?? null, to: after[field] ?? null }])
+  );
+}
+
+// Append an entry for a product change. before is null for a create and
+// after is null for a delete. An update that changed nothing is not recorded.
+export async function recordChange(action, productId, before, after) {
+  const changes = diff(before ?? undefined, after ?? undefined);
+  if (action === "update" && Object.keys(changes).length === 0) return;
+
+  const { source, operation, username } = auditSource.getStore() ?? { source: "system" };
+  await dbRun(
+    `INSERT INTO audit_log (product_id, action, source, operation, username, old_values, new_values, changes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      productId,
+      action,
+      source,
+      operation ?? null,
+      username ?? null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      JSON.stringify(changes),
+    ]
+  );
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    product_name: row.product_name,
+    action: row.action,
+    source: row.source,
+    operation: row.operation,
+    username: row.username,
+    changed_at: row.changed_at,
+    changes: JSON.parse(row.changes),
+    before: row.old_values ? JSON.parse(row.old_values) : null,
+    after: row.new_values ? JSON.parse(row.new_values) : null,
+  };
+}
+
+// Audit entries, newest first. from/to are inclusive dates or date-times;
+// field keeps only entries that changed that field.
+export async function getAuditLog({
+  product_id,
+  action,
+  source,
+  username,
+  field,
+  from,
+  to,
+  limit = DEFAULT_AUDIT_LIMIT,
+} = {}) {
+  let query = `
+    SELECT
+      *,
+      COALESCE(json_extract(new_values, '$.name'), json_extract(old_values, '$.name')) as product_name
+    FROM audit_log
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (product_id) {
+    query += " AND product_id = ?";
+    params.push(product_id);
+  }
+  if (action) {
+    query += " AND action = ?";
+    params.push(action);
+  }
+  if (source) {
+    query += " AND source = ?";
+    params.push(source);
+  }
+  if (username) {
+    query += " AND username = ? COLLATE NOCASE";
+    params.push(username);
+  }
+  if (field) {
+    query += " AND EXISTS (SELECT 1 FROM json_each(changes) WHERE key = ?)";
+    params.push(field);
+  }
+  if (from) {
+    query += " AND changed_at >= datetime(?)";
+    params.push(from);
+  }
+  if (to) {
+    // A bare date means the whole day
+    query += " AND changed_at < datetime(?, CASE WHEN length(?) = 10 THEN '+1 day' ELSE '+0 seconds' END)";
+    params.push(to, to);
+  }
+
+  query += " ORDER BY changed_at DESC, id DESC LIMIT ?";
+  params.push(limit);
+
+  const entries = (await dbAll(query, params)).map(toEntry);
+  return { count: entries.length, entries };
+}
+
+// Every recorded change to one product, newest first. Deleted products keep
+// their history.
+export async function getProductHistory({ product_id, limit = DEFAULT_AUDIT_LIMIT } = {}) {
+  return { product_id, ...(await getAuditLog({ product_id, limit })) };
+}
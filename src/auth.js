@@ -0,0 +1,171 @@
+// User accounts, passwords and login sessions for the web server. Roles
+// are ranked: a clerk can do everything a viewer can, and a manager
+// everything a clerk can.
+//   viewer  - read products and analytics
+//   clerk   - also record sales and receive stock
+//   manager - also edit the catalog, prices, types and categories, and users
+
+import crypto from "crypto";
+import { promisify } from "util";
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { ValidationError, NotFoundError, AuthenticationError } from "./errors.js";
+
+export const ROLES = ["viewer", "clerk", "manager"];
+
+export const SESSION_DAYS = 7;
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as "scrypt:<salt>:<key>", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString("hex")}:${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = stored.split(":");
+  if (scheme !== "scrypt") return false;
+  const expected = Buffer.from(key, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Whether a user's role includes the rights of `role`
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+const USER_SELECT = "SELECT id, username, role, created_at, updated_at FROM users";
+
+export async function listUsers() {
+  return dbAll(`${USER_SELECT} ORDER BY username`);
+}
+
+export async function getUser(username) {
+  const user = await dbGet(`${USER_SELECT} WHERE username = ?`, [username]);
+  if (!user) {
+    throw new NotFoundError(`No user named ${username}`);
+  }
+  return user;
+}
+
+export async function countUsers() {
+  const { count } = await dbGet("SELECT COUNT(*) as count FROM users");
+  return count;
+}
+
+export async function createUser({ username, password, role } = {}) {
+  if (await dbGet("SELECT 1 FROM users WHERE username = ?", [username])) {
+    throw new ValidationError(`User ${username} already exists`, [
+      { field: "username", message: "is already taken" },
+    ]);
+  }
+
+  await dbRun("INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)", [
+    username,
+    await hashPassword(password),
+    role,
+  ]);
+  return getUser(username);
+}
+
+// Create the first account, a manager. Only possible while there are no
+// users, i.e. on a new install.
+export async function setupFirstManager({ username, password } = {}) {
+  return withTransaction(async () => {
+    if ((await countUsers()) > 0) {
+      throw new ValidationError("Setup is already done; sign in instead");
+    }
+    return createUser({ username, password, role: "manager" });
+  });
+}
+
+// The shop must always keep a manager, or nobody could manage users again
+async function checkNotLastManager(user) {
+  if (user.role !== "manager") return;
+  const { count } = await dbGet("SELECT COUNT(*) as count FROM users WHERE role = 'manager'");
+  if (count <= 1) {
+    throw new ValidationError(`${user.username} is the only manager`);
+  }
+}
+
+// Change a user's role or password. A new password signs the user out
+// everywhere.
+export async function updateUser({ username, role, password } = {}) {
+  return withTransaction(async () => {
+    const user = await getUser(username);
+    if (role !== undefined && role !== user.role) {
+      await checkNotLastManager(user);
+      await dbRun("UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [role, user.id]);
+    }
+    if (password !== undefined) {
+      await dbRun("UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [
+        await hashPassword(password),
+        user.id,
+      ]);
+      await dbRun("DELETE FROM sessions WHERE user_id = ?", [user.id]);
+    }
+    return getUser(username);
+  });
+}
+
+export async function deleteUser({ username } = {}) {
+  return withTransaction(async () => {
+    const user = await getUser(username);
+    await checkNotLastManager(user);
+    await dbRun("DELETE FROM sessions WHERE user_id = ?", [user.id]);
+    await dbRun("DELETE FROM users WHERE id = ?", [user.id]);
+    return user;
+  });
+}
+
+// Check a username and password and open a session. The token is returned
+// once; only its hash is stored.
+export async function login({ username, password } = {}) {
+  const account = await dbGet("SELECT * FROM users WHERE username = ?", [username]);
+  let valid = false;
+  if (account) {
+    valid = await verifyPassword(password, account.password_hash);
+  } else {
+    // Take as long as a real check, so response times do not reveal which
+    // usernames exist
+    await hashPassword(password);
+  }
+  if (!valid) {
+    throw new AuthenticationError("Wrong username or password");
+  }
+
+  await dbRun("DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP");
+  const token = crypto.randomBytes(32).toString("base64url");
+  await dbRun(
+    `INSERT INTO sessions (token_hash, user_id, expires_at)
+     VALUES (?, ?, datetime('now', '+${SESSION_DAYS} days'))`,
+    [hashToken(token), account.id]
+  );
+  const { expires_at } = await dbGet("SELECT expires_at FROM sessions WHERE token_hash = ?", [hashToken(token)]);
+
+  return { token, expires_at, user: await getUser(account.username) };
+}
+
+export async function logout(token) {
+  await dbRun("DELETE FROM sessions WHERE token_hash = ?", [hashToken(token)]);
+}
+
+// The user a session token belongs to, or null when it is unknown or expired
+export async function getSessionUser(token) {
+  if (!token) return null;
+  const user = await dbGet(
+    `SELECT u.id, u.username, u.role
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token)]
+  );
+  return user ?? null;
+}
@@ -0,0 +1,329 @@
+// Bulk import and export of the product catalog as CSV or JSON. An import
+// creates or updates products through addProduct and updateProduct, inside
+// one transaction: either every row is applied or none is. A dry run only
+// reads.
+
+import { dbGet, withTransaction } from "./db.js";
+import { ValidationError, NotFoundError } from "./errors.js";
+import {
+  listProducts,
+  getProduct,
+  addProduct,
+  updateProduct,
+  CATALOG_FIELDS,
+} from "./products.js";
+import { resolveCategory } from "./taxonomy.js";
+import { validateArgs, coerceStrings } from "./validation.js";
+import { parseCsv, toCsv } from "./csv.js";
+
+export const CATALOG_FORMATS = ["csv", "json"];
+export const IMPORT_MATCH_BY = ["name", "sku"];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Thrown inside the import transaction to roll it back, carrying the report
+class RolledBack extends Error {
+  constructor(report) {
+    super("Import rolled back");
+    this.report = report;
+  }
+}
+
+// The import rows as plain objects. CSV rows remember their line in the file.
+function readRows(format, data) {
+  if (format === "csv") {
+    if (typeof data !== "string") {
+      throw new ValidationError("CSV data must be a string", [{ field: "data", message: "must be a string" }]);
+    }
+    return parseCsv(data);
+  }
+
+  let rows = data;
+  if (typeof data === "string") {
+    try {
+      rows = JSON.parse(data);
+    } catch (error) {
+      throw new ValidationError(`data is not valid JSON: ${error.message}`, [
+        { field: "data", message: "is not valid JSON" },
+      ]);
+    }
+  }
+  if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+    throw new ValidationError("JSON data must be an array of objects", [
+      { field: "data", message: "must be an array of objects" },
+    ]);
+  }
+  return rows;
+}
+
+// Which source column feeds each product field. A field without a mapping
+// reads the column of the same name. Column names match case-insensitively.
+function resolveColumns(rows, mapping) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))].filter((column) => column !== "_line");
+  const byLowerName = new Map(columns.map((column) => [column.toLowerCase(), column]));
+
+  const sources = {};
+  const details = [];
+  for (const field of CATALOG_FIELDS) {
+    const wanted = mapping[field] ?? field;
+    const column = byLowerName.get(wanted.toLowerCase());
+    if (column !== undefined) {
+      sources[field] = column;
+    } else if (mapping[field] !== undefined) {
+      details.push({ field: `mapping.${field}`, message: `column "${wanted}" is not in the data` });
+    }
+  }
+  if (details.length > 0) {
+    throw new ValidationError(`Unknown columns in mapping: ${details.map((d) => d.field).join(", ")}`, details);
+  }
+
+  const used = new Set(Object.values(sources));
+  return { sources, ignored: columns.filter((column) => !used.has(column)) };
+}
+
+// The product fields one row sets. Blank cells are left out, and numbers
+// written as text are converted.
+function rowFields(row, sources) {
+  const fields = {};
+  for (const [field, column] of Object.entries(sources)) {
+    let value = row[column];
+    if (typeof value === "string") value = value.trim();
+    if (value === undefined || value === null || value === "") continue;
+    fields[field] = value;
+  }
+  return coerceStrings("add_product", fields);
+}
+
+// The product a row matches, archived or not. A live product wins over an
+// archived one with the same name.
+async function findProduct(matchBy, fields) {
+  const found =
+    matchBy === "sku"
+      ? await dbGet("SELECT id FROM products WHERE sku = ?", [fields.sku])
+      : await dbGet(
+          "SELECT id FROM products WHERE lower(name) = lower(?) ORDER BY archived_at IS NOT NULL, id LIMIT 1",
+          [fields.name]
+        );
+  return found ? getProduct(found.id) : null;
+}
+
+// Fields whose value differs from the product's current one
+function changedFields(product, fields) {
+  return Object.keys(fields).filter((field) => String(product[field] ?? "") !== String(fields[field]));
+}
+
+// A dry run writes nothing, so what earlier rows would do is kept in
+// `pending`, by the value rows match on: the products they would create,
+// and the existing products they would change, with their id. Later rows
+// are checked against that instead of the database.
+function matchKey(matchBy, fields) {
+  return matchBy === "name" ? fields.name.toLowerCase() : fields.sku;
+}
+
+// Like checkSkuAvailable, but as the SKUs will be once the earlier rows of
+// a dry run are applied
+async function checkPlannedSku(pending, sku, key, productId = null) {
+  if (!sku) return;
+  for (const [otherKey, { fields, row }] of pending) {
+    if (otherKey !== key && fields.sku === sku) {
+      throw new ValidationError(`SKU ${sku} is already used by ${fields.name}`, [
+        { field: "sku", message: `is already used by row ${row}` },
+      ]);
+    }
+  }
+
+  // A product an earlier row changes has the SKU it was given there
+  const changed = [...pending.values()].map((entry) => entry.id).filter((id) => id !== undefined);
+  const owner = await dbGet(
+    `SELECT id, name FROM products WHERE sku = ? AND id IS NOT ? AND id NOT IN (${changed.map(() => "?").join(", ")})`,
+    [sku, productId, ...changed]
+  );
+  if (owner) {
+    throw new ValidationError(`SKU ${sku} is already used by ${owner.name}`, [
+      { field: "sku", message: `is already used by product ${owner.id}` },
+    ]);
+  }
+}
+
+// Work out what one row does, checking it the way addProduct and
+// updateProduct would, without writing anything
+async function planRow(fields, matchBy, pending) {
+  if (fields[matchBy] === undefined) {
+    throw new ValidationError(`Row has no ${matchBy} to match on`, [{ field: matchBy, message: "is required" }]);
+  }
+  const key = matchKey(matchBy, fields);
+
+  const earlier = pending.get(key);
+  const product = earlier ? null : await findProduct(matchBy, fields);
+  if (product?.archived_at) {
+    throw new ValidationError(`${product.name} is archived; restore it before importing it`, [
+      { field: matchBy, message: `matches archived product ${product.id}` },
+    ]);
+  }
+
+  if (!earlier && !product) {
+    await validateArgs("add_product", fields);
+    await resolveCategory(fields.type, fields.category);
+    await checkPlannedSku(pending, fields.sku, key);
+    return { action: "create", pending: fields };
+  }
+
+  // An earlier row's product as that row left it, or the product as it is
+  const current = earlier?.fields ?? product;
+  const id = earlier ? earlier.id : product.id;
+  const changes = changedFields(current, fields);
+  if (changes.length === 0) {
+    return { action: "unchanged", id };
+  }
+  const updates = Object.fromEntries(changes.map((field) => [field, fields[field]]));
+  const planned = { ...current, ...updates };
+  if (id === undefined) {
+    // A product an earlier row creates
+    await validateArgs("add_product", planned);
+  } else {
+    await validateArgs("update_product", { id, ...updates });
+  }
+  if (updates.type !== undefined || updates.category !== undefined) {
+    await resolveCategory(planned.type, planned.category);
+  }
+  await checkPlannedSku(pending, updates.sku, key, id);
+  return { action: "update", id, changes, updates, pending: planned };
+}
+
+// Plan one row and, unless this is a dry run, create or update its product.
+// A dry run records the row's effect in `pending` instead.
+async function importRow(fields, matchBy, { dryRun, pending, row }) {
+  const { pending: planned, updates, ...plan } = await planRow(fields, matchBy, pending);
+  if (dryRun) {
+    if (planned) {
+      const key = matchKey(matchBy, fields);
+      pending.set(key, { fields: planned, id: plan.id, row: pending.get(key)?.row ?? row });
+    }
+    return plan;
+  }
+
+  if (plan.action === "create") {
+    const created = await addProduct(fields);
+    return { ...plan, id: created.id };
+  }
+  if (plan.action === "update") {
+    await updateProduct(plan.id, updates);
+  }
+  return plan;
+}
+
+// Import products from CSV text or JSON (an array of objects, or its text).
+// Each row updates the product with the same name (ignoring case) or SKU,
+// per match_by, and creates one when there is none. mapping maps product
+// fields to source column names, e.g. { retail_price: "RRP" }.
+//
+// Rows are applied in order in one transaction, so a later row sees the
+// products earlier rows created. If any row fails, nothing is imported and a
+// ValidationError lists the failures by row. A row that matches an archived
+// product fails rather than creating a second product of the same name. A
+// dry run checks each row the same way and reports what it would do,
+// without writing anything.
+export async function importProducts({ format = "csv", data, mapping = {}, match_by = "name", dry_run = false } = {}) {
+  if (!CATALOG_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${CATALOG_FORMATS.join(", ")}`);
+  }
+  if (!IMPORT_MATCH_BY.includes(match_by)) {
+    throw new ValidationError(`match_by must be one of: ${IMPORT_MATCH_BY.join(", ")}`);
+  }
+
+  const rows = readRows(format, data);
+  if (rows.length === 0) {
+    throw new ValidationError("There are no rows to import", [{ field: "data", message: "has no rows" }]);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file`);
+  }
+  const { sources, ignored } = resolveColumns(rows, mapping);
+
+  const importAll = async () => {
+    const pending = new Map();
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      const fields = rowFields(row, sources);
+      const result = { row: index + 1, line: row._line, name: fields.name, sku: fields.sku };
+      try {
+        Object.assign(result, await importRow(fields, match_by, { dryRun: dry_run, pending, row: result.row }));
+      } catch (error) {
+        if (!(error instanceof ValidationError || error instanceof NotFoundError)) throw error;
+        result.action = "error";
+        result.errors = error.details ?? [{ field: null, message: error.message }];
+      }
+      results.push(result);
+    }
+
+    const count = (action) => results.filter((result) => result.action === action).length;
+    return {
+      format,
+      match_by,
+      dry_run,
+      columns: sources,
+      ignored_columns: ignored,
+      total: results.length,
+      created: count("create"),
+      updated: count("update"),
+      unchanged: count("unchanged"),
+      failed: count("error"),
+      rows: results,
+    };
+  };
+
+  let report;
+  if (dry_run) {
+    report = { ...(await importAll()), committed: false };
+  } else {
+    try {
+      report = await withTransaction(async () => {
+        const summary = await importAll();
+        if (summary.failed > 0) throw new RolledBack(summary);
+        return { ...summary, committed: true };
+      });
+    } catch (error) {
+      if (!(error instanceof RolledBack)) throw error;
+      report = { ...error.report, committed: false };
+    }
+  }
+
+  if (!dry_run && report.failed > 0) {
+    throw new ValidationError(
+      `Import failed: ${report.failed} of ${report.total} rows have errors; nothing was imported`,
+      report.rows
+        .filter((result) => result.errors)
+        .flatMap((result) => result.errors.map((error) => ({ row: result.row, line: result.line, ...error })))
+    );
+  }
+  return report;
+}
+
+// Export the products matching the get_products filters, in the chosen sort
+// order. CSV comes back as text and JSON as an array of objects; either way
+// `data` holds the products with the chosen fields (CATALOG_FIELDS by default).
+export async function exportProducts({
+  format = "csv",
+  fields,
+  sort,
+  direction,
+  name,
+  type,
+  category,
+  include_archived,
+} = {}) {
+  if (!CATALOG_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${CATALOG_FORMATS.join(", ")}`);
+  }
+
+  const columns = fields?.length ? fields : CATALOG_FIELDS;
+  const { products } = await listProducts({ limit: null, sort, direction, name, type, category, include_archived });
+  const rows = products.map((product) => Object.fromEntries(columns.map((column) => [column, product[column]])));
+
+  return {
+    format,
+    count: rows.length,
+    columns,
+    data: format === "csv" ? toCsv(rows, columns) : rows,
+  };
+}
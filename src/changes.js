@@ -0,0 +1,19 @@
+// Announcements that shop data changed, so the MCP server can notify clients
+// subscribed to the affected resources. Writes announce what they changed.
+// An announcement made inside a transaction waits until it commits, so a
+// change that is rolled back, such as a dry-run import, is never announced.
+
+import { EventEmitter } from "events";
+import { afterCommit } from "./db.js";
+
+export const dataChanges = new EventEmitter();
+
+// One listener per MCP client session
+dataChanges.setMaxListeners(0);
+
+// change is { product_id, action } for one product, where action is an
+// audit action or "sale", or {} when any product may look different (e.g. a
+// renamed type)
+export function announceChange(change = {}) {
+  afterCommit(() => dataChanges.emit("change", change));
+}
@@ -0,0 +1,135 @@
+// Settings for both servers and the migration runner. Each setting comes
+// from, in order of precedence:
+//
+//   1. an environment variable, SHOP_ plus the setting's name in capitals
+//      (SHOP_DB_PATH, SHOP_WEB_PORT, ...)
+//   2. the config file: shop.config.json in the project root, or the file
+//      SHOP_CONFIG names
+//   3. the defaults below
+//
+// Relative paths in the config file are relative to the file; in
+// environment variables, to the working directory. Running several shops
+// side by side only takes a config file (or environment) per shop.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Ajv from "ajv";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROJECT_ROOT = path.join(__dirname, "..");
+export const DEFAULT_CONFIG_PATH = path.join(PROJECT_ROOT, "shop.config.json");
+
+export const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+const DEFAULTS = {
+  db_path: path.join(PROJECT_ROOT, "shop.db"),
+  web_port: 3000,
+  mcp_port: 3001,
+  currency: "USD",
+  seed: true,
+  seed_file: path.join(PROJECT_ROOT, "data", "sample-products.json"),
+  log_level: "info",
+  mcp_policy: path.join(PROJECT_ROOT, "mcp-policy.json"),
+  mcp_token: null,
+};
+
+const PATH_SETTINGS = ["db_path", "seed_file", "mcp_policy"];
+
+const port = { type: "integer", minimum: 1, maximum: 65535 };
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    db_path: { type: "string", minLength: 1 },
+    web_port: port,
+    mcp_port: port,
+    currency: { type: "string", pattern: "^[A-Z]{3}$" },
+    seed: { type: "boolean" },
+    seed_file: { type: "string", minLength: 1 },
+    log_level: { enum: LOG_LEVELS },
+    mcp_policy: { type: "string", minLength: 1 },
+    mcp_token: { type: ["string", "null"], minLength: 16 },
+  },
+};
+
+// Environment variables are strings; coerceTypes turns "3000" and "false"
+// into the number and boolean the schema wants
+const validate = new Ajv({ allErrors: true, coerceTypes: true, allowUnionTypes: true }).compile(CONFIG_SCHEMA);
+
+function envName(setting) {
+  return `SHOP_${setting.toUpperCase()}`;
+}
+
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT" && !required) return {};
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+  try {
+    const settings = JSON.parse(text);
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new Error("it must be a JSON object");
+    }
+    return settings;
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+}
+
+// Read and check the settings. Every problem is reported at once, with
+// where the bad value came from.
+export function loadConfig({ env = process.env } = {}) {
+  const file = env.SHOP_CONFIG ? path.resolve(env.SHOP_CONFIG) : DEFAULT_CONFIG_PATH;
+  const fromFile = readConfigFile(file, Boolean(env.SHOP_CONFIG));
+
+  const settings = { ...DEFAULTS };
+  const sources = {};
+  for (const [setting, value] of Object.entries(fromFile)) {
+    settings[setting] =
+      PATH_SETTINGS.includes(setting) && typeof value === "string" ? path.resolve(path.dirname(file), value) : value;
+    sources[setting] = file;
+  }
+  for (const setting of Object.keys(DEFAULTS)) {
+    const value = env[envName(setting)];
+    if (value === undefined || value === "") continue;
+    settings[setting] = PATH_SETTINGS.includes(setting) ? path.resolve(value) : value;
+    sources[setting] = envName(setting);
+  }
+
+  const problems = [];
+  const problem = (setting, message) =>
+    problems.push(`${setting}${sources[setting] ? ` (from ${sources[setting]})` : ""} ${message}`);
+
+  if (!validate(settings)) {
+    for (const error of validate.errors) {
+      if (error.keyword === "additionalProperties") problem(error.params.additionalProperty, "is not a known setting");
+      else problem(error.instancePath.slice(1), error.message);
+    }
+  }
+  if (/^[A-Z]{3}$/.test(settings.currency) && !Intl.supportedValuesOf("currency").includes(settings.currency)) {
+    problem("currency", "is not a known currency code");
+  }
+  if (settings.seed === true && typeof settings.seed_file === "string" && !fs.existsSync(settings.seed_file)) {
+    problem("seed_file", `${settings.seed_file} does not exist`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration: ${problems.join("; ")}`);
+  }
+
+  return Object.freeze({ ...settings, config_file: fs.existsSync(file) ? file : null });
+}
+
+let config;
+
+// The settings, loaded on first use
+export function getConfig() {
+  config ??= loadConfig();
+  return config;
+}
@@ -0,0 +1,78 @@
+// CSV reading and writing for catalog import and export (RFC 4180: comma
+// separated, fields with commas, quotes or line breaks are quoted, and a
+// quote inside a quoted field is doubled).
+
+import { ValidationError } from "./errors.js";
+
+// Parse CSV text into objects keyed by the header row. Blank lines are
+// skipped. Each object also records the line it started on, as `_line`.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Spreadsheet programs often start the file with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError(`CSV has an unclosed quote starting on line ${rowLine}`);
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const [header, ...records] = rows.filter(({ cells }) => cells.some((cell) => cell.trim() !== ""));
+  if (!header) return [];
+
+  const columns = header.cells.map((cell) => cell.trim());
+  return records.map(({ line: recordLine, cells }) => ({
+    _line: recordLine,
+    ...Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""])),
+  }));
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write objects as CSV with the given columns, header first
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(formatCell).join(","))
+    .join("\r\n") + "\r\n";
+}
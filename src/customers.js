@@ -0,0 +1,206 @@
+// Customers and what they have bought. A customer's purchases are the sales
+// that name them (see src/sales.js); lifetime value is the revenue from
+// those sales. Consent to marketing is kept per channel, and
+// consent_updated_at records when either flag last changed.
+
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { TAXONOMY_JOIN } from "./products.js";
+import { getSales, soldBetween } from "./sales.js";
+
+export const DEFAULT_CUSTOMER_LIMIT = 100;
+export const DEFAULT_TOP_CUSTOMERS = 10;
+
+// What get_top_customers can rank by
+export const TOP_CUSTOMER_MEASURES = ["revenue", "units", "gross_profit"];
+
+const CUSTOMER_FIELDS = ["name", "email", "phone", "notes", "email_consent", "sms_consent"];
+const CONSENT_FIELDS = ["email_consent", "sms_consent"];
+
+const CUSTOMER_SELECT = `
+  SELECT
+    cu.*,
+    COUNT(s.id) as purchase_count,
+    COALESCE(SUM(s.quantity), 0) as units,
+    ROUND(COALESCE(SUM(s.quantity * s.unit_price), 0), 2) as lifetime_value,
+    MIN(s.sold_at) as first_purchase_at,
+    MAX(s.sold_at) as last_purchase_at
+  FROM customers cu
+  LEFT JOIN sales s ON s.customer_id = cu.id
+`;
+
+function withConsentFlags(customer) {
+  return { ...customer, email_consent: Boolean(customer.email_consent), sms_consent: Boolean(customer.sms_consent) };
+}
+
+// Customers by name. search matches part of a name, email address or phone
+// number, ignoring case.
+export async function listCustomers({ search, limit = DEFAULT_CUSTOMER_LIMIT } = {}) {
+  let query = `${CUSTOMER_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (search) {
+    query += " AND (cu.name LIKE ? OR cu.email LIKE ? OR cu.phone LIKE ?)";
+    const pattern = `%${search}%`;
+    params.push(pattern, pattern, pattern);
+  }
+
+  query += " GROUP BY cu.id ORDER BY cu.name COLLATE NOCASE, cu.id LIMIT ?";
+  params.push(limit);
+
+  const customers = await dbAll(query, params);
+  return { count: customers.length, customers: customers.map(withConsentFlags) };
+}
+
+// A customer, their lifetime figures, and what they spend on each product
+// type
+export async function getCustomer(id) {
+  const customer = await dbGet(`${CUSTOMER_SELECT} WHERE cu.id = ? GROUP BY cu.id`, [id]);
+  if (!customer) {
+    throw new NotFoundError("Customer not found");
+  }
+
+  const byType = await dbAll(
+    `SELECT
+       t.name as type,
+       SUM(s.quantity) as units,
+       ROUND(SUM(s.quantity * s.unit_price), 2) as revenue
+     FROM sales s
+     LEFT JOIN products p ON p.id = s.product_id
+     ${TAXONOMY_JOIN}
+     WHERE s.customer_id = ?
+     GROUP BY t.name
+     ORDER BY revenue DESC`,
+    [id]
+  );
+  return { ...withConsentFlags(customer), by_type: byType };
+}
+
+async function checkEmailAvailable(email, customerId = null) {
+  if (!email) return;
+  const clash = await dbGet("SELECT id FROM customers WHERE email = ? AND id IS NOT ?", [email, customerId]);
+  if (clash) {
+    throw new ValidationError(`A customer with email ${email} already exists`, [
+      { field: "email", message: `is already used by customer ${clash.id}` },
+    ]);
+  }
+}
+
+export async function createCustomer({ name, email, phone, notes, email_consent, sms_consent } = {}) {
+  if (!name) {
+    throw new ValidationError("Missing required fields: name");
+  }
+  const consentGiven = Boolean(email_consent || sms_consent);
+
+  return withTransaction(async () => {
+    await checkEmailAvailable(email);
+    const { lastID } = await dbRun(
+      `INSERT INTO customers (name, email, phone, notes, email_consent, sms_consent, consent_updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ${consentGiven ? "CURRENT_TIMESTAMP" : "NULL"})`,
+      [name, email || null, phone || null, notes || null, Number(Boolean(email_consent)), Number(Boolean(sms_consent))]
+    );
+    return getCustomer(lastID);
+  });
+}
+
+// Update only the fields that are provided. An empty string clears a
+// contact field. consent_updated_at moves only when a consent flag changes.
+export async function updateCustomer(id, updates = {}) {
+  const fields = CUSTOMER_FIELDS.filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    throw new ValidationError("No fields to update");
+  }
+
+  return withTransaction(async () => {
+    const customer = await getCustomer(id);
+    if (updates.email) await checkEmailAvailable(updates.email, id);
+
+    const values = fields.map((field) => {
+      if (CONSENT_FIELDS.includes(field)) return Number(Boolean(updates[field]));
+      return updates[field] === "" ? null : updates[field];
+    });
+    const consentChanged = CONSENT_FIELDS.some(
+      (field) => updates[field] !== undefined && Boolean(updates[field]) !== customer[field]
+    );
+
+    await dbRun(
+      `UPDATE customers SET ${fields.map((field) => `${field} = ?`).join(", ")},
+         ${consentChanged ? "consent_updated_at = CURRENT_TIMESTAMP," : ""} updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...values, id]
+    );
+    return getCustomer(id);
+  });
+}
+
+// A customer's purchases, newest first, with the same filters as get_sales
+export async function getCustomerPurchases({ id, type, from, to, limit } = {}) {
+  const customer = await getCustomer(id);
+  const sales = await getSales({ customer_id: id, type, from, to, limit });
+  return {
+    customer_id: customer.id,
+    customer_name: customer.name,
+    lifetime_value: customer.lifetime_value,
+    ...sales,
+  };
+}
+
+// The customers who buy the most, by revenue, units or gross profit,
+// optionally only counting one product type or category and a date range.
+// Anonymous sales are left out.
+export async function getTopCustomers({
+  type,
+  category,
+  from,
+  to,
+  by = "revenue",
+  limit = DEFAULT_TOP_CUSTOMERS,
+} = {}) {
+  if (!TOP_CUSTOMER_MEASURES.includes(by)) {
+    throw new ValidationError(`by must be one of: ${TOP_CUSTOMER_MEASURES.join(", ")}`);
+  }
+
+  let query = `
+    SELECT
+      cu.id,
+      cu.name,
+      cu.email,
+      COUNT(s.id) as purchase_count,
+      SUM(s.quantity) as units,
+      ROUND(SUM(s.quantity * s.unit_price), 2) as revenue,
+      ROUND(SUM(s.quantity * (s.unit_price - s.unit_cost)), 2) as gross_profit,
+      MAX(s.sold_at) as last_purchase_at
+    FROM sales s
+    JOIN customers cu ON cu.id = s.customer_id
+    LEFT JOIN products p ON p.id = s.product_id
+    ${TAXONOMY_JOIN}
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (type) {
+    query += " AND t.name = ?";
+    params.push(type);
+  }
+  if (category) {
+    query += " AND c.name = ?";
+    params.push(category);
+  }
+  const range = soldBetween({ from, to });
+  query += range.sql;
+  params.push(...range.params);
+
+  query += ` GROUP BY cu.id ORDER BY ${by} DESC, cu.name LIMIT ?`;
+  params.push(limit);
+
+  const customers = await dbAll(query, params);
+  return {
+    type: type ?? null,
+    category: category ?? null,
+    from: from ?? null,
+    to: to ?? null,
+    by,
+    count: customers.length,
+    customers,
+  };
+}
@@ -0,0 +1,122 @@
+import sqlite3 from "sqlite3";
+import { AsyncLocalStorage } from "async_hooks";
+import { getConfig } from "./config.js";
+
+// The connection to the database at the db_path setting, opened on first use
+let connection;
+
+function database() {
+  connection ??= new sqlite3.Database(getConfig().db_path);
+  return connection;
+}
+
+export function closeDb() {
+  return new Promise((resolve, reject) => {
+    if (!connection) return resolve();
+    connection.close((error) => (error ? reject(error) : resolve()));
+    connection = undefined;
+  });
+}
+
+// A connection of its own that cannot write, for running SQL written
+// outside the app (see src/sql.js). The caller closes it.
+export function openReadOnlyDb() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(getConfig().db_path, sqlite3.OPEN_READONLY, (error) =>
+      error ? reject(error) : resolve(db)
+    );
+  });
+}
+
+// Transactions and statements issued outside one take turns on the single
+// connection: a statement from outside waits until the open transaction
+// has committed or rolled back, so it can neither be rolled back with it
+// nor read its uncommitted rows. Statements from inside the transaction
+// (found through AsyncLocalStorage) run straight away.
+let connectionQueue = Promise.resolve();
+const openTransaction = new AsyncLocalStorage();
+
+function inOpenTransaction() {
+  return openTransaction.getStore()?.open === true;
+}
+
+function inTurn(run) {
+  if (inOpenTransaction()) return run();
+  const result = connectionQueue.then(run);
+  connectionQueue = result.catch(() => {});
+  return result;
+}
+
+function run(sql, params) {
+  return new Promise((resolve, reject) => {
+    database().run(sql, params, function (error) {
+      if (error) reject(error);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// Promisified database methods. dbRun resolves with { lastID, changes }.
+export function dbRun(sql, params = []) {
+  return inTurn(() => run(sql, params));
+}
+
+export function dbGet(sql, params = []) {
+  return inTurn(
+    () =>
+      new Promise((resolve, reject) => {
+        database().get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+      })
+  );
+}
+
+export function dbAll(sql, params = []) {
+  return inTurn(
+    () =>
+      new Promise((resolve, reject) => {
+        database().all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+      })
+  );
+}
+
+// Run work() inside a transaction, one transaction at a time.
+// withTransaction called from inside work() joins the open transaction, so
+// a function that needs one can be used on its own or as part of a bigger
+// one (e.g. addProduct within a catalog import).
+export function withTransaction(work) {
+  if (inOpenTransaction()) return work();
+
+  return inTurn(() => {
+    const transaction = { open: true, onCommit: [] };
+    return openTransaction.run(transaction, async () => {
+      await run("BEGIN IMMEDIATE", []);
+      let value;
+      try {
+        value = await work();
+        await run("COMMIT", []);
+      } catch (error) {
+        await run("ROLLBACK", []);
+        throw error;
+      } finally {
+        transaction.open = false;
+      }
+      for (const callback of transaction.onCommit) callback();
+      return value;
+    });
+  });
+}
+
+// Run callback once the open transaction commits, and never if it rolls
+// back. Outside a transaction it runs straight away.
+export function afterCommit(callback) {
+  const transaction = openTransaction.getStore();
+  if (transaction?.open) transaction.onCommit.push(callback);
+  else callback();
+}
+
+// Used by migrations that have to cope with databases created before the
+// migration runner existed
+export async function columnExists(table, column) {
+  const columns = await dbAll(`PRAGMA table_info(${table})`);
+  return columns.some((col) => col.name === column);
+}
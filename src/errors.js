@@ -0,0 +1,38 @@
+// Errors raised by the data-access layer. Each carries the HTTP status the
+// web server should answer with; the MCP server reports them as isError results.
+
+// details, when present, lists the problems field by field: [{ field, message }]
+export class ValidationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "ValidationError";
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+    this.status = 404;
+  }
+}
+
+// No valid session: the caller has to sign in
+export class AuthenticationError extends Error {
+  constructor(message = "Sign in required") {
+    super(message);
+    this.name = "AuthenticationError";
+    this.status = 401;
+  }
+}
+
+// Signed in, but the user's role does not allow the action
+export class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ForbiddenError";
+    this.status = 403;
+  }
+}
@@ -0,0 +1,215 @@
+// Demand forecasts from the sales ledger. Each product's daily unit sales
+// over a history window are smoothed into a daily rate, optionally shaped by
+// day-of-week seasonality, and projected forward with a confidence band.
+// sales_per_day (src/products.js) is the plain 7-day average of the same data.
+
+import { dbAll } from "./db.js";
+import { ValidationError } from "./errors.js";
+import { unitsOnOrder } from "./inventory.js";
+import { getProducts } from "./products.js";
+
+export const FORECAST_METHODS = ["moving_average", "exponential_smoothing"];
+
+const FORECAST_DEFAULTS = {
+  days: 14,
+  history_days: 28,
+  method: "exponential_smoothing",
+  alpha: 0.3,
+  seasonality: false,
+};
+
+// The band covers 90% of days, assuming normally distributed errors
+const CONFIDENCE = 0.9;
+const Z_SCORE = 1.645;
+
+// Weekday seasonality needs every weekday to appear at least twice
+const MIN_SEASONAL_HISTORY = 14;
+
+const DAY_MS = 86400000;
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Units sold per product per day over the last `historyDays` days, today
+// included, as a Map of product id to an array oldest first. Days without
+// sales are zeros.
+async function dailyUnits(productIds, historyDays) {
+  const today = new Date();
+  const days = Array.from({ length: historyDays }, (_, index) =>
+    new Date(today.getTime() - (historyDays - 1 - index) * DAY_MS)
+  );
+
+  const placeholders = productIds.map(() => "?").join(", ");
+  const rows = await dbAll(
+    `SELECT product_id, date(sold_at) as day, SUM(quantity) as units
+     FROM sales
+     WHERE product_id IN (${placeholders}) AND sold_at >= ?
+     GROUP BY product_id, day`,
+    [...productIds, dayKey(days[0])]
+  );
+
+  const units = new Map(rows.map((row) => [`${row.product_id}/${row.day}`, row.units]));
+  return {
+    days,
+    series: new Map(
+      productIds.map((id) => [id, days.map((day) => units.get(`${id}/${dayKey(day)}`) ?? 0)])
+    ),
+  };
+}
+
+// Ratio of each weekday's average sales to the overall average (index by
+// getUTCDay()). All ones when nothing sold.
+function weekdayIndexes(series, days) {
+  const mean = series.reduce((sum, units) => sum + units, 0) / series.length;
+  const totals = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  series.forEach((units, index) => {
+    totals[days[index].getUTCDay()] += units;
+    counts[days[index].getUTCDay()] += 1;
+  });
+
+  return totals.map((total, weekday) =>
+    mean > 0 && counts[weekday] > 0 ? total / counts[weekday] / mean : 1
+  );
+}
+
+// The daily rate after the last day of history, and the one-step-ahead
+// fitted value for each day of it (used to measure forecast error)
+function smooth(series, method, alpha) {
+  if (method === "moving_average") {
+    const mean = series.reduce((sum, units) => sum + units, 0) / series.length;
+    return { level: mean, fitted: series.map(() => mean) };
+  }
+
+  let level = series[0];
+  const fitted = [];
+  for (const units of series) {
+    fitted.push(level);
+    level = alpha * units + (1 - alpha) * level;
+  }
+  return { level, fitted };
+}
+
+function forecastSeries(series, days, options) {
+  const { method, alpha, seasonality, horizon } = options;
+  const indexes = seasonality ? weekdayIndexes(series, days) : Array(7).fill(1);
+  const seasonFor = (date) => indexes[date.getUTCDay()];
+
+  // Smooth the deseasonalized series, then put the weekday shape back
+  const adjusted = series.map((units, index) => {
+    const season = seasonFor(days[index]);
+    return season > 0 ? units / season : 0;
+  });
+  const { level, fitted } = smooth(adjusted, method, alpha);
+
+  const errors = fitted
+    .slice(1)
+    .map((value, index) => series[index + 1] - value * seasonFor(days[index + 1]));
+  const sigma = errors.length
+    ? Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length)
+    : 0;
+
+  const lastDay = days[days.length - 1];
+  const dates = Array.from(
+    { length: horizon },
+    (_, index) => new Date(lastDay.getTime() + (index + 1) * DAY_MS)
+  );
+  const projected = dates.map((date) => level * seasonFor(date));
+  const daily = dates.map((date, index) => ({
+    date: dayKey(date),
+    units: round(projected[index]),
+    low: round(Math.max(projected[index] - Z_SCORE * sigma, 0)),
+    high: round(projected[index] + Z_SCORE * sigma),
+  }));
+
+  // Daily errors are treated as independent, so the band on the total grows
+  // with the square root of the horizon
+  const total = projected.reduce((sum, units) => sum + units, 0);
+  const spread = Z_SCORE * sigma * Math.sqrt(horizon);
+
+  return {
+    forecast_per_day: round(level),
+    forecast_units: round(total),
+    low: round(Math.max(total - spread, 0)),
+    high: round(total + spread),
+    weekday_indexes: seasonality ? indexes.map((index) => round(index)) : undefined,
+    daily,
+  };
+}
+
+// Forecast unit sales for the next `days` days for every product matching
+// the filters, from the last `history_days` days of sales. The suggested
+// order quantity covers the top of the confidence band and leaves stock at
+// the reorder point, so it is 0 when current stock and units already on
+// order cover that.
+export async function forecastDemand({
+  product_id,
+  type,
+  category,
+  days = FORECAST_DEFAULTS.days,
+  history_days = FORECAST_DEFAULTS.history_days,
+  method = FORECAST_DEFAULTS.method,
+  alpha = FORECAST_DEFAULTS.alpha,
+  seasonality = FORECAST_DEFAULTS.seasonality,
+} = {}) {
+  if (!FORECAST_METHODS.includes(method)) {
+    throw new ValidationError(`method must be one of: ${FORECAST_METHODS.join(", ")}`);
+  }
+  if (seasonality && history_days < MIN_SEASONAL_HISTORY) {
+    throw new ValidationError(
+      `Weekday seasonality needs at least ${MIN_SEASONAL_HISTORY} days of history`,
+      [{ field: "history_days", message: `must be at least ${MIN_SEASONAL_HISTORY} with seasonality` }]
+    );
+  }
+
+  const [products, onOrder] = await Promise.all([getProducts({ product_id, type, category }), unitsOnOrder()]);
+  const history = products.length
+    ? await dailyUnits(products.map((product) => product.id), history_days)
+    : { series: new Map() };
+
+  const forecasts = products.map((product) => {
+    const forecast = forecastSeries(history.series.get(product.id), history.days, {
+      method,
+      alpha,
+      seasonality,
+      horizon: days,
+    });
+    const ordered = onOrder.get(product.id) ?? 0;
+    const needed = Math.ceil(product.reorder_point + forecast.high - product.quantity_on_hand - ordered);
+
+    return {
+      id: product.id,
+      name: product.name,
+      type: product.type,
+      category: product.category,
+      quantity_on_hand: product.quantity_on_hand,
+      reorder_point: product.reorder_point,
+      reorder_quantity: product.reorder_quantity,
+      sales_per_day: product.sales_per_day,
+      ...forecast,
+      days_of_cover:
+        forecast.forecast_per_day > 0 ? round(product.quantity_on_hand / forecast.forecast_per_day, 1) : null,
+      quantity_on_order: ordered,
+      suggested_order_quantity: needed > 0 ? Math.max(product.reorder_quantity, needed) : 0,
+    };
+  });
+
+  return {
+    days,
+    history_days,
+    method,
+    alpha: method === "exponential_smoothing" ? alpha : undefined,
+    seasonality,
+    confidence: CONFIDENCE,
+    count: forecasts.length,
+    total_forecast_units: round(forecasts.reduce((sum, item) => sum + item.forecast_units, 0)),
+    total_suggested_order_quantity: forecasts.reduce((sum, item) => sum + item.suggested_order_quantity, 0),
+    products: forecasts,
+  };
+}
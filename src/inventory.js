@@ -0,0 +1,163 @@
+// Stock on hand. Recording a sale takes stock out (see src/sales.js) and
+// receiving goods puts it back, directly or against a purchase order (see
+// src/purchasing.js); low-stock reports use sales_per_day to estimate how
+// many days the current stock will last.
+
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { ValidationError } from "./errors.js";
+import { getProduct, getActiveProduct, getProducts, recordProductChange } from "./products.js";
+
+// Default number of days of cover below which a product counts as low
+export const LOW_STOCK_DAYS = 7;
+
+// Put received goods into stock. The change is audited like a product
+// update; stock taken out by sales is not, as the sales ledger records it.
+export async function receiveStock({ product_id, quantity } = {}) {
+  if (product_id === undefined || quantity === undefined) {
+    throw new ValidationError("Missing required fields: product_id, quantity");
+  }
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    throw new ValidationError("quantity must be a positive whole number");
+  }
+
+  return withTransaction(async () => {
+    const product = await getActiveProduct(product_id);
+    await dbRun(
+      `UPDATE products
+       SET quantity_on_hand = quantity_on_hand + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [Number(quantity), product_id]
+    );
+
+    const received = await getProduct(product_id);
+    await recordProductChange("update", product, received);
+    return received;
+  });
+}
+
+// Whether a product has never had its stock entered: one carried over from
+// before stock was tracked (so it has no "create" audit entry), whose
+// quantity_on_hand no audited change has set since
+async function lacksOpeningStock(product) {
+  if (product.quantity_on_hand !== 0) return false;
+  const entered = await dbGet(
+    `SELECT 1 FROM audit_log
+     WHERE product_id = ? AND (action = 'create' OR json_extract(changes, '$.quantity_on_hand') IS NOT NULL)
+     LIMIT 1`,
+    [product.id]
+  );
+  return !entered;
+}
+
+// Take stock out for a sale. Fails rather than letting stock go negative.
+export async function removeStock(product, quantity) {
+  if (product.quantity_on_hand < quantity) {
+    if (await lacksOpeningStock(product)) {
+      throw new ValidationError(
+        `${product.name} has no opening stock balance yet. Enter its quantity_on_hand (update_product, or import_products for a stock count) or receive stock before recording sales.`,
+        [{ field: "product_id", message: "has no opening stock balance" }]
+      );
+    }
+    throw new ValidationError(
+      `Not enough stock of ${product.name}: ${product.quantity_on_hand} on hand, ${quantity} requested`
+    );
+  }
+
+  await dbRun(
+    `UPDATE products
+     SET quantity_on_hand = quantity_on_hand - ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [quantity, product.id]
+  );
+}
+
+// Days the current stock lasts at the current sales rate (null when nothing sells)
+function daysOfCover(product) {
+  if (product.sales_per_day <= 0) return null;
+  return product.quantity_on_hand / product.sales_per_day;
+}
+
+// Units outstanding on open purchase orders (drafts included), as a Map of
+// product id to quantity
+export async function unitsOnOrder() {
+  const rows = await dbAll(
+    `SELECT l.product_id, SUM(l.quantity_ordered - l.quantity_received) as quantity
+     FROM purchase_order_lines l
+     JOIN purchase_orders o ON o.id = l.purchase_order_id
+     WHERE o.status IN ('draft', 'sent', 'partially_received')
+     GROUP BY l.product_id`
+  );
+  return new Map(rows.map((row) => [row.product_id, row.quantity]));
+}
+
+// Units outstanding on open purchase orders, and the preferred supplier,
+// per product id
+async function supplyByProduct() {
+  const [onOrder, preferred] = await Promise.all([
+    unitsOnOrder(),
+    dbAll(
+      `SELECT ps.product_id, s.id as supplier_id, s.name as supplier_name,
+              COALESCE(ps.lead_time_days, s.lead_time_days) as lead_time_days
+       FROM product_suppliers ps
+       JOIN suppliers s ON s.id = ps.supplier_id
+       WHERE ps.preferred = 1`
+    ),
+  ]);
+  return {
+    onOrder,
+    preferred: new Map(preferred.map((row) => [row.product_id, row])),
+  };
+}
+
+// Products at or below their reorder point, or with fewer than `days` days
+// of cover left. Each row carries a suggested order quantity that brings
+// stock back above the reorder point with `days` of sales to spare, counting
+// units already on order, and the preferred supplier to order from.
+export async function getLowStock({ days = LOW_STOCK_DAYS, type } = {}) {
+  const coverDays = Number(days);
+  const [products, supply] = await Promise.all([getProducts({ type }), supplyByProduct()]);
+
+  const lowStock = products
+    .map((product) => {
+      const cover = daysOfCover(product);
+      const onOrder = supply.onOrder.get(product.id) ?? 0;
+      const supplier = supply.preferred.get(product.id);
+      const needed = Math.ceil(
+        product.reorder_point + product.sales_per_day * coverDays - product.quantity_on_hand - onOrder
+      );
+      return {
+        id: product.id,
+        name: product.name,
+        type: product.type,
+        category: product.category,
+        quantity_on_hand: product.quantity_on_hand,
+        reorder_point: product.reorder_point,
+        reorder_quantity: product.reorder_quantity,
+        sales_per_day: product.sales_per_day,
+        days_of_cover: cover,
+        quantity_on_order: onOrder,
+        // Nothing more to order when what is on order already covers it
+        suggested_order_quantity: onOrder > 0 && needed <= 0 ? 0 : Math.max(product.reorder_quantity, needed, 0),
+        supplier_id: supplier?.supplier_id ?? null,
+        supplier_name: supplier?.supplier_name ?? null,
+        lead_time_days: supplier?.lead_time_days ?? null,
+      };
+    })
+    .filter(
+      (item) =>
+        item.quantity_on_hand <= item.reorder_point ||
+        (item.days_of_cover !== null && item.days_of_cover < coverDays)
+    )
+    // Soonest to run out first; products that are not selling go last
+    .sort((a, b) => {
+      if (a.days_of_cover === null) return b.days_of_cover === null ? 0 : 1;
+      if (b.days_of_cover === null) return -1;
+      return a.days_of_cover - b.days_of_cover;
+    });
+
+  return {
+    days: coverDays,
+    count: lowStock.length,
+    products: lowStock,
+  };
+}
@@ -0,0 +1,12 @@
+// Logging for both servers, filtered by the log_level setting. Everything
+// goes to stderr, because the MCP stdio transport owns stdout.
+
+import { getConfig, LOG_LEVELS } from "./config.js";
+
+function write(level, args) {
+  if (LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(getConfig().log_level)) {
+    console.error(...args);
+  }
+}
+
+export const log = Object.fromEntries(LOG_LEVELS.map((level) => [level, (...args) => write(level, args)]));
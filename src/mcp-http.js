@@ -0,0 +1,88 @@
+// The MCP Streamable HTTP transport as an Express router, so the MCP server
+// can be run over HTTP on its own (src/server.js --http) or mounted in the
+// web server. Clients POST JSON-RPC messages to it, GET it for a stream of
+// server messages and DELETE it to end their session.
+//
+// Each client session gets its own server from createServer, identified by
+// the Mcp-Session-Id header the transport hands out on initialize.
+
+import crypto from "crypto";
+import express from "express";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { log } from "./log.js";
+
+// A JSON-RPC error response for requests the transport never sees
+function rpcError(res, status, message) {
+  res.status(status).json({ jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+}
+
+// Constant-time comparison of a presented bearer token with the expected one
+function tokenMatches(presented, expected) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+// The bearer token to serve MCP over HTTP with: the mcp_token setting. An
+// endpoint without one is open to anyone who can reach the port, so that
+// takes --mcp-no-auth; otherwise the server refuses to start. flag is the
+// option that asked for HTTP, for the error message.
+export function requireMcpToken(config, flag, argv = process.argv) {
+  if (config.mcp_token) return config.mcp_token;
+  if (!argv.includes("--mcp-no-auth")) {
+    throw new Error(`${flag} needs the mcp_token setting (SHOP_MCP_TOKEN); add --mcp-no-auth to serve MCP without one`);
+  }
+  log.warn("No mcp_token set: the MCP endpoint is open to anyone who can reach it");
+  return null;
+}
+
+// token, when set, is required as "Authorization: Bearer <token>"
+export function createMcpRouter(createServer, { token } = {}) {
+  const router = express.Router();
+  const transports = new Map();
+
+  if (token) {
+    router.use((req, res, next) => {
+      const bearer = req.get("Authorization")?.match(/^Bearer\s+(\S+)$/i);
+      if (!bearer || !tokenMatches(bearer[1], token)) {
+        res.set("WWW-Authenticate", 'Bearer realm="mcp"');
+        return rpcError(res, 401, "Unauthorized: a valid bearer token is required");
+      }
+      next();
+    });
+  }
+
+  router.use(express.json({ limit: "10mb" }));
+
+  router.post("/", async (req, res) => {
+    const sessionId = req.get("Mcp-Session-Id");
+    let transport = sessionId && transports.get(sessionId);
+
+    if (!transport) {
+      if (sessionId) return rpcError(res, 404, "Session not found");
+      if (!isInitializeRequest(req.body)) {
+        return rpcError(res, 400, "Bad Request: initialize first to get a session");
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => transports.set(id, transport),
+      });
+      transport.onclose = () => transports.delete(transport.sessionId);
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // Server-to-client stream (GET) and session end (DELETE)
+  const sessionRequest = async (req, res) => {
+    const transport = transports.get(req.get("Mcp-Session-Id"));
+    if (!transport) return rpcError(res, 404, "Session not found");
+    await transport.handleRequest(req, res);
+  };
+  router.get("/", sessionRequest);
+  router.delete("/", sessionRequest);
+
+  return router;
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+// Versioned schema migrations. Each file in src/migrations is named
+// NNN_description.js and exports up() and down(); the versions applied to
+// a database are recorded in its schema_version table. Both servers run
+// migrateUp() at startup, and this file doubles as a command line tool:
+//
+//   node src/migrate.js status
+//   node src/migrate.js up [version]
+//   node src/migrate.js down [version]
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { closeDb, dbRun, dbAll, withTransaction } from "./db.js";
+import { getConfig } from "./config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    migrations.push({
+      id: path.basename(file, ".js"),
+      version: Number(match[1]),
+      name: match[2],
+      up: module.up,
+      down: module.down,
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const rows = await dbAll("SELECT version FROM schema_version ORDER BY version");
+  return new Set(rows.map((row) => row.version));
+}
+
+// Apply pending migrations in order, up to and including `target`.
+// Returns the migrations that were applied.
+export async function migrateUp(target = Infinity) {
+  const migrations = await loadMigrations();
+  const applied = await appliedVersions();
+  const done = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version) || migration.version > target) continue;
+
+    await withTransaction(async () => {
+      await migration.up();
+      await dbRun("INSERT INTO schema_version (version, name) VALUES (?, ?)", [
+        migration.version,
+        migration.name,
+      ]);
+    });
+    done.push(migration);
+  }
+
+  return done;
+}
+
+// Roll back applied migrations, newest first, until only versions at or
+// below `target` remain. Without a target, rolls back the latest one.
+export async function migrateDown(target) {
+  const migrations = await loadMigrations();
+  const applied = await appliedVersions();
+  const rollback = migrations.filter((migration) => applied.has(migration.version)).reverse();
+  const done = [];
+
+  if (target === undefined) {
+    target = rollback.length > 1 ? rollback[1].version : 0;
+  }
+
+  for (const migration of rollback) {
+    if (migration.version <= target) break;
+
+    await withTransaction(async () => {
+      await migration.down();
+      await dbRun("DELETE FROM schema_version WHERE version = ?", [migration.version]);
+    });
+    done.push(migration);
+  }
+
+  return done;
+}
+
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+  const rows = await dbAll("SELECT version, applied_at FROM schema_version").catch(() => []);
+  const appliedAt = new Map(rows.map((row) => [row.version, row.applied_at]));
+
+  return migrations.map((migration) => ({
+    id: migration.id,
+    version: migration.version,
+    name: migration.name,
+    applied_at: appliedAt.get(migration.version) || null,
+  }));
+}
+
+async function main() {
+  // Check the settings first, so a bad one is reported rather than read as
+  // an empty database
+  getConfig();
+
+  const [command = "status", version] = process.argv.slice(2);
+  const target = version === undefined ? undefined : Number(version);
+
+  if (version !== undefined && !Number.isInteger(target)) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+
+  switch (command) {
+    case "up": {
+      const done = await migrateUp(target);
+      if (done.length === 0) console.log("Database is up to date");
+      for (const migration of done) console.log(`Applied ${migration.id}`);
+      break;
+    }
+
+    case "down": {
+      const done = await migrateDown(target);
+      if (done.length === 0) console.log("Nothing to roll back");
+      for (const migration of done) console.log(`Rolled back ${migration.id}`);
+      break;
+    }
+
+    case "status": {
+      for (const migration of await migrationStatus()) {
+        const state = migration.applied_at ? `applied ${migration.applied_at}` : "pending";
+        console.log(`${migration.id}  ${state}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}. Use up, down or status.`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main()
+    .catch((error) => {
+      console.error("Migration failed:", error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => closeDb());
+}
@@ -0,0 +1,27 @@
+// The original products table. IF NOT EXISTS lets databases created before
+// the migration runner pass through unchanged.
+
+import { dbRun } from "../db.js";
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      category TEXT NOT NULL,
+      cost REAL NOT NULL,
+      sales_per_day REAL NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create index for faster queries
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_type ON products(type)`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_category ON products(category)`);
+}
+
+export async function down() {
+  await dbRun(`DROP TABLE IF EXISTS products`);
+}
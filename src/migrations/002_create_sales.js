@@ -0,0 +1,46 @@
+// Sales ledger: one row per sale. sales_per_day is derived from it, so the
+// hand-typed column on products goes away. Its figures are kept as an
+// opening history: each product gets its old rate of sales on each of the
+// last 7 days (the window sales_per_day averages over), at its price.
+
+import { dbRun, columnExists } from "../db.js";
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL REFERENCES products(id),
+      quantity INTEGER NOT NULL,
+      unit_price REAL NOT NULL,
+      sold_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_sales_product ON sales(product_id, sold_at)`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_sales_sold_at ON sales(sold_at)`);
+
+  if (await columnExists("products", "sales_per_day")) {
+    // Whole units per day that add up to the rate over the 7 days
+    const units = "CAST(round(p.sales_per_day * (d.n + 1)) AS INTEGER) - CAST(round(p.sales_per_day * d.n) AS INTEGER)";
+    await dbRun(`
+      WITH RECURSIVE d(n) AS (SELECT 0 UNION ALL SELECT n + 1 FROM d WHERE n < 6)
+      INSERT INTO sales (product_id, quantity, unit_price, sold_at)
+      SELECT p.id, ${units}, p.cost, datetime('now', '-' || d.n || ' days')
+      FROM products p, d
+      WHERE ${units} > 0
+      ORDER BY d.n DESC, p.id
+    `);
+    await dbRun(`ALTER TABLE products DROP COLUMN sales_per_day`);
+  }
+}
+
+// sales_per_day comes back as the average of the last 7 days of sales
+export async function down() {
+  await dbRun(`ALTER TABLE products ADD COLUMN sales_per_day REAL NOT NULL DEFAULT 0`);
+  await dbRun(`
+    UPDATE products SET sales_per_day = COALESCE(
+      (SELECT SUM(quantity) FROM sales
+       WHERE sales.product_id = products.id AND sold_at >= datetime('now', '-7 days')), 0
+    ) / 7.0
+  `);
+  await dbRun(`DROP TABLE IF EXISTS sales`);
+}
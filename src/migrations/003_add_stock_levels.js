@@ -0,0 +1,19 @@
+// Stock on hand and reorder settings per product
+
+import { dbRun, columnExists } from "../db.js";
+
+const COLUMNS = ["quantity_on_hand", "reorder_point", "reorder_quantity"];
+
+export async function up() {
+  for (const column of COLUMNS) {
+    if (!(await columnExists("products", column))) {
+      await dbRun(`ALTER TABLE products ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`);
+    }
+  }
+}
+
+export async function down() {
+  for (const column of COLUMNS) {
+    await dbRun(`ALTER TABLE products DROP COLUMN ${column}`);
+  }
+}
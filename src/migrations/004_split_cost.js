@@ -0,0 +1,28 @@
+// A single cost column used to serve as both what we pay and what we charge.
+// It was used as the selling price, so it becomes retail_price; unit_cost
+// starts out equal to it until the real purchase cost is entered. Sales keep
+// the unit cost at the time of sale so gross profit stays accurate.
+
+import { dbRun, columnExists } from "../db.js";
+
+export async function up() {
+  if (await columnExists("products", "cost")) {
+    await dbRun(`ALTER TABLE products RENAME COLUMN cost TO retail_price`);
+    await dbRun(`ALTER TABLE products ADD COLUMN unit_cost REAL NOT NULL DEFAULT 0`);
+    await dbRun(`UPDATE products SET unit_cost = retail_price`);
+  }
+
+  if (!(await columnExists("sales", "unit_cost"))) {
+    await dbRun(`ALTER TABLE sales ADD COLUMN unit_cost REAL NOT NULL DEFAULT 0`);
+    await dbRun(`
+      UPDATE sales
+      SET unit_cost = COALESCE((SELECT unit_cost FROM products WHERE products.id = sales.product_id), 0)
+    `);
+  }
+}
+
+export async function down() {
+  await dbRun(`ALTER TABLE sales DROP COLUMN unit_cost`);
+  await dbRun(`ALTER TABLE products DROP COLUMN unit_cost`);
+  await dbRun(`ALTER TABLE products RENAME COLUMN retail_price TO cost`);
+}
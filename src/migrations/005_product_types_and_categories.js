@@ -0,0 +1,105 @@
+// Product types and categories become tables. Each category belongs to a
+// type, and products point at their category, so a product's type is its
+// category's type. The free-text type and category columns are converted.
+
+import { dbRun, dbAll } from "../db.js";
+
+// The types and categories the shop started with, previously hard-coded in
+// the tool enums and the sales query parser
+const DEFAULT_CATEGORIES = {
+  hair: ["shampoo", "conditioner"],
+  perfume: ["gucci", "victoria_secret"],
+  skin: ["body_lotion", "moisturizer"],
+};
+
+// "victoria_secret" -> "Victoria Secret"
+function labelFor(name) {
+  return name
+    .split(/[_\s]+/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE product_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      label TEXT NOT NULL,
+      retired_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`
+    CREATE TABLE categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type_id INTEGER NOT NULL REFERENCES product_types(id),
+      name TEXT NOT NULL,
+      label TEXT NOT NULL,
+      retired_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (type_id, name)
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_categories_type ON categories(type_id)`);
+
+  // The shop's original taxonomy, plus any type or category already in use
+  const existing = await dbAll(`SELECT DISTINCT type, category FROM products`);
+  const pairs = [
+    ...Object.entries(DEFAULT_CATEGORIES).flatMap(([type, names]) =>
+      names.map((category) => ({ type, category }))
+    ),
+    ...existing,
+  ];
+  for (const type of new Set(pairs.map((pair) => pair.type))) {
+    await dbRun(`INSERT INTO product_types (name, label) VALUES (?, ?)`, [type, labelFor(type)]);
+  }
+  const seen = new Set();
+  for (const { type, category } of pairs) {
+    if (seen.has(`${type}/${category}`)) continue;
+    seen.add(`${type}/${category}`);
+    await dbRun(
+      `INSERT INTO categories (type_id, name, label)
+       SELECT id, ?, ? FROM product_types WHERE name = ?`,
+      [category, labelFor(category), type]
+    );
+  }
+
+  await dbRun(`ALTER TABLE products ADD COLUMN category_id INTEGER REFERENCES categories(id)`);
+  await dbRun(`
+    UPDATE products
+    SET category_id = (
+      SELECT c.id
+      FROM categories c
+      JOIN product_types t ON t.id = c.type_id
+      WHERE t.name = products.type AND c.name = products.category
+    )
+  `);
+
+  await dbRun(`DROP INDEX IF EXISTS idx_type`);
+  await dbRun(`DROP INDEX IF EXISTS idx_category`);
+  await dbRun(`ALTER TABLE products DROP COLUMN type`);
+  await dbRun(`ALTER TABLE products DROP COLUMN category`);
+  await dbRun(`CREATE INDEX idx_products_category ON products(category_id)`);
+}
+
+export async function down() {
+  await dbRun(`ALTER TABLE products ADD COLUMN type TEXT NOT NULL DEFAULT ''`);
+  await dbRun(`ALTER TABLE products ADD COLUMN category TEXT NOT NULL DEFAULT ''`);
+  await dbRun(`
+    UPDATE products
+    SET
+      type = COALESCE((
+        SELECT t.name FROM categories c JOIN product_types t ON t.id = c.type_id
+        WHERE c.id = products.category_id
+      ), ''),
+      category = COALESCE((SELECT c.name FROM categories c WHERE c.id = products.category_id), '')
+  `);
+
+  await dbRun(`DROP INDEX IF EXISTS idx_products_category`);
+  await dbRun(`ALTER TABLE products DROP COLUMN category_id`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_type ON products(type)`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_category ON products(category)`);
+  await dbRun(`DROP TABLE categories`);
+  await dbRun(`DROP TABLE product_types`);
+}
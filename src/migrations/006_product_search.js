@@ -0,0 +1,68 @@
+// Product descriptions and a full-text index over name, category and
+// description. products_fts is kept in step with products and categories
+// by triggers; its rowid is the product id.
+
+import { dbRun } from "../db.js";
+
+// What a product contributes to the index. Category names are indexed with
+// their labels so "body_lotion" is found as "body lotion".
+function ftsRow(product) {
+  return `
+    SELECT
+      ${product}.id,
+      ${product}.name,
+      COALESCE((SELECT c.name || ' ' || c.label FROM categories c WHERE c.id = ${product}.category_id), ''),
+      ${product}.description
+  `;
+}
+
+export async function up() {
+  await dbRun(`ALTER TABLE products ADD COLUMN description TEXT NOT NULL DEFAULT ''`);
+
+  await dbRun(`
+    CREATE VIRTUAL TABLE products_fts USING fts5(
+      name,
+      category,
+      description,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+  // Lists every indexed term, for matching misspelled search terms
+  await dbRun(`CREATE VIRTUAL TABLE products_fts_vocab USING fts5vocab(products_fts, 'row')`);
+
+  await dbRun(`
+    CREATE TRIGGER products_fts_insert AFTER INSERT ON products BEGIN
+      INSERT INTO products_fts (rowid, name, category, description) ${ftsRow("NEW")};
+    END
+  `);
+  await dbRun(`
+    CREATE TRIGGER products_fts_update AFTER UPDATE OF name, category_id, description ON products BEGIN
+      DELETE FROM products_fts WHERE rowid = OLD.id;
+      INSERT INTO products_fts (rowid, name, category, description) ${ftsRow("NEW")};
+    END
+  `);
+  await dbRun(`
+    CREATE TRIGGER products_fts_delete AFTER DELETE ON products BEGIN
+      DELETE FROM products_fts WHERE rowid = OLD.id;
+    END
+  `);
+  await dbRun(`
+    CREATE TRIGGER products_fts_category_update AFTER UPDATE OF name, label ON categories BEGIN
+      DELETE FROM products_fts WHERE rowid IN (SELECT id FROM products WHERE category_id = NEW.id);
+      INSERT INTO products_fts (rowid, name, category, description)
+        ${ftsRow("p")} FROM products p WHERE p.category_id = NEW.id;
+    END
+  `);
+
+  await dbRun(`INSERT INTO products_fts (rowid, name, category, description) ${ftsRow("p")} FROM products p`);
+}
+
+export async function down() {
+  await dbRun(`DROP TRIGGER IF EXISTS products_fts_insert`);
+  await dbRun(`DROP TRIGGER IF EXISTS products_fts_update`);
+  await dbRun(`DROP TRIGGER IF EXISTS products_fts_delete`);
+  await dbRun(`DROP TRIGGER IF EXISTS products_fts_category_update`);
+  await dbRun(`DROP TABLE IF EXISTS products_fts_vocab`);
+  await dbRun(`DROP TABLE IF EXISTS products_fts`);
+  await dbRun(`ALTER TABLE products DROP COLUMN description`);
+}
@@ -0,0 +1,14 @@
+// Stock keeping units. Optional, but unique when set, so supplier price
+// lists can be matched to products by SKU.
+
+import { dbRun } from "../db.js";
+
+export async function up() {
+  await dbRun(`ALTER TABLE products ADD COLUMN sku TEXT`);
+  await dbRun(`CREATE UNIQUE INDEX idx_products_sku ON products(sku) WHERE sku IS NOT NULL`);
+}
+
+export async function down() {
+  await dbRun(`DROP INDEX IF EXISTS idx_products_sku`);
+  await dbRun(`ALTER TABLE products DROP COLUMN sku`);
+}
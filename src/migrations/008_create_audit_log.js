@@ -0,0 +1,38 @@
+// Append-only history of product changes: what each add, update and delete
+// changed, when, and through which surface. Triggers refuse to edit or
+// remove entries.
+
+import { dbRun } from "../db.js";
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      source TEXT NOT NULL,
+      operation TEXT,
+      old_values TEXT,
+      new_values TEXT,
+      changes TEXT NOT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_audit_log_product ON audit_log(product_id, changed_at)`);
+  await dbRun(`CREATE INDEX idx_audit_log_changed_at ON audit_log(changed_at)`);
+
+  await dbRun(`
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END
+  `);
+  await dbRun(`
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END
+  `);
+}
+
+export async function down() {
+  await dbRun(`DROP TABLE IF EXISTS audit_log`);
+}
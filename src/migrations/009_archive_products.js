@@ -0,0 +1,58 @@
+// Soft delete. Deleting a product now archives it: archived_at is set and
+// the product drops out of listings and reports until it is restored.
+// Purging removes the row for good. The audit log gains the archive and
+// restore actions; SQLite cannot change a CHECK constraint in place, so the
+// table is rebuilt with its entries.
+
+import { dbRun } from "../db.js";
+
+async function rebuildAuditLog(actions, copyAction) {
+  await dbRun(`
+    CREATE TABLE audit_log_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN (${actions.map((action) => `'${action}'`).join(", ")})),
+      source TEXT NOT NULL,
+      operation TEXT,
+      old_values TEXT,
+      new_values TEXT,
+      changes TEXT NOT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`
+    INSERT INTO audit_log_new (id, product_id, action, source, operation, old_values, new_values, changes, changed_at)
+    SELECT id, product_id, ${copyAction}, source, operation, old_values, new_values, changes, changed_at
+    FROM audit_log
+  `);
+  await dbRun(`DROP TABLE audit_log`);
+  await dbRun(`ALTER TABLE audit_log_new RENAME TO audit_log`);
+
+  await dbRun(`CREATE INDEX idx_audit_log_product ON audit_log(product_id, changed_at)`);
+  await dbRun(`CREATE INDEX idx_audit_log_changed_at ON audit_log(changed_at)`);
+  await dbRun(`
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END
+  `);
+  await dbRun(`
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END
+  `);
+}
+
+export async function up() {
+  await dbRun(`ALTER TABLE products ADD COLUMN archived_at DATETIME`);
+  await rebuildAuditLog(["create", "update", "archive", "restore", "delete"], "action");
+}
+
+// Archived products come back as live ones, and their archive and restore
+// entries are kept as updates
+export async function down() {
+  await rebuildAuditLog(
+    ["create", "update", "delete"],
+    "CASE WHEN action IN ('archive', 'restore') THEN 'update' ELSE action END"
+  );
+  await dbRun(`ALTER TABLE products DROP COLUMN archived_at`);
+}
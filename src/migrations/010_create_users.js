@@ -0,0 +1,35 @@
+// Accounts for the web server. Passwords are stored as scrypt hashes and
+// sessions by the SHA-256 of their token, so neither can be read back from
+// the database. Audit entries gain the name of the user who made the change.
+
+import { dbRun } from "../db.js";
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'clerk', 'manager')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`
+    CREATE TABLE sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_sessions_user ON sessions(user_id)`);
+
+  await dbRun(`ALTER TABLE audit_log ADD COLUMN username TEXT`);
+}
+
+export async function down() {
+  await dbRun(`ALTER TABLE audit_log DROP COLUMN username`);
+  await dbRun(`DROP TABLE IF EXISTS sessions`);
+  await dbRun(`DROP TABLE IF EXISTS users`);
+}
@@ -0,0 +1,74 @@
+// Where products come from. Suppliers are linked to the products they
+// sell, with their own SKU, price and lead time; one link per product can be
+// marked preferred. Purchase orders go to one supplier and have a line per
+// product, each tracking how much of it has been received.
+
+import { dbRun } from "../db.js";
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE suppliers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      email TEXT,
+      phone TEXT,
+      notes TEXT,
+      lead_time_days INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`
+    CREATE TABLE product_suppliers (
+      product_id INTEGER NOT NULL REFERENCES products(id),
+      supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+      supplier_sku TEXT,
+      unit_cost REAL,
+      lead_time_days INTEGER,
+      preferred INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (product_id, supplier_id)
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_product_suppliers_supplier ON product_suppliers(supplier_id)`);
+  await dbRun(
+    `CREATE UNIQUE INDEX idx_product_suppliers_preferred ON product_suppliers(product_id) WHERE preferred = 1`
+  );
+
+  await dbRun(`
+    CREATE TABLE purchase_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+      status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+      notes TEXT,
+      expected_at DATE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME,
+      received_at DATETIME,
+      cancelled_at DATETIME
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_purchase_orders_supplier ON purchase_orders(supplier_id)`);
+  await dbRun(`CREATE INDEX idx_purchase_orders_status ON purchase_orders(status)`);
+
+  await dbRun(`
+    CREATE TABLE purchase_order_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id),
+      product_id INTEGER NOT NULL REFERENCES products(id),
+      quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+      quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received <= quantity_ordered),
+      unit_cost REAL NOT NULL,
+      UNIQUE (purchase_order_id, product_id)
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_purchase_order_lines_product ON purchase_order_lines(product_id)`);
+}
+
+export async function down() {
+  await dbRun(`DROP TABLE IF EXISTS purchase_order_lines`);
+  await dbRun(`DROP TABLE IF EXISTS purchase_orders`);
+  await dbRun(`DROP TABLE IF EXISTS product_suppliers`);
+  await dbRun(`DROP TABLE IF EXISTS suppliers`);
+}
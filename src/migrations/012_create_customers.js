@@ -0,0 +1,33 @@
+// Customers, and who bought what. A sale may name the customer who made it;
+// sales without one stay anonymous. Marketing consent is kept per channel,
+// with when it last changed.
+
+import { dbRun } from "../db.js";
+
+export async function up() {
+  await dbRun(`
+    CREATE TABLE customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT UNIQUE COLLATE NOCASE,
+      phone TEXT,
+      notes TEXT,
+      email_consent INTEGER NOT NULL DEFAULT 0,
+      sms_consent INTEGER NOT NULL DEFAULT 0,
+      consent_updated_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbRun(`CREATE INDEX idx_customers_name ON customers(name COLLATE NOCASE)`);
+
+  await dbRun(`ALTER TABLE sales ADD COLUMN customer_id INTEGER REFERENCES customers(id)`);
+  await dbRun(`CREATE INDEX idx_sales_customer ON sales(customer_id, sold_at)`);
+}
+
+// Sales lose their customers
+export async function down() {
+  await dbRun(`DROP INDEX IF EXISTS idx_sales_customer`);
+  await dbRun(`ALTER TABLE sales DROP COLUMN customer_id`);
+  await dbRun(`DROP TABLE IF EXISTS customers`);
+}
@@ -0,0 +1,491 @@
+// Natural-language sales questions, as asked in the dashboard's Ask tab
+// (POST /api/query) and of MCP clients through the ask_sales tool.
+// parseSalesQuery works out what a question asks for; answerSalesQuery
+// answers it from the sales ledger, with a summary in plain words.
+//
+// A question is read as phrases, each of which sets part of the answer:
+//
+//   filters      a product type, category or product name, by name or label
+//                ("hair shampoo", "gucci bloom"); prices and costs ("under
+//                $15", "costing between $5 and $10")
+//   period       a window ("today", "this week", "last 30 days", default the
+//                last 7 days) and the unit figures are given in ("per day",
+//                "weekly", "per month")
+//   intent       top-N ("top 3 sellers", "worst 2 by revenue"), comparisons
+//                ("perfume vs skin"), aggregates ("average price", "total
+//                revenue", "how many products"), or else a list of products
+//
+// Words that are none of these and not part of a product's name are
+// reported back as unrecognized rather than silently used as a filter.
+
+import { getConfig } from "./config.js";
+import { ValidationError } from "./errors.js";
+import { getProducts, getSalesByProduct, marginPct, SALES_WINDOW_DAYS } from "./products.js";
+import { getVocabulary } from "./taxonomy.js";
+
+export const DEFAULT_TOP = 5;
+export const MAX_TOP = 100;
+export const MAX_DAYS = 3650;
+
+// Days in each unit a period can be given in
+export const PERIOD_DAYS = { day: 1, week: 7, month: 30 };
+
+// What a question can rank or add up, and the words for each. When a
+// question names several, the first in this order wins, so the generic
+// "sales" only counts when nothing more specific was asked for.
+export const METRICS = ["revenue", "gross_profit", "margin_pct", "unit_cost", "retail_price", "sales"];
+
+const METRIC_WORDS = [
+  ["revenue", /\b(?:revenue|income|earnings|turnover|takings|made|make|makes|earned|earn)\b/g],
+  ["gross_profit", /\b(?:gross\s+)?profits?\b|\bprofitable\b/g],
+  ["margin_pct", /\bmargins?\b/g],
+  ["unit_cost", /\b(?:unit\s+)?costs?\b/g],
+  ["retail_price", /\b(?:retail\s+)?prices?\b|\bexpensive\b|\bcheap\b/g],
+  ["sales", /\b(?:sales|sale|units|sellers?|selling|sold|sells?|bought)\b/g],
+];
+
+// Words that carry no meaning of their own in a question
+const STOPWORDS = new Set(
+  `a an the me my our us we i you your show list give get tell display find what whats what's which who how
+   is are was were be been being did do does doing done have has had of for in on at by to from with and or
+   all any each every much many please there it its it's that this these those so far product products item
+   items range ranges line lines stock figures numbers report performance performing perform performed
+   than then compared between day days week weeks month months`.split(/\s+/)
+);
+
+const AMOUNT = String.raw`[$€£]?\s*(\d+(?:\.\d+)?)(?:\s*(?:dollars|bucks|euros|pounds))?`;
+const RANGE_FIELD = String.raw`(?:\b(unit\s+costs?|costs?|costing|priced|prices?|retail\s+prices?)\s+(?:(?:is|are|of)\s+)?)?`;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// The ways a type or category can appear in a question: its name, its name
+// with spaces for underscores, and its label
+function spellings(name, labels) {
+  return [...new Set([name, name.replace(/_/g, " "), (labels[name] || "").toLowerCase()])].filter(Boolean);
+}
+
+// A filter value, or a list of them when a question names several
+function oneOrMany(values) {
+  return values.length === 1 ? values[0] : values;
+}
+
+// Work out what a question asks for. vocabulary lists the shop's current
+// types and categories (see getVocabulary in src/taxonomy.js) and, in
+// names, its products.
+//
+// The result keeps the { period, scope } shape of the first version of the
+// parser, with:
+//
+//   intent        "list", "top", "compare" or "aggregate"
+//   period        "day", "week" or "month" for figures per unit of time, or
+//                 "total" for totals over the window
+//   days          length of the window, in days back from now
+//   scope         filters: type, category and name (each a value, or a list
+//                 of values any of which may match), min_price, max_price,
+//                 min_cost and max_cost
+//   metric        one of METRICS: what top ranks by and aggregate works out
+//   top           for "top": { count, order } with order "desc" or "asc"
+//   compare       for "compare": a scope per side, applied on top of scope
+//   aggregate     for "aggregate": "average", "total" or "count"
+//   unrecognized  words that were not understood
+//
+// An empty question, or one that cannot be answered as asked, gives
+// { error } instead.
+export function parseSalesQuery(query, { types, categories, labels, names = [] }) {
+  const question = String(query || "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .trim();
+  if (!question) return { error: "Empty query" };
+
+  // Each phrase understood is blanked out of `rest`, so it is read once and
+  // whatever is left over can be reported
+  let rest = question;
+  const take = (pattern, onMatch = () => {}) => {
+    rest = rest.replace(pattern, (...match) => {
+      onMatch(match, match.at(-2));
+      return " ".repeat(match[0].length);
+    });
+  };
+
+  // Entities come first, as product names can hold other phrases ("Moisturizer
+  // Daily"). Whole product names before types and categories, so "Gucci
+  // Bloom" is a product and not the gucci category.
+  const entities = [];
+  const findEntity = (kind, value, spelling, plural) => {
+    take(new RegExp(`\\b${escapeRegExp(spelling)}${plural ? "(?:e?s)?" : ""}\\b`, "g"), (match, index) => {
+      entities.push({ kind, value, index });
+    });
+  };
+  const productNames = [...new Set(names.map((name) => name.toLowerCase()))].sort((a, b) => b.length - a.length);
+  for (const name of productNames) findEntity("name", name, name, false);
+  for (const type of types) {
+    for (const spelling of spellings(type, labels)) findEntity("type", type, spelling, true);
+  }
+  for (const category of categories) {
+    for (const spelling of spellings(category, labels)) findEntity("category", category, spelling, true);
+  }
+
+  // Window and period. Explicit lengths first, so "over 30 days" is not a
+  // price filter.
+  let days;
+  let windowUnit;
+  let rate;
+  take(
+    /\b(?:(?:in|over|for|during|from)\s+)?(?:the\s+)?(?:(?:last|past|previous)\s+)?(\d+)\s+(day|week|month)s?\b/g,
+    ([, count, unit]) => {
+      days = Number(count) * PERIOD_DAYS[unit];
+    }
+  );
+  take(/\b(?:(?:in|over|for|during)\s+)?(?:the\s+)?(?:last|past|previous|this)\s+(day|week|month)\b/g, ([, unit]) => {
+    windowUnit = unit;
+  });
+  take(/\btoday\b/g, () => {
+    windowUnit = "day";
+  });
+  take(/\b(?:per|a|each|every)\s+(day|week|month)\b/g, ([, unit]) => {
+    rate = unit;
+  });
+  take(/\b(daily|weekly|monthly)\b/g, ([, word]) => {
+    rate = { daily: "day", weekly: "week", monthly: "month" }[word];
+  });
+  take(/\b(week|month)s?\b/g, ([, unit]) => {
+    windowUnit ??= unit;
+  });
+
+  // Price and cost ranges, on the retail price unless cost is mentioned
+  const scope = {};
+  const bound = (field, side, amount) => {
+    const key = `${side}_${/cost/.test(field || "") ? "cost" : "price"}`;
+    scope[key] = Number(amount);
+  };
+  take(new RegExp(`${RANGE_FIELD}\\bbetween\\s+${AMOUNT}\\s+and\\s+${AMOUNT}`, "g"), ([, field, low, high]) => {
+    bound(field, "min", Math.min(low, high));
+    bound(field, "max", Math.max(low, high));
+  });
+  take(
+    new RegExp(`${RANGE_FIELD}[$€£](\\d+(?:\\.\\d+)?)\\s*(?:-|to)\\s*[$€£]?(\\d+(?:\\.\\d+)?)`, "g"),
+    ([, field, low, high]) => {
+      bound(field, "min", Math.min(low, high));
+      bound(field, "max", Math.max(low, high));
+    }
+  );
+  take(
+    new RegExp(
+      `${RANGE_FIELD}\\b(?:under|below|less\\s+than|cheaper\\s+than|up\\s+to|at\\s+most|no\\s+more\\s+than)\\s+${AMOUNT}`,
+      "g"
+    ),
+    ([, field, amount]) => bound(field, "max", amount)
+  );
+  take(
+    new RegExp(
+      `${RANGE_FIELD}\\b(?:over|above|more\\s+than|greater\\s+than|at\\s+least|more\\s+expensive\\s+than)\\s+${AMOUNT}`,
+      "g"
+    ),
+    ([, field, amount]) => bound(field, "min", amount)
+  );
+
+  // Top-N, comparisons and aggregates
+  let top;
+  take(/\b(top|best|highest|most|bottom|worst|lowest|least)(?:\s+(\d+))?\b/g, ([, word, count]) => {
+    top = {
+      count: count === undefined ? DEFAULT_TOP : Number(count),
+      order: ["top", "best", "highest", "most"].includes(word) ? "desc" : "asc",
+    };
+  });
+  let cheapest = false;
+  take(/\b(?:cheapest|priciest)\b/g, ([word]) => {
+    top ??= { count: 1, order: word === "cheapest" ? "asc" : "desc" };
+    cheapest = true;
+  });
+
+  let compare = false;
+  take(/\b(?:vs\.?|versus|compared?\s+(?:to|with)|against|compare)(?=\s|$)/g, () => {
+    compare = true;
+  });
+
+  let aggregate;
+  take(/\b(?:average|avg|mean)\b/g, () => {
+    aggregate = "average";
+  });
+  take(/\b(?:total|sum|overall|altogether|how\s+much)\b/g, () => {
+    aggregate ??= "total";
+  });
+  take(/\b(?:how\s+many|count|number\s+of)\b/g, () => {
+    aggregate ??= "count";
+  });
+
+  let metric = METRIC_WORDS.find(([, pattern]) => rest.search(pattern) !== -1)?.[0] ?? "sales";
+  if (cheapest) metric = "retail_price";
+  for (const [, pattern] of METRIC_WORDS) take(pattern);
+
+  // What is left: words from product names, stopwords, and the rest, which
+  // was not understood. Adjacent words are tried together first, so "secret
+  // angel" is read as one name.
+  const words = [...rest.matchAll(/[\p{L}\p{N}'$€£.]+/gu)]
+    .map((match) => ({ word: match[0].replace(/^'+|[.']+$/g, ""), index: match.index }))
+    .filter(({ word }) => word && !STOPWORDS.has(word));
+  const runs = [];
+  for (const entry of words) {
+    const previous = runs.at(-1)?.at(-1);
+    const between = previous && question.slice(previous.index + previous.word.length, entry.index);
+    if (previous && /^[\s'-]*$/.test(between)) runs.at(-1).push(entry);
+    else runs.push([entry]);
+  }
+
+  const inSomeName = (text) => productNames.some((name) => name.includes(text));
+  const unrecognized = [];
+  for (const run of runs) {
+    const phrase = run.map(({ word }) => word).join(" ");
+    if (run.length > 1 && inSomeName(phrase)) {
+      entities.push({ kind: "name", value: phrase, index: run[0].index });
+      continue;
+    }
+    for (const { word, index } of run) {
+      if (!/^\d/.test(word) && word.length > 2 && inSomeName(word)) {
+        entities.push({ kind: "name", value: word, index });
+      } else {
+        unrecognized.push(word);
+      }
+    }
+  }
+  entities.sort((a, b) => a.index - b.index);
+
+  // Put the answer together
+  let error;
+  if (days !== undefined && (days < 1 || days > MAX_DAYS)) {
+    error = `The period must be between 1 and ${MAX_DAYS} days`;
+  }
+  if (top && (top.count < 1 || top.count > MAX_TOP)) {
+    error = `Top lists can have 1 to ${MAX_TOP} products`;
+  }
+  const sides = [];
+  for (const { kind, value } of entities) {
+    if (!sides.some((side) => side[kind] === value)) sides.push({ [kind]: value });
+  }
+  if (compare && sides.length < 2) {
+    error = 'Name two or more types, categories or products to compare, e.g. "perfume vs skin"';
+  }
+  if (error) return { error };
+
+  if (!compare) {
+    for (const kind of ["type", "category", "name"]) {
+      const values = sides.filter((side) => kind in side).map((side) => side[kind]);
+      if (values.length > 0) scope[kind] = oneOrMany(values);
+    }
+  }
+
+  // "how many units" and "how many ... sold" ask for a total, not a count
+  // of products
+  if (aggregate === "count" && metric === "sales" && /\b(?:units|sold|sell)\b/.test(question)) {
+    aggregate = "total";
+  }
+
+  const parsed = {
+    intent: top ? "top" : compare ? "compare" : aggregate ? "aggregate" : "list",
+    period: rate ?? windowUnit ?? (days !== undefined ? "total" : "day"),
+    days: days ?? PERIOD_DAYS[windowUnit] ?? Math.max(SALES_WINDOW_DAYS, PERIOD_DAYS[rate] ?? 0),
+    scope,
+    metric,
+  };
+  if (top) parsed.top = top;
+  if (compare) parsed.compare = sides;
+  if (aggregate) parsed.aggregate = aggregate;
+  parsed.unrecognized = unrecognized;
+  return parsed;
+}
+
+// Whether a product's sales row passes a scope's filters
+function inScope(row, scope) {
+  const anyOf = (value) => [].concat(value);
+  return (
+    (scope.type === undefined || anyOf(scope.type).includes(row.type)) &&
+    (scope.category === undefined || anyOf(scope.category).includes(row.category)) &&
+    (scope.name === undefined || anyOf(scope.name).some((name) => row.name.toLowerCase().includes(name))) &&
+    (scope.min_price === undefined || row.retail_price >= scope.min_price) &&
+    (scope.max_price === undefined || row.retail_price <= scope.max_price) &&
+    (scope.min_cost === undefined || row.unit_cost >= scope.min_cost) &&
+    (scope.max_cost === undefined || row.unit_cost <= scope.max_cost)
+  );
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function totalsOf(items) {
+  const sum = (field) => items.reduce((total, item) => total + item[field], 0);
+  const revenue = sum("revenue");
+  const grossProfit = sum("gross_profit");
+  return {
+    count: items.length,
+    sales: round(sum("sales")),
+    revenue: round(revenue),
+    gross_profit: round(grossProfit),
+    margin_pct: marginPct(revenue, grossProfit),
+  };
+}
+
+// An aggregate of one metric over some products. Margins are worked out
+// from the products' combined revenue and profit rather than added up.
+function aggregateOf(aggregate, metric, items) {
+  if (aggregate === "count") return items.length;
+  const totals = totalsOf(items);
+  if (metric === "margin_pct") return totals.margin_pct;
+  const total = items.reduce((sum, item) => sum + item[metric], 0);
+  if (aggregate === "total") return round(total);
+  return items.length === 0 ? null : round(total / items.length);
+}
+
+// How the summary words each metric and aggregate
+const METRIC_NAMES = {
+  revenue: "revenue",
+  gross_profit: "gross profit",
+  margin_pct: "margin",
+  unit_cost: "unit cost",
+  retail_price: "retail price",
+  sales: "units sold",
+};
+const AGGREGATE_NAMES = { average: "Average", total: "Total" };
+
+function formatMoney(value) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: getConfig().currency }).format(value);
+}
+
+// Metrics that add up over time, and so are given per period
+const FLOW_METRICS = new Set(["sales", "revenue", "gross_profit"]);
+
+function formatValue(metric, value, rate = "") {
+  if (value === null) return "n/a";
+  if (metric === "margin_pct") return `${value}%`;
+  const amount = metric === "sales" ? `${value} units` : formatMoney(value);
+  return FLOW_METRICS.has(metric) ? amount + rate : amount;
+}
+
+function countOf(count) {
+  return `${count} ${count === 1 ? "product" : "products"}`;
+}
+
+// A scope in words: "hair, under $15", or "all products"
+function describeScope(scope, labels) {
+  const names = (value, spell) => [].concat(value).map(spell).join(" or ");
+  const label = (name) => labels[name] || name.replace(/_/g, " ");
+  const range = (what, min, max) => {
+    if (min !== undefined && max !== undefined) return `${what} ${formatMoney(min)} to ${formatMoney(max)}`;
+    if (min !== undefined) return `${what} ${formatMoney(min)} or more`;
+    if (max !== undefined) return `${what} ${formatMoney(max)} or less`;
+    return null;
+  };
+  const parts = [
+    scope.type !== undefined ? names(scope.type, label) : null,
+    scope.category !== undefined ? names(scope.category, label) : null,
+    scope.name !== undefined ? names(scope.name, (name) => `"${name}"`) : null,
+    range("priced", scope.min_price, scope.max_price),
+    range("costing", scope.min_cost, scope.max_cost),
+  ].filter(Boolean);
+  return parts.length ? parts.join(", ") : "all products";
+}
+
+// A one-paragraph answer in plain words, for people and models that would
+// rather not read the figures
+function summarize(answer, labels) {
+  const { interpreted, totals, items, groups } = answer;
+  const { period, days, scope, metric, top, aggregate, unrecognized } = interpreted;
+  const window = days === 1 ? "today" : `over the last ${days} days`;
+  const rate = period === "total" ? "" : ` a ${period}`;
+  const scopeText = describeScope(scope, labels);
+  let text;
+
+  if (items.length === 0) {
+    text = `No products match (${scopeText}).`;
+  } else if (aggregate === "count" && !groups) {
+    text = `${countOf(answer.answer.value)} (${scopeText}).`;
+  } else if (aggregate && !groups) {
+    text =
+      `${AGGREGATE_NAMES[aggregate]} ${METRIC_NAMES[metric]} (${scopeText}), ${window}: ` +
+      `${formatValue(metric, answer.answer.value, rate)}.`;
+  } else if (groups) {
+    const figure = (group) => (aggregate && aggregate !== "count" ? group.value : group[metric] ?? group.sales);
+    const clauses = groups.map(
+      (group) =>
+        `${describeScope(group.scope, labels)}: ${countOf(group.count)}, ${group.sales} units and ` +
+        `${formatMoney(group.revenue)} revenue${rate}`
+    );
+    text = `${clauses.join("; ")} (${window}).`;
+    const ranked = [...groups].sort((a, b) => (figure(b) ?? -Infinity) - (figure(a) ?? -Infinity));
+    if (figure(ranked[0]) !== figure(ranked[1])) {
+      const by = aggregate || metric in ranked[0] ? METRIC_NAMES[metric] : METRIC_NAMES.sales;
+      text += ` ${describeScope(ranked[0].scope, labels)} leads on ${by}.`;
+    }
+  } else if (top) {
+    const ranking = items.map((item) => `${item.name} (${formatValue(metric, item[metric], rate)})`).join(", ");
+    const heading =
+      top.count === 1
+        ? `${top.order === "asc" ? "Lowest" : "Highest"} ${METRIC_NAMES[metric]}`
+        : `${top.order === "asc" ? "Bottom" : "Top"} ${items.length} by ${METRIC_NAMES[metric]}`;
+    text = `${heading} (${scopeText}), ${window}: ${ranking}.`;
+  } else {
+    text =
+      `${countOf(totals.count)} (${scopeText}) sold ${totals.sales} units${rate} ` +
+      `for ${formatMoney(totals.revenue)} revenue` +
+      (totals.margin_pct === null ? "" : ` at a ${totals.margin_pct}% margin`) +
+      `, ${window}.`;
+  }
+  if (unrecognized.length) text += ` Not understood: ${unrecognized.join(", ")}.`;
+  return text;
+}
+
+// Answer a question: a summary in words, what it was taken to mean, the
+// products it covers with their sales over the period, and their totals.
+// Comparisons add a group per side and aggregates an answer.
+export async function answerSalesQuery(question) {
+  const [vocabulary, products] = await Promise.all([getVocabulary(), getProducts()]);
+  const interpreted = parseSalesQuery(question, { ...vocabulary, names: products.map((product) => product.name) });
+  if (interpreted.error) {
+    throw new ValidationError(interpreted.error, [{ field: "question", message: interpreted.error }]);
+  }
+
+  const { period, days, scope, metric, top, compare, aggregate } = interpreted;
+  const divisor = period === "total" ? 1 : days / PERIOD_DAYS[period];
+  const rows = (await getSalesByProduct({}, days)).filter((row) =>
+    compare ? compare.some((side) => inScope(row, { ...scope, ...side })) : inScope(row, scope)
+  );
+
+  let items = rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    category: row.category,
+    unit_cost: row.unit_cost,
+    retail_price: row.retail_price,
+    sales: round(row.units / divisor),
+    revenue: round(row.revenue / divisor),
+    gross_profit: round(row.gross_profit / divisor),
+    margin_pct: row.margin_pct,
+    period,
+  }));
+
+  // Best first by the metric; products without a margin go last
+  const direction = top?.order === "asc" ? 1 : -1;
+  items.sort((a, b) => {
+    if (a[metric] === null || b[metric] === null) return (a[metric] === null) - (b[metric] === null);
+    return direction * (a[metric] - b[metric]);
+  });
+  if (top) items = items.slice(0, top.count);
+
+  const answer = { interpreted, totals: totalsOf(items), items };
+  if (compare) {
+    answer.groups = compare.map((side) => {
+      const members = items.filter((item) => inScope(item, { ...scope, ...side }));
+      const group = { scope: side, ...totalsOf(members) };
+      if (aggregate) group.value = aggregateOf(aggregate, metric, members);
+      return group;
+    });
+  }
+  if (aggregate) {
+    answer.answer = { aggregate, metric, value: aggregateOf(aggregate, metric, items) };
+  }
+  return { summary: summarize(answer, vocabulary.labels), ...answer };
+}
@@ -0,0 +1,203 @@
+// Which MCP tools an assistant may call, and how. The policy file (the
+// mcp_policy setting, mcp-policy.json by default) gives each tool a level:
+//
+//   "allow"      the tool runs when called
+//   "read-only"  the tool only reads, so it is also offered in read-only mode
+//   "confirm"    the first call returns a preview of the change and a
+//                confirmation_token; the change is made only when the tool is
+//                called again with the same arguments and that token
+//
+// Tools the file does not mention are "read-only" when their entry in
+// src/schemas.js marks them as only reading (annotations.readOnlyHint) and
+// "allow" otherwise. In read-only mode, set by the file's "mode" or the
+// server's --read-only flag, only read-only tools are listed and callable.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import { ValidationError } from "./errors.js";
+import { getConfig } from "./config.js";
+import { getTool } from "./schemas.js";
+import { getProduct, getActiveProduct, getPurgeableProduct } from "./products.js";
+import { importProducts } from "./catalog.js";
+import { previewReceipt, previewCancellation, planRestockOrders } from "./purchasing.js";
+
+export const TOOL_LEVELS = ["allow", "read-only", "confirm"];
+export const SERVER_MODES = ["read-write", "read-only"];
+
+export const CONFIRMATION_MINUTES = 5;
+
+// Read and check a policy file. A missing file gives the defaults. Mistakes
+// in it stop the server, rather than leaving a tool less guarded than meant.
+export async function loadPolicy({ file = getConfig().mcp_policy, readOnly = false } = {}) {
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Cannot read MCP policy ${file}: ${error.message}`);
+    }
+  }
+
+  const { mode = "read-write", tools = {}, ...unknown } = config;
+  const problems = Object.keys(unknown).map((key) => `unknown setting "${key}"`);
+  if (!SERVER_MODES.includes(mode)) {
+    problems.push(`mode must be one of: ${SERVER_MODES.join(", ")}`);
+  }
+  for (const [name, level] of Object.entries(tools)) {
+    if (!getTool(name)) problems.push(`unknown tool "${name}"`);
+    else if (!TOOL_LEVELS.includes(level)) problems.push(`${name} must be one of: ${TOOL_LEVELS.join(", ")}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid MCP policy ${file}: ${problems.join("; ")}`);
+  }
+
+  return { mode: readOnly ? "read-only" : mode, tools };
+}
+
+export function toolLevel(policy, name) {
+  return policy.tools[name] ?? (getTool(name)?.annotations.readOnlyHint ? "read-only" : "allow");
+}
+
+export function isToolAvailable(policy, name) {
+  return policy.mode !== "read-only" || toolLevel(policy, name) === "read-only";
+}
+
+export function requiresConfirmation(policy, name) {
+  return toolLevel(policy, name) === "confirm";
+}
+
+// The tool definitions as the policy offers them: without the tools it
+// leaves out, and with a confirmation_token argument on the ones that need
+// confirming
+export function applyPolicy(policy, tools) {
+  return tools
+    .filter((tool) => isToolAvailable(policy, tool.name))
+    .map((tool) => {
+      if (!requiresConfirmation(policy, tool.name)) return tool;
+      return {
+        ...tool,
+        description: `${tool.description}. Needs confirmation: the first call only previews the change and returns a confirmation_token; call again with the same arguments and the token to apply it`,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: {
+            ...tool.inputSchema.properties,
+            confirmation_token: {
+              type: "string",
+              description: "Token from the preview call, to apply the change",
+            },
+          },
+        },
+      };
+    });
+}
+
+// Issued tokens by token, each for one call of one tool with exact arguments
+const confirmations = new Map();
+
+// JSON with object keys sorted, so equal arguments give equal text
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function issueConfirmation(name, args) {
+  const now = Date.now();
+  for (const [token, confirmation] of confirmations) {
+    if (confirmation.expires <= now) confirmations.delete(token);
+  }
+
+  const token = crypto.randomBytes(16).toString("base64url");
+  const expires = now + CONFIRMATION_MINUTES * 60000;
+  confirmations.set(token, { name, args: canonicalJson(args), expires });
+  return { token, expires_at: new Date(expires).toISOString() };
+}
+
+// Use up a confirmation token. It must have been issued for this tool and
+// these arguments, and not have expired or been used already.
+export function redeemConfirmation(name, args, token) {
+  const confirmation = confirmations.get(token);
+  confirmations.delete(token);
+
+  if (!confirmation || confirmation.expires <= Date.now()) {
+    throw new ValidationError(`Unknown or expired confirmation token; call ${name} without one for a new preview`, [
+      { field: "confirmation_token", message: "is unknown or expired" },
+    ]);
+  }
+  if (confirmation.name !== name || confirmation.args !== canonicalJson(args)) {
+    throw new ValidationError(
+      `The confirmation token was issued for different arguments; call ${name} without one for a new preview`,
+      [{ field: "confirmation_token", message: "does not match these arguments" }]
+    );
+  }
+}
+
+// What a call would do, without doing it. Errors the call would hit, such
+// as a missing product, are raised here instead.
+async function previewEffect(name, args) {
+  switch (name) {
+    case "update_product": {
+      const { id, ...updates } = args;
+      const product = await getActiveProduct(id);
+      const changes = Object.fromEntries(
+        Object.entries(updates)
+          .filter(([field, value]) => (product[field] ?? null) !== value)
+          .map(([field, value]) => [field, { from: product[field] ?? null, to: value }])
+      );
+      return { product: { id: product.id, name: product.name }, changes };
+    }
+
+    case "delete_product": {
+      const product = await getProduct(args.id);
+      if (product.archived_at) {
+        throw new ValidationError(`${product.name} is already archived`);
+      }
+      return { product, effect: "The product will be archived; restore_product brings it back" };
+    }
+
+    case "purge_product": {
+      const product = await getPurgeableProduct(args.id);
+      return { product, effect: "The product will be removed for good. Its sales and history are kept." };
+    }
+
+    case "import_products": {
+      return { import: await importProducts({ ...args, dry_run: true }) };
+    }
+
+    case "receive_purchase_order": {
+      return previewReceipt(args);
+    }
+
+    case "cancel_purchase_order": {
+      return {
+        ...(await previewCancellation(args.id)),
+        effect: "The order will be cancelled. Goods already received stay in stock.",
+      };
+    }
+
+    case "draft_restock_orders": {
+      return { restock: await planRestockOrders(args) };
+    }
+
+    default:
+      return { arguments: args };
+  }
+}
+
+// The answer to the first call of a tool that needs confirming
+export async function previewToolCall(name, args) {
+  const preview = await previewEffect(name, args);
+  const { token, expires_at } = issueConfirmation(name, args);
+  return {
+    message: `Not applied yet. To apply this, call ${name} again with the same arguments and confirmation_token within ${CONFIRMATION_MINUTES} minutes.`,
+    confirmation_required: true,
+    confirmation_token: token,
+    expires_at,
+    preview,
+  };
+}
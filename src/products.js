@@ -0,0 +1,481 @@
+// Product repository shared by the MCP server (src/server.js) and the
+// web server (web-server.js). Both surfaces call these functions so a
+// behavior change or new field only has to be made here.
+
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { resolveCategory } from "./taxonomy.js";
+import { recordChange } from "./audit.js";
+import { announceChange } from "./changes.js";
+
+const REQUIRED_FIELDS = ["name", "type", "category", "unit_cost", "retail_price"];
+const STOCK_FIELDS = ["quantity_on_hand", "reorder_point", "reorder_quantity"];
+// Columns of the products table that updateProduct sets directly. type and
+// category are stored as category_id, resolved from the pair.
+const UPDATABLE_COLUMNS = ["name", "sku", "description", "unit_cost", "retail_price", ...STOCK_FIELDS];
+
+// sales_per_day is the average over this many days of recorded sales
+export const SALES_WINDOW_DAYS = 7;
+
+// Every field of a product as returned by getProduct, each usable for
+// sorting and in a `fields` projection. Maps to the SQL that sorts by it.
+const SORT_COLUMNS = {
+  id: "p.id",
+  sku: "p.sku",
+  name: "p.name",
+  description: "p.description",
+  type: "t.name",
+  category: "c.name",
+  category_id: "p.category_id",
+  unit_cost: "p.unit_cost",
+  retail_price: "p.retail_price",
+  margin_pct: "margin_pct",
+  quantity_on_hand: "p.quantity_on_hand",
+  reorder_point: "p.reorder_point",
+  reorder_quantity: "p.reorder_quantity",
+  sales_per_day: "sales_per_day",
+  created_at: "p.created_at",
+  updated_at: "p.updated_at",
+  archived_at: "p.archived_at",
+};
+export const PRODUCT_FIELDS = Object.keys(SORT_COLUMNS);
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+// The fields a product is made from: what catalog imports set and exports
+// write by default (src/catalog.js), so an export can be imported again
+export const CATALOG_FIELDS = [
+  "sku",
+  "name",
+  "description",
+  "type",
+  "category",
+  "unit_cost",
+  "retail_price",
+  ...STOCK_FIELDS,
+];
+
+// Joins each product (aliased p) to its units sold, revenue and cost of goods
+// sold over the last `days` days
+function salesWindowJoin(days) {
+  return `
+    LEFT JOIN (
+      SELECT
+        product_id,
+        SUM(quantity) AS units,
+        SUM(quantity * unit_price) AS revenue,
+        SUM(quantity * unit_cost) AS cogs
+      FROM sales
+      WHERE sold_at >= datetime('now', '-${days} days')
+      GROUP BY product_id
+    ) w ON w.product_id = p.id
+  `;
+}
+
+// Joins each product (aliased p) to its category (c) and type (t)
+export const TAXONOMY_JOIN = `
+  LEFT JOIN categories c ON c.id = p.category_id
+  LEFT JOIN product_types t ON t.id = c.type_id
+`;
+
+const PRODUCT_SELECT = `
+  SELECT
+    p.*,
+    t.name as type,
+    c.name as category,
+    CASE WHEN p.retail_price > 0
+      THEN ROUND((p.retail_price - p.unit_cost) * 100.0 / p.retail_price, 2)
+    END as margin_pct,
+    COALESCE(w.units, 0) * 1.0 / ${SALES_WINDOW_DAYS} as sales_per_day
+  FROM products p
+  ${TAXONOMY_JOIN}
+  ${salesWindowJoin(SALES_WINDOW_DAYS)}
+`;
+
+// Shared WHERE clause for the name (partial match), type and category
+// filters, and for looking up a product id or a list of ids. Archived
+// products are left out unless include_archived is set.
+function buildFilters({ name, type, category, product_id, ids, include_archived = false } = {}) {
+  let where = include_archived ? "WHERE 1=1" : "WHERE p.archived_at IS NULL";
+  const params = [];
+
+  if (product_id) {
+    where += " AND p.id = ?";
+    params.push(product_id);
+  }
+  if (ids) {
+    where += ` AND p.id IN (${ids.map(() => "?").join(", ") || "NULL"})`;
+    params.push(...ids);
+  }
+  if (name) {
+    where += " AND p.name LIKE ?";
+    params.push(`%${name}%`);
+  }
+  if (type) {
+    where += " AND t.name = ?";
+    params.push(type);
+  }
+  if (category) {
+    where += " AND c.name = ?";
+    params.push(category);
+  }
+
+  return { where, params };
+}
+
+// Fetch products, optionally filtered by name (partial match), type or category
+export async function getProducts(filters = {}) {
+  const { where, params } = buildFilters(filters);
+  return dbAll(`${PRODUCT_SELECT} ${where} ORDER BY p.name`, params);
+}
+
+// One page of products matching the filters, sorted by any product field.
+// `fields` limits each product to those fields (id is always included).
+// next_offset is null on the last page. A null limit returns every match.
+export async function listProducts({
+  limit = DEFAULT_PAGE_SIZE,
+  offset = 0,
+  sort = "name",
+  direction = "asc",
+  fields,
+  ...filters
+} = {}) {
+  const column = SORT_COLUMNS[sort];
+  if (!column) {
+    throw new ValidationError(`Cannot sort by ${sort}`, [
+      { field: "sort", message: `must be one of: ${PRODUCT_FIELDS.join(", ")}` },
+    ]);
+  }
+  const order = direction === "desc" ? "DESC" : "ASC";
+
+  const { where, params } = buildFilters(filters);
+  const [{ total }, products] = await Promise.all([
+    dbGet(`SELECT COUNT(*) as total FROM products p ${TAXONOMY_JOIN} ${where}`, params),
+    dbAll(`${PRODUCT_SELECT} ${where} ORDER BY ${column} ${order}, p.id ${order} LIMIT ? OFFSET ?`, [
+      ...params,
+      // SQLite reads a negative LIMIT as no limit
+      limit ?? -1,
+      offset,
+    ]),
+  ]);
+
+  return {
+    total,
+    count: products.length,
+    limit,
+    offset,
+    next_offset: offset + products.length < total ? offset + products.length : null,
+    products: products.map((product) => selectFields(product, fields)),
+  };
+}
+
+// A product by id, archived or not
+export async function getProduct(id) {
+  const product = await dbGet(`${PRODUCT_SELECT} WHERE p.id = ?`, [id]);
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+  return product;
+}
+
+// A product that can be changed, stocked or sold: one that is not archived
+export async function getActiveProduct(id) {
+  const product = await getProduct(id);
+  if (product.archived_at) {
+    throw new ValidationError(`${product.name} is archived; restore it first`);
+  }
+  return product;
+}
+
+// Keep only the requested fields of a product, plus its id
+export function selectFields(product, fields) {
+  if (!fields || fields.length === 0) return product;
+  return Object.fromEntries(
+    ["id", ...fields].filter((field) => field in product).map((field) => [field, product[field]])
+  );
+}
+
+// Gross margin as a percentage of revenue, or null when nothing was sold
+export function marginPct(revenue, grossProfit) {
+  if (!revenue) return null;
+  return Math.round((grossProfit / revenue) * 10000) / 100;
+}
+
+// Units sold, revenue, gross profit and margin per product over the last
+// `days` days of the sales ledger, best sellers first. Accepts the same
+// filters as getProducts plus product_id.
+export async function getSalesByProduct(filters = {}, days = SALES_WINDOW_DAYS) {
+  if (!Number.isInteger(days) || days < 1) {
+    throw new ValidationError("days must be a whole number, 1 or more");
+  }
+
+  const { where, params } = buildFilters(filters);
+  const rows = await dbAll(
+    `
+    SELECT
+      p.id,
+      p.name,
+      t.name as type,
+      c.name as category,
+      p.unit_cost,
+      p.retail_price,
+      COALESCE(w.units, 0) as units,
+      COALESCE(w.revenue, 0) as revenue,
+      COALESCE(w.revenue, 0) - COALESCE(w.cogs, 0) as gross_profit
+    FROM products p
+    ${TAXONOMY_JOIN}
+    ${salesWindowJoin(days)}
+    ${where}
+    ORDER BY units DESC, p.name
+    `,
+    params
+  );
+  return rows.map((row) => ({ ...row, margin_pct: marginPct(row.revenue, row.gross_profit) }));
+}
+
+// Units sold, revenue and gross profit over the last 7 days, from the sales
+// ledger, per product and per type. Accepts the same filters as getProducts
+// plus product_id.
+export async function getWeeklySales(filters = {}) {
+  const sales = (await getSalesByProduct(filters, 7)).map((row) => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    category: row.category,
+    sales_per_day: row.units / 7,
+    weekly_sales: row.units,
+    unit_cost: row.unit_cost,
+    retail_price: row.retail_price,
+    weekly_revenue: row.revenue,
+    gross_profit: row.gross_profit,
+    margin_pct: row.margin_pct,
+  }));
+
+  // Roll the products up by type
+  const byType = new Map();
+  for (const item of sales) {
+    const totals = byType.get(item.type) || {
+      type: item.type,
+      weekly_sales: 0,
+      weekly_revenue: 0,
+      gross_profit: 0,
+    };
+    totals.weekly_sales += item.weekly_sales;
+    totals.weekly_revenue += item.weekly_revenue;
+    totals.gross_profit += item.gross_profit;
+    byType.set(item.type, totals);
+  }
+
+  // Calculate totals
+  const totalWeeklySales = sales.reduce((sum, item) => sum + item.weekly_sales, 0);
+  const totalWeeklyRevenue = sales.reduce((sum, item) => sum + item.weekly_revenue, 0);
+  const totalGrossProfit = sales.reduce((sum, item) => sum + item.gross_profit, 0);
+
+  return {
+    total_weekly_sales: totalWeeklySales,
+    total_weekly_revenue: totalWeeklyRevenue,
+    total_gross_profit: totalGrossProfit,
+    margin_pct: marginPct(totalWeeklyRevenue, totalGrossProfit),
+    by_type: [...byType.values()].map((totals) => ({
+      ...totals,
+      margin_pct: marginPct(totals.weekly_revenue, totals.gross_profit),
+    })),
+    products: sales,
+  };
+}
+
+// Unit cost and retail price statistics per type, with the last 7 days of
+// revenue and gross profit
+export async function getAverageCostByType({ include_archived = false } = {}) {
+  const { where, params } = buildFilters({ include_archived });
+  const rows = await dbAll(
+    `
+    SELECT
+      t.name as type,
+      t.label,
+      COUNT(*) as product_count,
+      AVG(p.unit_cost) as avg_unit_cost,
+      MIN(p.unit_cost) as min_unit_cost,
+      MAX(p.unit_cost) as max_unit_cost,
+      AVG(p.retail_price) as avg_retail_price,
+      MIN(p.retail_price) as min_retail_price,
+      MAX(p.retail_price) as max_retail_price,
+      COALESCE(SUM(w.units), 0) * 1.0 / 7 as total_daily_sales,
+      COALESCE(SUM(w.revenue), 0) as weekly_revenue,
+      COALESCE(SUM(w.revenue), 0) - COALESCE(SUM(w.cogs), 0) as gross_profit
+    FROM products p
+    ${TAXONOMY_JOIN}
+    ${salesWindowJoin(7)}
+    ${where}
+    GROUP BY t.id
+    ORDER BY t.name
+    `,
+    params
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    margin_pct: marginPct(row.weekly_revenue, row.gross_profit),
+  }));
+}
+
+// Write a change to the audit log (src/audit.js), with the product's own
+// fields before and after it, and announce it (src/changes.js). Call inside
+// the transaction that made it.
+export async function recordProductChange(action, before, after) {
+  const snapshot = (product) =>
+    product && Object.fromEntries(CATALOG_FIELDS.map((field) => [field, product[field] ?? null]));
+  const productId = (after ?? before).id;
+  await recordChange(action, productId, snapshot(before), snapshot(after));
+  announceChange({ product_id: productId, action });
+}
+
+// SKUs are unique; a product may keep its own
+async function checkSkuAvailable(sku, productId = null) {
+  if (!sku) return;
+  const owner = await dbGet("SELECT id, name FROM products WHERE sku = ? AND id IS NOT ?", [sku, productId]);
+  if (owner) {
+    throw new ValidationError(`SKU ${sku} is already used by ${owner.name}`, [
+      { field: "sku", message: `is already used by product ${owner.id}` },
+    ]);
+  }
+}
+
+export async function addProduct(data = {}) {
+  const missing = REQUIRED_FIELDS.filter(
+    (field) => data[field] === undefined || data[field] === null || data[field] === ""
+  );
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing required fields: ${missing.join(", ")}`);
+  }
+
+  const { name, type, category, unit_cost, retail_price, description = "" } = data;
+  const sku = data.sku || null;
+  // Stock fields are optional and default to 0
+  const stock = STOCK_FIELDS.map((field) => data[field] ?? 0);
+
+  return withTransaction(async () => {
+    const categoryId = await resolveCategory(type, category);
+    await checkSkuAvailable(sku);
+
+    const { lastID } = await dbRun(
+      `INSERT INTO products
+         (name, sku, description, category_id, unit_cost, retail_price, quantity_on_hand, reorder_point, reorder_quantity)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name, sku, description, categoryId, unit_cost, retail_price, ...stock]
+    );
+
+    const product = await getProduct(lastID);
+    await recordProductChange("create", null, product);
+    return product;
+  });
+}
+
+// Update only the fields that are provided. A new type or category on its
+// own is paired with the product's current category or type.
+export async function updateProduct(id, updates = {}) {
+  const fields = [];
+  const values = [];
+
+  for (const field of UPDATABLE_COLUMNS) {
+    if (updates[field] !== undefined) {
+      fields.push(`${field} = ?`);
+      // An empty SKU clears it
+      values.push(field === "sku" ? updates.sku || null : updates[field]);
+    }
+  }
+
+  const recategorized = updates.type !== undefined || updates.category !== undefined;
+  if (fields.length === 0 && !recategorized) {
+    throw new ValidationError("No fields to update");
+  }
+
+  return withTransaction(async () => {
+    const product = await getActiveProduct(id);
+    await checkSkuAvailable(updates.sku, product.id);
+
+    if (recategorized) {
+      fields.push("category_id = ?");
+      values.push(
+        await resolveCategory(updates.type ?? product.type, updates.category ?? product.category)
+      );
+    }
+
+    fields.push("updated_at = CURRENT_TIMESTAMP");
+    values.push(id);
+
+    await dbRun(`UPDATE products SET ${fields.join(", ")} WHERE id = ?`, values);
+
+    const updated = await getProduct(id);
+    await recordProductChange("update", product, updated);
+    return updated;
+  });
+}
+
+// Deleting a product archives it. It keeps its sales and history, drops out
+// of listings and reports, and can be restored.
+export async function archiveProduct(id) {
+  return withTransaction(async () => {
+    const product = await getProduct(id);
+    if (product.archived_at) {
+      throw new ValidationError(`${product.name} is already archived`);
+    }
+    await dbRun("UPDATE products SET archived_at = CURRENT_TIMESTAMP WHERE id = ?", [id]);
+
+    const archived = await getProduct(id);
+    await recordProductChange("archive", product, archived);
+    return archived;
+  });
+}
+
+export async function restoreProduct(id) {
+  return withTransaction(async () => {
+    const product = await getProduct(id);
+    if (!product.archived_at) {
+      throw new ValidationError(`${product.name} is not archived`);
+    }
+    await dbRun("UPDATE products SET archived_at = NULL WHERE id = ?", [id]);
+
+    const restored = await getProduct(id);
+    await recordProductChange("restore", product, restored);
+    return restored;
+  });
+}
+
+// An archived product that no open purchase order is still waiting for,
+// so it can be purged
+export async function getPurgeableProduct(id) {
+  const product = await getProduct(id);
+  if (!product.archived_at) {
+    throw new ValidationError(`${product.name} must be archived before it can be purged`);
+  }
+  const orders = await dbAll(
+    `SELECT DISTINCT l.purchase_order_id as id
+     FROM purchase_order_lines l
+     JOIN purchase_orders o ON o.id = l.purchase_order_id
+     WHERE l.product_id = ? AND l.quantity_received < l.quantity_ordered
+       AND o.status IN ('draft', 'sent', 'partially_received')
+     ORDER BY l.purchase_order_id`,
+    [id]
+  );
+  if (orders.length > 0) {
+    const ids = orders.map((order) => order.id).join(", ");
+    const [noun, pronoun] = orders.length === 1 ? ["order", "it"] : ["orders", "them"];
+    throw new ValidationError(
+      `${product.name} is still to be received on purchase ${noun} ${ids}; receive or cancel ${pronoun} first`
+    );
+  }
+  return product;
+}
+
+// Remove an archived product for good. Its sales stay in the ledger and its
+// audit history is kept.
+export async function purgeProduct(id) {
+  return withTransaction(async () => {
+    const product = await getPurgeableProduct(id);
+    await dbRun("DELETE FROM products WHERE id = ?", [id]);
+    await dbRun("DELETE FROM product_suppliers WHERE product_id = ?", [id]);
+    await recordProductChange("delete", product, null);
+    return product;
+  });
+}
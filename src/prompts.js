@@ -0,0 +1,100 @@
+// MCP prompt templates for common reviews. Each pulls in the resources it
+// needs (src/resources.js) as embedded resources, followed by the request.
+// Prompt arguments arrive as strings.
+
+import { ValidationError } from "./errors.js";
+import { readResource, CATALOG_URI, WEEKLY_SALES_URI, COST_BY_TYPE_URI } from "./resources.js";
+
+export const DEFAULT_RESTOCK_DAYS = 14;
+export const DEFAULT_TARGET_MARGIN = 40;
+
+// A prompt argument that must be a positive number
+function positiveNumber(args, name, fallback) {
+  if (args[name] === undefined || args[name] === "") return fallback;
+  const value = Number(args[name]);
+  if (!(value > 0)) {
+    throw new ValidationError(`${name} must be a positive number`, [{ field: name, message: "must be a positive number" }]);
+  }
+  return value;
+}
+
+const PROMPTS = [
+  {
+    name: "weekly_sales_review",
+    title: "Weekly sales review",
+    description: "Review the last 7 days of sales by product and type, and suggest what to do next week",
+    arguments: [{ name: "type", description: "Only review this product type, e.g. hair", required: false }],
+    resources: [WEEKLY_SALES_URI],
+    text: ({ type }) =>
+      `Review this week's sales${type ? ` of ${type} products` : ""} using the weekly sales report above. ` +
+      "Summarize units, revenue and gross profit by product type. Name the best and worst sellers, " +
+      "and any products with no sales at all. Point out margins that look low. " +
+      "Finish with two or three concrete actions for next week.",
+  },
+  {
+    name: "restock_plan",
+    title: "Restock plan",
+    description: "Work out what to order so stock covers the coming days",
+    arguments: [
+      { name: "days", description: `Days of sales the stock should cover (default ${DEFAULT_RESTOCK_DAYS})`, required: false },
+    ],
+    resources: [CATALOG_URI, WEEKLY_SALES_URI],
+    text: (args) => {
+      const days = positiveNumber(args, "days", DEFAULT_RESTOCK_DAYS);
+      return (
+        `Plan restocking so stock covers the next ${days} days. ` +
+        "From the catalog above (quantity_on_hand, reorder_point, reorder_quantity and sales_per_day) and the weekly sales, " +
+        `list the products that will run out or fall below their reorder point within ${days} days. ` +
+        "For each, give the units to order and the cost at unit_cost, then the total cost of the order. " +
+        "Where sales are uneven, check with the forecast_demand tool. " +
+        "Use the get_low_stock tool for units already on order, which need not be ordered again, and the preferred supplier of each product, and group the order by supplier. " +
+        "This is a plan for review: do not create or send purchase orders, receive stock or change any products. " +
+        "Once it is approved, draft_restock_orders turns it into draft purchase orders."
+      );
+    },
+  },
+  {
+    name: "pricing_review",
+    title: "Pricing review",
+    description: "Compare prices and margins with a target margin and propose changes",
+    arguments: [
+      {
+        name: "target_margin",
+        description: `Gross margin to aim for, in percent (default ${DEFAULT_TARGET_MARGIN})`,
+        required: false,
+      },
+    ],
+    resources: [COST_BY_TYPE_URI, CATALOG_URI],
+    text: (args) => {
+      const target = positiveNumber(args, "target_margin", DEFAULT_TARGET_MARGIN);
+      return (
+        `Review prices against a target gross margin of ${target}%, using the costs by type and the catalog above. ` +
+        "List the products whose margin_pct is below the target, with the retail price that would reach it. " +
+        "Flag any product priced at or below its unit cost, and compare the average margin of each type. " +
+        "Propose the price changes as a table. Do not apply them."
+      );
+    },
+  },
+];
+
+export function listPrompts() {
+  return PROMPTS.map(({ resources, text, ...prompt }) => prompt);
+}
+
+// A prompt's messages: its resources, then the request
+export async function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find((entry) => entry.name === name);
+  if (!prompt) {
+    throw new ValidationError(`Unknown prompt: ${name}`);
+  }
+
+  const text = prompt.text(args);
+  const contents = await Promise.all(prompt.resources.map(readResource));
+  return {
+    description: prompt.description,
+    messages: [
+      ...contents.map((resource) => ({ role: "user", content: { type: "resource", resource } })),
+      { role: "user", content: { type: "text", text } },
+    ],
+  };
+}
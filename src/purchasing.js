@@ -0,0 +1,526 @@
+// Suppliers and purchase orders. A purchase order goes through
+//
+//   draft -> sent -> partially_received -> received
+//
+// and can be cancelled until it is fully received. Receiving puts the goods
+// into stock and moves the product's unit cost to the weighted average of
+// the stock already on hand and the units received at the order's cost, so
+// the cost stored with later sales reflects what the stock actually cost.
+// Stock and cost changes are audited like product updates.
+
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { getProduct, getActiveProduct, recordProductChange } from "./products.js";
+import { getLowStock } from "./inventory.js";
+
+export const PURCHASE_ORDER_STATUSES = ["draft", "sent", "partially_received", "received", "cancelled"];
+
+// Orders still to be received in full. Their outstanding units count as on
+// order in low-stock reports (see src/inventory.js).
+export const OPEN_PURCHASE_ORDER_STATUSES = ["draft", "sent", "partially_received"];
+
+export const DEFAULT_PURCHASE_ORDER_LIMIT = 100;
+
+const SUPPLIER_FIELDS = ["name", "email", "phone", "notes", "lead_time_days"];
+
+const SUPPLIER_SELECT = `
+  SELECT
+    s.*,
+    (SELECT COUNT(*) FROM product_suppliers ps WHERE ps.supplier_id = s.id) as product_count,
+    (SELECT COUNT(*) FROM purchase_orders o
+     WHERE o.supplier_id = s.id AND o.status IN ('draft', 'sent', 'partially_received')) as open_order_count
+  FROM suppliers s
+`;
+
+// A supplier's products, or a product's suppliers. lead_time_days falls back
+// to the supplier's own.
+const LINK_SELECT = `
+  SELECT
+    ps.product_id,
+    p.name as product_name,
+    p.sku,
+    ps.supplier_id,
+    s.name as supplier_name,
+    ps.supplier_sku,
+    ps.unit_cost,
+    COALESCE(ps.lead_time_days, s.lead_time_days) as lead_time_days,
+    ps.preferred
+  FROM product_suppliers ps
+  JOIN suppliers s ON s.id = ps.supplier_id
+  LEFT JOIN products p ON p.id = ps.product_id
+`;
+
+const ORDER_SELECT = `
+  SELECT o.*, s.name as supplier_name
+  FROM purchase_orders o
+  JOIN suppliers s ON s.id = o.supplier_id
+`;
+
+const LINE_SELECT = `
+  SELECT
+    l.id,
+    l.product_id,
+    p.name as product_name,
+    p.sku,
+    ps.supplier_sku,
+    l.quantity_ordered,
+    l.quantity_received,
+    l.quantity_ordered - l.quantity_received as quantity_outstanding,
+    l.unit_cost,
+    ROUND(l.quantity_ordered * l.unit_cost, 2) as line_total
+  FROM purchase_order_lines l
+  JOIN purchase_orders o ON o.id = l.purchase_order_id
+  LEFT JOIN products p ON p.id = l.product_id
+  LEFT JOIN product_suppliers ps ON ps.product_id = l.product_id AND ps.supplier_id = o.supplier_id
+`;
+
+function withPreferredFlag(link) {
+  return { ...link, preferred: Boolean(link.preferred) };
+}
+
+export async function listSuppliers() {
+  return dbAll(`${SUPPLIER_SELECT} ORDER BY s.name`);
+}
+
+// A supplier and the products it is linked to
+export async function getSupplier(id) {
+  const supplier = await dbGet(`${SUPPLIER_SELECT} WHERE s.id = ?`, [id]);
+  if (!supplier) {
+    throw new NotFoundError("Supplier not found");
+  }
+  const products = await dbAll(`${LINK_SELECT} WHERE ps.supplier_id = ? ORDER BY p.name`, [id]);
+  return { ...supplier, products: products.map(withPreferredFlag) };
+}
+
+async function checkSupplierNameAvailable(name, supplierId = null) {
+  const clash = await dbGet("SELECT id FROM suppliers WHERE name = ? AND id IS NOT ?", [name, supplierId]);
+  if (clash) {
+    throw new ValidationError(`Supplier already exists: ${name}`, [
+      { field: "name", message: `is already used by supplier ${clash.id}` },
+    ]);
+  }
+}
+
+export async function createSupplier({ name, email, phone, notes, lead_time_days } = {}) {
+  if (!name) {
+    throw new ValidationError("Missing required fields: name");
+  }
+
+  return withTransaction(async () => {
+    await checkSupplierNameAvailable(name);
+    const { lastID } = await dbRun(
+      "INSERT INTO suppliers (name, email, phone, notes, lead_time_days) VALUES (?, ?, ?, ?, ?)",
+      [name, email ?? null, phone ?? null, notes ?? null, lead_time_days ?? null]
+    );
+    return getSupplier(lastID);
+  });
+}
+
+// Update only the fields that are provided. An empty string clears a
+// contact field.
+export async function updateSupplier(id, updates = {}) {
+  const fields = SUPPLIER_FIELDS.filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    throw new ValidationError("No fields to update");
+  }
+
+  return withTransaction(async () => {
+    await getSupplier(id);
+    if (updates.name !== undefined) await checkSupplierNameAvailable(updates.name, id);
+
+    await dbRun(
+      `UPDATE suppliers SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...fields.map((field) => (updates[field] === "" ? null : updates[field])), id]
+    );
+    return getSupplier(id);
+  });
+}
+
+// A product's suppliers, preferred first
+export async function getProductSuppliers(productId) {
+  await getProduct(productId);
+  const links = await dbAll(`${LINK_SELECT} WHERE ps.product_id = ? ORDER BY ps.preferred DESC, s.name`, [
+    productId,
+  ]);
+  return links.map(withPreferredFlag);
+}
+
+// Link a product to a supplier, or change the link. Fields left out keep
+// their current values. Marking a supplier preferred takes the mark from the
+// product's previous preferred supplier.
+export async function setProductSupplier({
+  product_id,
+  supplier_id,
+  supplier_sku,
+  unit_cost,
+  lead_time_days,
+  preferred,
+} = {}) {
+  return withTransaction(async () => {
+    await getActiveProduct(product_id);
+    await getSupplier(supplier_id);
+    const link = await dbGet("SELECT * FROM product_suppliers WHERE product_id = ? AND supplier_id = ?", [
+      product_id,
+      supplier_id,
+    ]);
+
+    if (preferred) {
+      await dbRun("UPDATE product_suppliers SET preferred = 0 WHERE product_id = ?", [product_id]);
+    }
+    const values = [
+      supplier_sku === undefined ? link?.supplier_sku ?? null : supplier_sku || null,
+      unit_cost === undefined ? link?.unit_cost ?? null : unit_cost,
+      lead_time_days === undefined ? link?.lead_time_days ?? null : lead_time_days,
+      preferred === undefined ? link?.preferred ?? 0 : Number(preferred),
+    ];
+    if (link) {
+      await dbRun(
+        `UPDATE product_suppliers SET supplier_sku = ?, unit_cost = ?, lead_time_days = ?, preferred = ?
+         WHERE product_id = ? AND supplier_id = ?`,
+        [...values, product_id, supplier_id]
+      );
+    } else {
+      await dbRun(
+        `INSERT INTO product_suppliers (supplier_sku, unit_cost, lead_time_days, preferred, product_id, supplier_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [...values, product_id, supplier_id]
+      );
+    }
+
+    return withPreferredFlag(
+      await dbGet(`${LINK_SELECT} WHERE ps.product_id = ? AND ps.supplier_id = ?`, [product_id, supplier_id])
+    );
+  });
+}
+
+export async function removeProductSupplier({ product_id, supplier_id } = {}) {
+  const { changes } = await dbRun("DELETE FROM product_suppliers WHERE product_id = ? AND supplier_id = ?", [
+    product_id,
+    supplier_id,
+  ]);
+  if (changes === 0) {
+    throw new NotFoundError("That supplier is not linked to that product");
+  }
+  return { product_id, supplier_id };
+}
+
+export async function getPurchaseOrder(id) {
+  const order = await dbGet(`${ORDER_SELECT} WHERE o.id = ?`, [id]);
+  if (!order) {
+    throw new NotFoundError("Purchase order not found");
+  }
+  const lines = await dbAll(`${LINE_SELECT} WHERE l.purchase_order_id = ? ORDER BY l.id`, [id]);
+  const total = lines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0);
+  return { ...order, total_cost: Math.round(total * 100) / 100, lines };
+}
+
+// Purchase orders, newest first, without their lines
+export async function listPurchaseOrders({
+  status,
+  supplier_id,
+  product_id,
+  limit = DEFAULT_PURCHASE_ORDER_LIMIT,
+} = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+
+  if (status) {
+    where += " AND o.status = ?";
+    params.push(status);
+  }
+  if (supplier_id) {
+    where += " AND o.supplier_id = ?";
+    params.push(supplier_id);
+  }
+  if (product_id) {
+    where += " AND o.id IN (SELECT purchase_order_id FROM purchase_order_lines WHERE product_id = ?)";
+    params.push(product_id);
+  }
+
+  const orders = await dbAll(
+    `
+    SELECT
+      o.*,
+      s.name as supplier_name,
+      (SELECT COUNT(*) FROM purchase_order_lines l WHERE l.purchase_order_id = o.id) as line_count,
+      (SELECT ROUND(SUM(l.quantity_ordered * l.unit_cost), 2)
+       FROM purchase_order_lines l WHERE l.purchase_order_id = o.id) as total_cost
+    FROM purchase_orders o
+    JOIN suppliers s ON s.id = o.supplier_id
+    ${where}
+    ORDER BY o.created_at DESC, o.id DESC
+    LIMIT ?
+    `,
+    [...params, limit]
+  );
+  return { count: orders.length, purchase_orders: orders };
+}
+
+function checkOneLinePerProduct(lines) {
+  const productIds = lines.map((line) => line.product_id);
+  const repeated = productIds.find((id, index) => productIds.indexOf(id) !== index);
+  if (repeated !== undefined) {
+    throw new ValidationError(`Product ${repeated} is on more than one line`, [
+      { field: "lines", message: "must have one line per product" },
+    ]);
+  }
+}
+
+// Start a draft order. A line's unit_cost defaults to the supplier's price
+// for the product, then to the product's current unit cost.
+export async function createPurchaseOrder({ supplier_id, lines, notes } = {}) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new ValidationError("A purchase order needs at least one line", [
+      { field: "lines", message: "must have at least one line" },
+    ]);
+  }
+  checkOneLinePerProduct(lines);
+
+  const orderId = await withTransaction(async () => {
+    await getSupplier(supplier_id);
+    const { lastID } = await dbRun("INSERT INTO purchase_orders (supplier_id, notes) VALUES (?, ?)", [
+      supplier_id,
+      notes ?? null,
+    ]);
+
+    for (const { product_id, quantity, unit_cost } of lines) {
+      const product = await getActiveProduct(product_id);
+      const link = await dbGet("SELECT unit_cost FROM product_suppliers WHERE product_id = ? AND supplier_id = ?", [
+        product_id,
+        supplier_id,
+      ]);
+      await dbRun(
+        `INSERT INTO purchase_order_lines (purchase_order_id, product_id, quantity_ordered, unit_cost)
+         VALUES (?, ?, ?, ?)`,
+        [lastID, product_id, quantity, unit_cost ?? link?.unit_cost ?? product.unit_cost]
+      );
+    }
+    return lastID;
+  });
+
+  return getPurchaseOrder(orderId);
+}
+
+// The order, checked to be in one of the given statuses
+async function getOrderIn(id, statuses, action) {
+  const order = await getPurchaseOrder(id);
+  if (!statuses.includes(order.status)) {
+    throw new ValidationError(`Purchase order ${id} cannot be ${action}: it is ${order.status.replace("_", " ")}`);
+  }
+  return order;
+}
+
+// Mark a draft as sent to the supplier. It is expected after the longest
+// lead time of its products, when any is known.
+export async function sendPurchaseOrder(id) {
+  return withTransaction(async () => {
+    await getOrderIn(id, ["draft"], "sent");
+    const { lead_time_days } = await dbGet(
+      `SELECT MAX(COALESCE(ps.lead_time_days, s.lead_time_days)) as lead_time_days
+       FROM purchase_order_lines l
+       JOIN purchase_orders o ON o.id = l.purchase_order_id
+       JOIN suppliers s ON s.id = o.supplier_id
+       LEFT JOIN product_suppliers ps ON ps.product_id = l.product_id AND ps.supplier_id = o.supplier_id
+       WHERE l.purchase_order_id = ?`,
+      [id]
+    );
+    await dbRun(
+      `UPDATE purchase_orders
+       SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+           expected_at = CASE WHEN ? IS NULL THEN NULL ELSE date('now', '+' || ? || ' days') END
+       WHERE id = ?`,
+      [lead_time_days, lead_time_days, id]
+    );
+    return getPurchaseOrder(id);
+  });
+}
+
+// What receiving would do, worked out without writing: each line to
+// receive, its product as it is now, and the product's unit cost after
+async function planReceipt(id, lines) {
+  if (lines) checkOneLinePerProduct(lines);
+  const order = await getOrderIn(id, ["sent", "partially_received"], "received");
+
+  const receipts = lines
+    ? lines.map(({ product_id, quantity }) => {
+        const line = order.lines.find((candidate) => candidate.product_id === product_id);
+        if (!line) {
+          throw new ValidationError(`Product ${product_id} is not on purchase order ${id}`);
+        }
+        if (quantity > line.quantity_outstanding) {
+          throw new ValidationError(
+            `Only ${line.quantity_outstanding} of ${line.product_name} are outstanding on purchase order ${id}`,
+            [{ field: "lines", message: `quantity for product ${product_id} is more than is outstanding` }]
+          );
+        }
+        return { line, quantity };
+      })
+    : order.lines
+        .filter((line) => line.quantity_outstanding > 0)
+        .map((line) => ({ line, quantity: line.quantity_outstanding }));
+  if (receipts.length === 0) {
+    throw new ValidationError("Nothing to receive", [{ field: "lines", message: "must receive at least one unit" }]);
+  }
+
+  const planned = [];
+  for (const { line, quantity } of receipts) {
+    const product = await getProduct(line.product_id);
+    const onHand = Math.max(product.quantity_on_hand, 0);
+    const unitCost =
+      Math.round(((onHand * product.unit_cost + quantity * line.unit_cost) / (onHand + quantity)) * 100) / 100;
+    planned.push({ line, product, quantity, unitCost });
+  }
+  return { order, planned };
+}
+
+// What receive_purchase_order would do with these arguments, for a preview
+export async function previewReceipt({ id, lines } = {}) {
+  const { order, planned } = await planReceipt(id, lines);
+  return {
+    purchase_order: { id: order.id, supplier_name: order.supplier_name, status: order.status },
+    receive: planned.map(({ product, quantity, unitCost }) => ({
+      product_id: product.id,
+      product_name: product.name,
+      quantity,
+      quantity_on_hand: { from: product.quantity_on_hand, to: product.quantity_on_hand + quantity },
+      unit_cost: { from: product.unit_cost, to: unitCost },
+      archived: Boolean(product.archived_at),
+    })),
+  };
+}
+
+// Receive goods against a sent order: the given quantities of some of its
+// products, or without lines everything still outstanding. Each product's
+// stock goes up and its unit cost moves to the weighted average cost.
+// Products archived since the order was placed are received all the same,
+// since the goods have arrived, and are marked archived in the result.
+export async function receivePurchaseOrder({ id, lines } = {}) {
+  return withTransaction(async () => {
+    const { planned } = await planReceipt(id, lines);
+
+    const received = [];
+    for (const { line, product, quantity, unitCost } of planned) {
+      await dbRun(
+        `UPDATE products
+         SET quantity_on_hand = quantity_on_hand + ?, unit_cost = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [quantity, unitCost, product.id]
+      );
+      await dbRun("UPDATE purchase_order_lines SET quantity_received = quantity_received + ? WHERE id = ?", [
+        quantity,
+        line.id,
+      ]);
+
+      const updated = await getProduct(product.id);
+      await recordProductChange("update", product, updated);
+      received.push({
+        product_id: product.id,
+        product_name: product.name,
+        quantity,
+        quantity_on_hand: updated.quantity_on_hand,
+        unit_cost_before: product.unit_cost,
+        unit_cost: updated.unit_cost,
+        archived: Boolean(product.archived_at),
+      });
+    }
+
+    const { outstanding } = await dbGet(
+      "SELECT SUM(quantity_ordered - quantity_received) as outstanding FROM purchase_order_lines WHERE purchase_order_id = ?",
+      [id]
+    );
+    await dbRun(
+      `UPDATE purchase_orders
+       SET status = ?, received_at = CASE WHEN ? = 0 THEN CURRENT_TIMESTAMP END, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [outstanding === 0 ? "received" : "partially_received", outstanding, id]
+    );
+    return { purchase_order: await getPurchaseOrder(id), received };
+  });
+}
+
+// What cancel_purchase_order would do: the order, and the units that would
+// no longer be on order
+export async function previewCancellation(id) {
+  const order = await getOrderIn(id, OPEN_PURCHASE_ORDER_STATUSES, "cancelled");
+  return {
+    purchase_order: { id: order.id, supplier_name: order.supplier_name, status: order.status },
+    no_longer_on_order: order.lines
+      .filter((line) => line.quantity_outstanding > 0)
+      .map((line) => ({
+        product_id: line.product_id,
+        product_name: line.product_name,
+        quantity: line.quantity_outstanding,
+      })),
+  };
+}
+
+// Cancel an order that has not been received in full. Goods already
+// received stay in stock; the rest is no longer on order.
+export async function cancelPurchaseOrder(id) {
+  return withTransaction(async () => {
+    await getOrderIn(id, OPEN_PURCHASE_ORDER_STATUSES, "cancelled");
+    await dbRun(
+      `UPDATE purchase_orders
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+    return getPurchaseOrder(id);
+  });
+}
+
+// The orders the low-stock report suggests: one per preferred supplier, with
+// a line for each of its products to order. Products without a preferred
+// supplier are listed for ordering by hand. Reads only, so it also previews
+// draft_restock_orders.
+export async function planRestockOrders({ days, type } = {}) {
+  const report = await getLowStock({ days, type });
+  const toOrder = report.products.filter((product) => product.suggested_order_quantity > 0);
+
+  const bySupplier = new Map();
+  const unassigned = [];
+  for (const product of toOrder) {
+    if (product.supplier_id === null) {
+      unassigned.push({
+        id: product.id,
+        name: product.name,
+        suggested_order_quantity: product.suggested_order_quantity,
+      });
+      continue;
+    }
+    const order = bySupplier.get(product.supplier_id) ?? {
+      supplier_id: product.supplier_id,
+      supplier_name: product.supplier_name,
+      lines: [],
+    };
+    order.lines.push({
+      product_id: product.id,
+      product_name: product.name,
+      quantity: product.suggested_order_quantity,
+    });
+    bySupplier.set(product.supplier_id, order);
+  }
+
+  return { days: report.days, orders: [...bySupplier.values()], without_supplier: unassigned };
+}
+
+// Turn the low-stock report into draft orders, as planned by
+// planRestockOrders
+export async function draftRestockOrders({ days, type } = {}) {
+  const plan = await planRestockOrders({ days, type });
+
+  return withTransaction(async () => {
+    const orders = [];
+    for (const { supplier_id, lines } of plan.orders) {
+      orders.push(
+        await createPurchaseOrder({
+          supplier_id,
+          lines: lines.map(({ product_id, quantity }) => ({ product_id, quantity })),
+          notes: `Restock for ${plan.days} days of cover`,
+        })
+      );
+    }
+    return { days: plan.days, purchase_orders: orders, without_supplier: plan.without_supplier };
+  });
+}
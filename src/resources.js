@@ -0,0 +1,101 @@
+// MCP resources: shop data clients can browse and subscribe to without
+// calling tools. Each is JSON built from the same queries as the tools:
+//
+//   shop://products                   the catalog (get_products)
+//   shop://products/{id}              one product (get_product)
+//   shop://reports/weekly-sales       get_weekly_sales
+//   shop://reports/cost-by-type       get_avg_cost_by_type
+//
+// Archived products are left out of the catalog and reports, as in the
+// tools, but can still be read by id.
+
+import { NotFoundError } from "./errors.js";
+import { listProducts, getProduct, getWeeklySales, getAverageCostByType } from "./products.js";
+
+export const CATALOG_URI = "shop://products";
+export const WEEKLY_SALES_URI = "shop://reports/weekly-sales";
+export const COST_BY_TYPE_URI = "shop://reports/cost-by-type";
+
+const PRODUCT_URI = /^shop:\/\/products\/(\d+)$/;
+
+export function productUri(id) {
+  return `${CATALOG_URI}/${id}`;
+}
+
+const REPORTS = [
+  {
+    uri: CATALOG_URI,
+    name: "products",
+    title: "Product catalog",
+    description: "Every product with prices, margin, stock and sales per day",
+    read: () => listProducts({ limit: null }),
+  },
+  {
+    uri: WEEKLY_SALES_URI,
+    name: "weekly-sales",
+    title: "Weekly sales",
+    description: "Units, revenue, gross profit and margin over the last 7 days, per product and per type",
+    read: () => getWeeklySales(),
+  },
+  {
+    uri: COST_BY_TYPE_URI,
+    name: "cost-by-type",
+    title: "Costs and margins by type",
+    description: "Unit cost and retail price statistics per product type, with the last 7 days of revenue and margin",
+    read: async () => ({ average_costs_by_type: await getAverageCostByType() }),
+  },
+];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${CATALOG_URI}/{id}`,
+    name: "product",
+    title: "Product",
+    description: "One product by id, archived or not",
+    mimeType: "application/json",
+  },
+];
+
+// The reports, then one resource per product in the catalog
+export async function listResources() {
+  const { products } = await listProducts({ limit: null, fields: ["name"] });
+  return [
+    ...REPORTS.map(({ read, ...resource }) => ({ ...resource, mimeType: "application/json" })),
+    ...products.map((product) => ({
+      uri: productUri(product.id),
+      name: `product-${product.id}`,
+      title: product.name,
+      mimeType: "application/json",
+    })),
+  ];
+}
+
+// A resource's current contents, as an MCP text resource
+export async function readResource(uri) {
+  const match = uri.match(PRODUCT_URI);
+  let data;
+  if (match) {
+    data = { product: await getProduct(Number(match[1])) };
+  } else {
+    const report = REPORTS.find((entry) => entry.uri === uri);
+    if (!report) {
+      throw new NotFoundError(`Unknown resource: ${uri}`);
+    }
+    data = await report.read();
+  }
+  return { uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) };
+}
+
+// Whether a data change (see src/changes.js) may have changed a resource.
+// Every change can move the catalog and reports; a product's own resource
+// only changes with that product, or with a change to every product.
+export function isAffectedBy(uri, change) {
+  const match = uri.match(PRODUCT_URI);
+  return !match || change.product_id === undefined || Number(match[1]) === change.product_id;
+}
+
+// Whether a data change adds products to or removes them from the catalog,
+// and so from listResources
+export function changesResourceList(change) {
+  return ["create", "archive", "restore", "delete"].includes(change.action);
+}
@@ -0,0 +1,125 @@
+// Sales ledger. Every sale is a row in the sales table; sales_per_day and
+// weekly figures in src/products.js are computed from these rows.
+
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { getActiveProduct, TAXONOMY_JOIN } from "./products.js";
+import { removeStock } from "./inventory.js";
+import { announceChange } from "./changes.js";
+
+const SALE_SELECT = `
+  SELECT
+    s.id,
+    s.product_id,
+    p.name as product_name,
+    t.name as type,
+    c.name as category,
+    s.quantity,
+    s.unit_price,
+    s.unit_cost,
+    (s.quantity * s.unit_price) as total,
+    (s.quantity * (s.unit_price - s.unit_cost)) as gross_profit,
+    s.sold_at,
+    s.customer_id,
+    cu.name as customer_name
+  FROM sales s
+  LEFT JOIN products p ON p.id = s.product_id
+  LEFT JOIN customers cu ON cu.id = s.customer_id
+  ${TAXONOMY_JOIN}
+`;
+
+// SQL conditions, and their parameters, for sales between from and to
+// (inclusive dates or date-times). A bare `to` date means the whole day.
+export function soldBetween({ from, to } = {}) {
+  let sql = "";
+  const params = [];
+  if (from) {
+    sql += " AND s.sold_at >= datetime(?)";
+    params.push(from);
+  }
+  if (to) {
+    sql += " AND s.sold_at < datetime(?, CASE WHEN length(?) = 10 THEN '+1 day' ELSE '+0 seconds' END)";
+    params.push(to, to);
+  }
+  return { sql, params };
+}
+
+// Record a sale and take the units out of stock. unit_price defaults to the
+// product's retail price and sold_at to now; pass sold_at to enter sales
+// made earlier. The product's current unit cost is stored with the sale.
+// customer_id is optional; sales without one are anonymous.
+export async function recordSale({ product_id, quantity, unit_price, sold_at, customer_id } = {}) {
+  if (product_id === undefined || quantity === undefined) {
+    throw new ValidationError("Missing required fields: product_id, quantity");
+  }
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+    throw new ValidationError("quantity must be a positive whole number");
+  }
+  if (sold_at !== undefined) {
+    // Checked by SQLite, which stores it and reads fewer formats than
+    // Date.parse; a date it cannot read would be recorded as now
+    const { parsed } = await dbGet("SELECT datetime(?) as parsed", [sold_at]);
+    if (parsed === null) {
+      throw new ValidationError("sold_at must be a date or date-time, e.g. '2025-11-05 14:30'", [
+        { field: "sold_at", message: "is not a YYYY-MM-DD date or date-time" },
+      ]);
+    }
+  }
+
+  const saleId = await withTransaction(async () => {
+    const product = await getActiveProduct(product_id);
+    const price = unit_price === undefined ? product.retail_price : unit_price;
+    if (customer_id !== undefined && !(await dbGet("SELECT id FROM customers WHERE id = ?", [customer_id]))) {
+      throw new NotFoundError("Customer not found");
+    }
+
+    await removeStock(product, Number(quantity));
+    const { lastID } = await dbRun(
+      `INSERT INTO sales (product_id, quantity, unit_price, unit_cost, sold_at, customer_id)
+       VALUES (?, ?, ?, ?, COALESCE(datetime(?), CURRENT_TIMESTAMP), ?)`,
+      [product.id, Number(quantity), price, product.unit_cost, sold_at ?? null, customer_id ?? null]
+    );
+    announceChange({ product_id: product.id, action: "sale" });
+    return lastID;
+  });
+
+  return dbGet(`${SALE_SELECT} WHERE s.id = ?`, [saleId]);
+}
+
+// List recorded sales, newest first. from/to are inclusive dates or date-times.
+export async function getSales({ product_id, customer_id, type, from, to, limit = 100 } = {}) {
+  let query = `${SALE_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (product_id) {
+    query += " AND s.product_id = ?";
+    params.push(product_id);
+  }
+  if (customer_id) {
+    query += " AND s.customer_id = ?";
+    params.push(customer_id);
+  }
+  if (type) {
+    query += " AND t.name = ?";
+    params.push(type);
+  }
+  const range = soldBetween({ from, to });
+  query += range.sql;
+  params.push(...range.params);
+
+  query += " ORDER BY s.sold_at DESC, s.id DESC LIMIT ?";
+  params.push(limit);
+
+  const sales = await dbAll(query, params);
+  const totalUnits = sales.reduce((sum, sale) => sum + sale.quantity, 0);
+  const totalRevenue = sales.reduce((sum, sale) => sum + sale.total, 0);
+  const totalGrossProfit = sales.reduce((sum, sale) => sum + sale.gross_profit, 0);
+
+  return {
+    count: sales.length,
+    total_units: totalUnits,
+    total_revenue: totalRevenue,
+    total_gross_profit: totalGrossProfit,
+    sales,
+  };
+}
@@ -0,0 +1,1612 @@
+// Tool definitions: the single registry of input schemas. The MCP server
+// lists these from its ListTools handler and both servers validate
+// arguments against them (see src/validation.js), so a constraint added
+// here applies to the MCP tool and the matching REST route alike.
+//
+// Product types and categories live in the database (src/taxonomy.js).
+// Properties that take one carry an "x-vocabulary" marker instead of a
+// fixed enum; getTools() fills the enum in from the current data.
+
+import { listProductTypes, listCategories } from "./taxonomy.js";
+import { PRODUCT_FIELDS, DEFAULT_PAGE_SIZE, CATALOG_FIELDS } from "./products.js";
+import { DEFAULT_SEARCH_LIMIT } from "./search.js";
+import { AUDIT_ACTIONS, AUDIT_SOURCES, DEFAULT_AUDIT_LIMIT } from "./audit.js";
+import { ROLES } from "./auth.js";
+import { PURCHASE_ORDER_STATUSES, DEFAULT_PURCHASE_ORDER_LIMIT } from "./purchasing.js";
+import { DEFAULT_CUSTOMER_LIMIT, DEFAULT_TOP_CUSTOMERS, TOP_CUSTOMER_MEASURES } from "./customers.js";
+import { DEFAULT_ROW_LIMIT, MAX_ROW_LIMIT, DEFAULT_QUERY_TIMEOUT_MS, MAX_QUERY_TIMEOUT_MS } from "./sql.js";
+
+// Type and category names are lowercase slugs, e.g. "body_lotion"
+const SLUG = "^[a-z][a-z0-9_]*$";
+
+// Lets a caller ask for only some product fields, to keep results small
+const PRODUCT_FIELDS_PROPERTY = {
+  type: "array",
+  description: "Only return these product fields (id is always included), e.g. ['name', 'retail_price']",
+  items: { type: "string", enum: PRODUCT_FIELDS },
+  uniqueItems: true,
+};
+
+// Deleted products are archived and left out of listings and reports
+// unless asked for
+const INCLUDE_ARCHIVED_PROPERTY = {
+  type: "boolean",
+  description: "Include archived (deleted) products (default false)",
+};
+
+// Calendar dates, e.g. "2025-11-01"
+const DATE = "^\\d{4}-\\d{2}-\\d{2}$";
+
+const SUPPLIER_ID = {
+  type: "integer",
+  description: "Supplier ID",
+  minimum: 1,
+};
+
+const PURCHASE_ORDER_ID = {
+  type: "integer",
+  description: "Purchase order ID",
+  minimum: 1,
+};
+
+// What create_supplier and update_supplier set
+const SUPPLIER_PROPERTIES = {
+  name: {
+    type: "string",
+    description: "Supplier name",
+    minLength: 1,
+  },
+  email: {
+    type: "string",
+    description: "Email address for orders",
+  },
+  phone: {
+    type: "string",
+    description: "Phone number",
+  },
+  notes: {
+    type: "string",
+    description: "Notes, e.g. minimum order or payment terms",
+  },
+  lead_time_days: {
+    type: "integer",
+    description: "Usual days from sending an order to delivery",
+    minimum: 0,
+  },
+};
+
+const CUSTOMER_ID = {
+  type: "integer",
+  description: "Customer ID",
+  minimum: 1,
+};
+
+// What create_customer and update_customer set
+const CUSTOMER_PROPERTIES = {
+  name: {
+    type: "string",
+    description: "Customer name",
+    minLength: 1,
+  },
+  email: {
+    type: "string",
+    description: "Email address. No two customers can share one.",
+  },
+  phone: {
+    type: "string",
+    description: "Phone number",
+  },
+  notes: {
+    type: "string",
+    description: "Notes, e.g. preferences or allergies",
+  },
+  email_consent: {
+    type: "boolean",
+    description: "Whether the customer agreed to marketing by email",
+  },
+  sms_consent: {
+    type: "boolean",
+    description: "Whether the customer agreed to marketing by text message",
+  },
+};
+
+// MCP tool annotations: whether a tool only reads. The tool policy offers
+// the tools that only read in read-only mode (see src/policy.js).
+const READS = { readOnlyHint: true };
+const WRITES = { readOnlyHint: false };
+
+export const tools = [
+  {
+    name: "get_products",
+    description: `Fetch products from the database, one page at a time (${DEFAULT_PAGE_SIZE} by default). Can filter by name, type, or category, sort by any field, and return only chosen fields. Use next_offset from the result to fetch the next page.`,
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        limit: {
+          type: "integer",
+          description: `Maximum number of products to return (default ${DEFAULT_PAGE_SIZE})`,
+          minimum: 1,
+          maximum: 500,
+        },
+        offset: {
+          type: "integer",
+          description: "Number of products to skip, e.g. the next_offset of the previous page (default 0)",
+          minimum: 0,
+        },
+        sort: {
+          type: "string",
+          description: "Field to sort by (default 'name')",
+          enum: PRODUCT_FIELDS,
+        },
+        direction: {
+          type: "string",
+          description: "Sort direction (default 'asc')",
+          enum: ["asc", "desc"],
+        },
+        fields: PRODUCT_FIELDS_PROPERTY,
+        name: {
+          type: "string",
+          description: "Filter by product name (partial match)",
+        },
+        type: {
+          type: "string",
+          description: "Filter by product type (e.g., 'hair', 'perfume', 'skin')",
+          "x-vocabulary": "all_types",
+        },
+        category: {
+          type: "string",
+          description: "Filter by specific category (e.g., 'shampoo', 'gucci', 'body_lotion')",
+          "x-vocabulary": "all_categories",
+        },
+        include_archived: INCLUDE_ARCHIVED_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "search_products",
+    description:
+      "Search products by name, category and description, best match first. Tolerates typos and partial words, e.g. 'shampo' or 'victorias secret'. Use this to find a product from what a person called it; use get_products to list or filter the catalog.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["query"],
+      properties: {
+        query: {
+          type: "string",
+          description: "Words to search for",
+          minLength: 1,
+        },
+        type: {
+          type: "string",
+          description: "Only products of this type",
+          "x-vocabulary": "all_types",
+        },
+        category: {
+          type: "string",
+          description: "Only products of this category",
+          "x-vocabulary": "all_categories",
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum number of products to return (default ${DEFAULT_SEARCH_LIMIT})`,
+          minimum: 1,
+          maximum: 100,
+        },
+        fields: PRODUCT_FIELDS_PROPERTY,
+        include_archived: INCLUDE_ARCHIVED_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "get_product",
+    description: "Fetch a single product by ID.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: {
+          type: "integer",
+          description: "Product ID",
+          minimum: 1,
+        },
+        fields: PRODUCT_FIELDS_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "get_weekly_sales",
+    description:
+      "Get units sold, revenue, gross profit and margin % over the last 7 days from the sales ledger, per product and per type. Can filter by product type or show all products.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        type: {
+          type: "string",
+          description: "Filter by product type (e.g., 'hair', 'perfume', 'skin'). Leave empty for all products.",
+          "x-vocabulary": "all_types",
+          enum: [""],
+        },
+        product_id: {
+          type: "integer",
+          description: "Get weekly sales for a specific product by ID",
+          minimum: 1,
+        },
+        include_archived: INCLUDE_ARCHIVED_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "get_avg_cost_by_type",
+    description:
+      "Get average unit cost and retail price grouped by product type, with the last 7 days of revenue, gross profit and margin %.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        include_archived: INCLUDE_ARCHIVED_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "add_product",
+    description: "Add a new product to the database.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name", "type", "category", "unit_cost", "retail_price"],
+      properties: {
+        name: {
+          type: "string",
+          description: "Product name (e.g., 'Shampoo Pro', 'Gucci Bloom')",
+          minLength: 1,
+        },
+        sku: {
+          type: "string",
+          description: "Stock keeping unit, unique per product (optional)",
+        },
+        description: {
+          type: "string",
+          description: "What the product is, in a sentence or two. Searched by search_products.",
+        },
+        type: {
+          type: "string",
+          description: "Product type",
+          "x-vocabulary": "active_types",
+        },
+        category: {
+          type: "string",
+          description: "Product category, which must belong to the type (e.g., 'shampoo', 'gucci', 'body_lotion')",
+          "x-vocabulary": "active_categories",
+        },
+        unit_cost: {
+          type: "number",
+          description: "What the shop pays per unit, in the shop's currency",
+          minimum: 0,
+        },
+        retail_price: {
+          type: "number",
+          description: "What the shop charges per unit, in the shop's currency",
+          minimum: 0,
+        },
+        quantity_on_hand: {
+          type: "integer",
+          description: "Units currently in stock (default 0)",
+          minimum: 0,
+        },
+        reorder_point: {
+          type: "integer",
+          description: "Reorder when stock falls to this many units (default 0)",
+          minimum: 0,
+        },
+        reorder_quantity: {
+          type: "integer",
+          description: "Units to order when restocking (default 0)",
+          minimum: 0,
+        },
+      },
+    },
+  },
+  {
+    name: "update_product",
+    description: "Update an existing product. Only provide fields you want to update.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: {
+          type: "integer",
+          description: "Product ID to update",
+          minimum: 1,
+        },
+        name: {
+          type: "string",
+          description: "New product name",
+          minLength: 1,
+        },
+        sku: {
+          type: "string",
+          description: "New SKU, or an empty string to clear it",
+        },
+        description: {
+          type: "string",
+          description: "New product description",
+        },
+        type: {
+          type: "string",
+          description: "New product type",
+          "x-vocabulary": "active_types",
+        },
+        category: {
+          type: "string",
+          description: "New product category, which must belong to the product's type",
+          "x-vocabulary": "active_categories",
+        },
+        unit_cost: {
+          type: "number",
+          description: "New unit cost (what the shop pays)",
+          minimum: 0,
+        },
+        retail_price: {
+          type: "number",
+          description: "New retail price (what the shop charges)",
+          minimum: 0,
+        },
+        quantity_on_hand: {
+          type: "integer",
+          description: "Corrected stock count, e.g. after a stocktake",
+          minimum: 0,
+        },
+        reorder_point: {
+          type: "integer",
+          description: "New reorder point",
+          minimum: 0,
+        },
+        reorder_quantity: {
+          type: "integer",
+          description: "New reorder quantity",
+          minimum: 0,
+        },
+      },
+    },
+  },
+  {
+    name: "delete_product",
+    description:
+      "Delete a product by archiving it: it is hidden from listings and reports but keeps its sales and history, and restore_product brings it back. Use purge_product to remove it for good.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: {
+          type: "integer",
+          description: "Product ID to delete",
+          minimum: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "restore_product",
+    description: "Restore an archived (deleted) product to the catalog.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: {
+          type: "integer",
+          description: "Product ID to restore",
+          minimum: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "purge_product",
+    description:
+      "Permanently remove an archived product. This cannot be undone. The product must have been deleted (archived) first, and not be waited for on an open purchase order. Its recorded sales and change history are kept.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: {
+          type: "integer",
+          description: "ID of the archived product to purge",
+          minimum: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "import_products",
+    description:
+      "Import products from a CSV or JSON price list. Each row updates the product with the same name (or SKU, per match_by) or creates a new one. Either every row is imported or, if any row has errors, none is and the errors are listed by row. Use dry_run first to preview what would change.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["data"],
+      properties: {
+        format: {
+          type: "string",
+          description: "Format of data (default 'csv')",
+          enum: ["csv", "json"],
+        },
+        data: {
+          type: ["string", "array"],
+          description:
+            "CSV text with a header row, or for JSON an array of product objects (or its text). Columns are product fields unless mapped; other columns are ignored.",
+          items: { type: "object" },
+        },
+        mapping: {
+          type: "object",
+          description: "Source column for each product field whose column is named differently, e.g. { \"retail_price\": \"RRP\", \"name\": \"Product\" }",
+          propertyNames: { enum: CATALOG_FIELDS },
+          additionalProperties: { type: "string", minLength: 1 },
+        },
+        match_by: {
+          type: "string",
+          description: "Match rows to existing products by name (ignoring case) or by SKU (default 'name')",
+          enum: ["name", "sku"],
+        },
+        dry_run: {
+          type: "boolean",
+          description: "Report what each row would do without saving anything (default false)",
+        },
+      },
+    },
+  },
+  {
+    name: "export_products",
+    description:
+      "Export products as CSV or JSON, with the same filters and sort as get_products. The default columns can be imported again with import_products.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        format: {
+          type: "string",
+          description: "Format to export (default 'csv')",
+          enum: ["csv", "json"],
+        },
+        fields: {
+          ...PRODUCT_FIELDS_PROPERTY,
+          description: `Columns to export, in order (default ${CATALOG_FIELDS.join(", ")})`,
+        },
+        sort: {
+          type: "string",
+          description: "Field to sort by (default 'name')",
+          enum: PRODUCT_FIELDS,
+        },
+        direction: {
+          type: "string",
+          description: "Sort direction (default 'asc')",
+          enum: ["asc", "desc"],
+        },
+        name: {
+          type: "string",
+          description: "Filter by product name (partial match)",
+        },
+        type: {
+          type: "string",
+          description: "Filter by product type",
+          "x-vocabulary": "all_types",
+        },
+        category: {
+          type: "string",
+          description: "Filter by category",
+          "x-vocabulary": "all_categories",
+        },
+        include_archived: INCLUDE_ARCHIVED_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "get_product_history",
+    description:
+      "Show every recorded change to a product, newest first: each add, update and delete with the values before and after, when it happened, and whether it came through MCP, the REST API or the dashboard. Works for deleted products too.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product_id"],
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Product ID",
+          minimum: 1,
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum number of changes to return (default ${DEFAULT_AUDIT_LIMIT})`,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: "get_audit_log",
+    description:
+      "List product changes across the catalog, newest first, e.g. every price change made through MCP this week. Can filter by product, action, source, changed field and date range.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Only changes to this product",
+          minimum: 1,
+        },
+        action: {
+          type: "string",
+          description: "Only this kind of change",
+          enum: AUDIT_ACTIONS,
+        },
+        source: {
+          type: "string",
+          description: "Only changes made through this surface ('system' is sample data and other changes made outside a request)",
+          enum: AUDIT_SOURCES,
+        },
+        username: {
+          type: "string",
+          description: "Only changes made by this dashboard or REST API user",
+        },
+        field: {
+          type: "string",
+          description: "Only changes to this product field (e.g., 'retail_price')",
+          enum: CATALOG_FIELDS,
+        },
+        from: {
+          type: "string",
+          description: "Earliest change date (e.g., '2025-11-01')",
+        },
+        to: {
+          type: "string",
+          description: "Latest change date, inclusive (e.g., '2025-11-07')",
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum number of changes to return (default ${DEFAULT_AUDIT_LIMIT})`,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: "record_sale",
+    description: "Record a sale of a product in the sales ledger.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product_id", "quantity"],
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "ID of the product sold",
+          minimum: 1,
+        },
+        quantity: {
+          type: "integer",
+          description: "Number of units sold",
+          minimum: 1,
+        },
+        unit_price: {
+          type: "number",
+          description: "Price per unit in the shop's currency. Defaults to the product's retail price.",
+          minimum: 0,
+        },
+        sold_at: {
+          type: "string",
+          description:
+            "When the sale happened, as YYYY-MM-DD or YYYY-MM-DD HH:MM[:SS] in UTC (e.g., '2025-11-05 14:30'). Defaults to now.",
+        },
+        customer_id: {
+          ...CUSTOMER_ID,
+          description: "The customer who bought it. Leave out for an anonymous sale.",
+        },
+      },
+    },
+  },
+  {
+    name: "get_sales",
+    description: "List recorded sales, newest first. Can filter by product, customer, type and date range.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Only sales of this product",
+          minimum: 1,
+        },
+        customer_id: {
+          ...CUSTOMER_ID,
+          description: "Only sales to this customer",
+        },
+        type: {
+          type: "string",
+          description: "Only sales of this product type",
+          "x-vocabulary": "all_types",
+        },
+        from: {
+          type: "string",
+          description: "Earliest sale date (e.g., '2025-11-01')",
+        },
+        to: {
+          type: "string",
+          description: "Latest sale date, inclusive (e.g., '2025-11-07')",
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of sales to return (default 100)",
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: "get_sales_trend",
+    description:
+      "Units sold, revenue and gross profit per day, week or month over a date range, with the change from each period to the next and from the previous range of the same length. Use it to answer questions like 'are perfume sales growing?'.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        interval: {
+          type: "string",
+          description: "Bucket size (default 'day'). Weeks start on Monday.",
+          enum: ["day", "week", "month"],
+        },
+        from: {
+          type: "string",
+          description: "First date (e.g., '2025-09-01'). Defaults to 30 days, 12 weeks or 12 months back.",
+          pattern: DATE,
+        },
+        to: {
+          type: "string",
+          description: "Last date, inclusive (e.g., '2025-11-30'). Defaults to today.",
+          pattern: DATE,
+        },
+        product_id: {
+          type: "integer",
+          description: "Only sales of this product",
+          minimum: 1,
+        },
+        type: {
+          type: "string",
+          description: "Only sales of this product type",
+          "x-vocabulary": "all_types",
+        },
+        category: {
+          type: "string",
+          description: "Only sales of this category",
+          "x-vocabulary": "all_categories",
+        },
+        include_archived: INCLUDE_ARCHIVED_PROPERTY,
+      },
+    },
+  },
+  {
+    name: "ask_sales",
+    description:
+      "Answer a sales question in plain words, the same way as the dashboard's Ask tab, e.g. 'shampoo weekly sales', 'top 3 sellers by revenue this month', 'perfume vs skin', 'average price of hair products under 20'. Returns how the question was read (interpreted, including any words it did not understand), the matching products with their figures (items), their totals, and a one-paragraph summary. Use the other tools for anything it cannot express.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["question"],
+      properties: {
+        question: {
+          type: "string",
+          description: "The question, in English",
+          minLength: 1,
+          maxLength: 500,
+        },
+      },
+    },
+  },
+  {
+    name: "describe_schema",
+    description:
+      "List the database's tables and views with their columns, indexes and foreign keys, to write queries for run_readonly_query against.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {},
+    },
+  },
+  {
+    name: "run_readonly_query",
+    description:
+      "Run a single SQLite SELECT statement (WITH ... SELECT is fine) on a read-only connection and return its rows, for questions the other tools do not cover. Writes, PRAGMA and ATTACH are refused, and so are the users and sessions tables. Call describe_schema first for the tables and columns. Money columns are in the shop's currency; times such as sales.sold_at are UTC text ('YYYY-MM-DD HH:MM:SS'). Give columns distinct names, as rows are keyed by them.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["sql"],
+      properties: {
+        sql: {
+          type: "string",
+          description: "The SELECT statement",
+          minLength: 1,
+          maxLength: 10000,
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum number of rows to return (default ${DEFAULT_ROW_LIMIT}). truncated says whether there were more.`,
+          minimum: 1,
+          maximum: MAX_ROW_LIMIT,
+        },
+        timeout_ms: {
+          type: "integer",
+          description: `Stop the query after this many milliseconds (default ${DEFAULT_QUERY_TIMEOUT_MS})`,
+          minimum: 100,
+          maximum: MAX_QUERY_TIMEOUT_MS,
+        },
+      },
+    },
+  },
+  {
+    name: "receive_stock",
+    description: "Add received goods to a product's stock on hand.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product_id", "quantity"],
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "ID of the product received",
+          minimum: 1,
+        },
+        quantity: {
+          type: "integer",
+          description: "Number of units received",
+          minimum: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "get_low_stock",
+    description:
+      "List products that need reordering: at or below their reorder point, or with fewer than `days` days of stock left at the current sales rate. Includes days of cover, units already on order, the preferred supplier and a suggested order quantity that counts what is on order. draft_restock_orders turns the suggestions into purchase orders.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        days: {
+          type: "number",
+          description: "Flag products with less than this many days of cover (default 7)",
+          exclusiveMinimum: 0,
+        },
+        type: {
+          type: "string",
+          description: "Only check this product type",
+          "x-vocabulary": "all_types",
+        },
+      },
+    },
+  },
+  {
+    name: "forecast_demand",
+    description:
+      "Forecast unit sales per product for the next N days from recorded sales, using a moving average or exponential smoothing with optional day-of-week seasonality. Returns a daily forecast with a 90% confidence band, days of cover, units already on order and a suggested order quantity that counts them. Use this rather than multiplying sales_per_day for purchasing advice.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Forecast only this product",
+          minimum: 1,
+        },
+        type: {
+          type: "string",
+          description: "Forecast only products of this type",
+          "x-vocabulary": "all_types",
+        },
+        category: {
+          type: "string",
+          description: "Forecast only products of this category",
+          "x-vocabulary": "all_categories",
+        },
+        days: {
+          type: "integer",
+          description: "Number of days to forecast (default 14)",
+          minimum: 1,
+          maximum: 90,
+        },
+        history_days: {
+          type: "integer",
+          description: "Days of sales history to learn from, up to today (default 28)",
+          minimum: 7,
+          maximum: 365,
+        },
+        method: {
+          type: "string",
+          description: "'exponential_smoothing' (default) weights recent days more; 'moving_average' weights the whole history equally",
+          enum: ["moving_average", "exponential_smoothing"],
+        },
+        alpha: {
+          type: "number",
+          description: "Smoothing factor for exponential smoothing, between 0 and 1 (default 0.3). Higher reacts faster to recent sales.",
+          exclusiveMinimum: 0,
+          maximum: 1,
+        },
+        seasonality: {
+          type: "boolean",
+          description: "Shape the forecast by day of the week (needs history_days of at least 14)",
+        },
+      },
+    },
+  },
+  {
+    name: "get_suppliers",
+    description: "List suppliers with how many products they are linked to and how many open purchase orders they have.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {},
+    },
+  },
+  {
+    name: "get_supplier",
+    description: "Fetch a supplier by ID, with the products it supplies, its SKUs, prices and lead times.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: SUPPLIER_ID,
+      },
+    },
+  },
+  {
+    name: "create_supplier",
+    description: "Add a supplier. Link it to the products it sells with set_product_supplier.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name"],
+      properties: SUPPLIER_PROPERTIES,
+    },
+  },
+  {
+    name: "update_supplier",
+    description: "Change a supplier's details. Only provide fields you want to update; an empty string clears a contact field.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: SUPPLIER_ID,
+        ...SUPPLIER_PROPERTIES,
+      },
+    },
+  },
+  {
+    name: "get_product_suppliers",
+    description: "List the suppliers of a product, preferred first, with their SKUs, prices and lead times.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product_id"],
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Product ID",
+          minimum: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "set_product_supplier",
+    description:
+      "Link a product to a supplier, or change the link. Fields left out keep their current values. Marking a supplier preferred makes it the one low-stock reports and draft_restock_orders order from.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product_id", "supplier_id"],
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Product ID",
+          minimum: 1,
+        },
+        supplier_id: SUPPLIER_ID,
+        supplier_sku: {
+          type: "string",
+          description: "The supplier's code for the product, or an empty string to clear it",
+        },
+        unit_cost: {
+          type: "number",
+          description: "The supplier's price per unit, used for new purchase order lines",
+          minimum: 0,
+        },
+        lead_time_days: {
+          type: "integer",
+          description: "Days from sending an order to delivery, if different from the supplier's usual",
+          minimum: 0,
+        },
+        preferred: {
+          type: "boolean",
+          description: "Whether this is the supplier to order the product from",
+        },
+      },
+    },
+  },
+  {
+    name: "remove_product_supplier",
+    description: "Unlink a product from a supplier. Purchase orders already placed are kept.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["product_id", "supplier_id"],
+      properties: {
+        product_id: {
+          type: "integer",
+          description: "Product ID",
+          minimum: 1,
+        },
+        supplier_id: SUPPLIER_ID,
+      },
+    },
+  },
+  {
+    name: "get_purchase_orders",
+    description: "List purchase orders, newest first, with their supplier, status and total cost.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        status: {
+          type: "string",
+          description: "Only orders with this status",
+          enum: PURCHASE_ORDER_STATUSES,
+        },
+        supplier_id: {
+          type: "integer",
+          description: "Only orders to this supplier",
+          minimum: 1,
+        },
+        product_id: {
+          type: "integer",
+          description: "Only orders with a line for this product",
+          minimum: 1,
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum number of orders to return (default ${DEFAULT_PURCHASE_ORDER_LIMIT})`,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: "get_purchase_order",
+    description: "Fetch a purchase order with its lines and how much of each has been received.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: PURCHASE_ORDER_ID,
+      },
+    },
+  },
+  {
+    name: "create_purchase_order",
+    description:
+      "Start a draft purchase order to one supplier, with a line per product. Send it with send_purchase_order. Use draft_restock_orders to build orders from the low-stock report instead.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["supplier_id", "lines"],
+      properties: {
+        supplier_id: SUPPLIER_ID,
+        lines: {
+          type: "array",
+          description: "What to order, one line per product",
+          minItems: 1,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["product_id", "quantity"],
+            properties: {
+              product_id: {
+                type: "integer",
+                description: "Product ID",
+                minimum: 1,
+              },
+              quantity: {
+                type: "integer",
+                description: "Units to order",
+                minimum: 1,
+              },
+              unit_cost: {
+                type: "number",
+                description: "Price per unit. Defaults to the supplier's price for the product, then its current unit cost.",
+                minimum: 0,
+              },
+            },
+          },
+        },
+        notes: {
+          type: "string",
+          description: "Notes for the order",
+        },
+      },
+    },
+  },
+  {
+    name: "send_purchase_order",
+    description:
+      "Mark a draft purchase order as sent to its supplier. It is then expected after the longest lead time of its products.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: PURCHASE_ORDER_ID,
+      },
+    },
+  },
+  {
+    name: "receive_purchase_order",
+    description:
+      "Receive goods against a sent purchase order: all that is outstanding, or the given quantities for a partial delivery. Stock goes up and each product's unit cost moves to the weighted average of the stock on hand and the units received.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: PURCHASE_ORDER_ID,
+        lines: {
+          type: "array",
+          description: "What arrived, one line per product, for a partial delivery. Leave out to receive everything outstanding.",
+          minItems: 1,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["product_id", "quantity"],
+            properties: {
+              product_id: {
+                type: "integer",
+                description: "Product ID",
+                minimum: 1,
+              },
+              quantity: {
+                type: "integer",
+                description: "Units received",
+                minimum: 1,
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  {
+    name: "cancel_purchase_order",
+    description:
+      "Cancel a purchase order that has not been received in full. Goods already received stay in stock.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: PURCHASE_ORDER_ID,
+      },
+    },
+  },
+  {
+    name: "draft_restock_orders",
+    description:
+      "Turn the low-stock report (get_low_stock) into draft purchase orders, one per preferred supplier, for the suggested quantities. Products with no preferred supplier are listed instead. Review and send the drafts with send_purchase_order.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        days: {
+          type: "number",
+          description: "Days of cover to order for (default 7)",
+          exclusiveMinimum: 0,
+        },
+        type: {
+          type: "string",
+          description: "Only restock this product type",
+          "x-vocabulary": "all_types",
+        },
+      },
+    },
+  },
+  {
+    name: "get_customers",
+    description:
+      "Look up customers by part of their name, email address or phone number, or list them all by name. Each comes with their number of purchases, units bought and lifetime value (revenue from their purchases).",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        search: {
+          type: "string",
+          description: "Part of a name, email address or phone number, e.g. 'smith' or '555-01'",
+        },
+        limit: {
+          type: "integer",
+          description: `Maximum number of customers to return (default ${DEFAULT_CUSTOMER_LIMIT})`,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: "get_customer",
+    description:
+      "Fetch a customer by ID, with their contact details, marketing consent, lifetime value, first and last purchase, and spending per product type.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: CUSTOMER_ID,
+      },
+    },
+  },
+  {
+    name: "create_customer",
+    description:
+      "Add a customer. Record their purchases by passing customer_id to record_sale. Consent flags default to false.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name"],
+      properties: CUSTOMER_PROPERTIES,
+    },
+  },
+  {
+    name: "update_customer",
+    description:
+      "Change a customer's details or marketing consent. Only provide fields you want to update; an empty string clears a contact field.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: CUSTOMER_ID,
+        ...CUSTOMER_PROPERTIES,
+      },
+    },
+  },
+  {
+    name: "get_customer_purchases",
+    description:
+      "A customer's purchase history from the sales ledger, newest first, with their totals and lifetime value. Can filter by product type and date range.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id"],
+      properties: {
+        id: CUSTOMER_ID,
+        type: {
+          type: "string",
+          description: "Only purchases of this product type",
+          "x-vocabulary": "all_types",
+        },
+        from: {
+          type: "string",
+          description: "Earliest purchase date (e.g., '2025-11-01')",
+        },
+        to: {
+          type: "string",
+          description: "Latest purchase date, inclusive (e.g., '2025-11-07')",
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of purchases to return (default 100)",
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: "get_top_customers",
+    description:
+      "Rank customers by what they bought: revenue, units or gross profit, optionally counting only one product type or category and a date range. Answers questions like 'who buys the most perfume?'. Anonymous sales are not counted.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        type: {
+          type: "string",
+          description: "Only count purchases of this product type",
+          "x-vocabulary": "all_types",
+        },
+        category: {
+          type: "string",
+          description: "Only count purchases of this category",
+          "x-vocabulary": "all_categories",
+        },
+        from: {
+          type: "string",
+          description: "Earliest purchase date (e.g., '2025-11-01')",
+        },
+        to: {
+          type: "string",
+          description: "Latest purchase date, inclusive (e.g., '2025-11-30')",
+        },
+        by: {
+          type: "string",
+          description: "What to rank by (default revenue)",
+          enum: TOP_CUSTOMER_MEASURES,
+        },
+        limit: {
+          type: "integer",
+          description: `Number of customers to return (default ${DEFAULT_TOP_CUSTOMERS})`,
+          minimum: 1,
+          maximum: 100,
+        },
+      },
+    },
+  },
+  {
+    name: "list_product_types",
+    description: "List product types with their labels and how many categories and products each has.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        include_retired: {
+          type: "boolean",
+          description: "Also list retired types (default false)",
+        },
+      },
+    },
+  },
+  {
+    name: "create_product_type",
+    description: "Add a new product type, e.g. 'nail_care'. Give it categories with create_category.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name"],
+      properties: {
+        name: {
+          type: "string",
+          description: "Type name: lowercase letters, digits and underscores (e.g., 'nail_care')",
+          pattern: SLUG,
+        },
+        label: {
+          type: "string",
+          description: "Display name (e.g., 'Nail Care'). Defaults to one derived from the name.",
+          minLength: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "rename_product_type",
+    description: "Change a product type's name, display label, or both. Its products follow the new name.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name"],
+      properties: {
+        name: {
+          type: "string",
+          description: "Current type name",
+          "x-vocabulary": "all_types",
+        },
+        new_name: {
+          type: "string",
+          description: "New type name",
+          pattern: SLUG,
+        },
+        label: {
+          type: "string",
+          description: "New display label",
+          minLength: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "retire_product_type",
+    description:
+      "Retire a product type. Its products and sales history are kept, but it can no longer be chosen for new or edited products.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name"],
+      properties: {
+        name: {
+          type: "string",
+          description: "Type name",
+          "x-vocabulary": "active_types",
+        },
+      },
+    },
+  },
+  {
+    name: "list_categories",
+    description: "List categories, optionally of one product type, with how many products each has.",
+    annotations: READS,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        type: {
+          type: "string",
+          description: "Only categories of this type",
+          "x-vocabulary": "all_types",
+        },
+        include_retired: {
+          type: "boolean",
+          description: "Also list retired categories (default false)",
+        },
+      },
+    },
+  },
+  {
+    name: "create_category",
+    description: "Add a category to a product type, e.g. 'gel_polish' under 'nail_care'.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["type", "name"],
+      properties: {
+        type: {
+          type: "string",
+          description: "Type the category belongs to",
+          "x-vocabulary": "active_types",
+        },
+        name: {
+          type: "string",
+          description: "Category name: lowercase letters, digits and underscores (e.g., 'gel_polish')",
+          pattern: SLUG,
+        },
+        label: {
+          type: "string",
+          description: "Display name. Defaults to one derived from the name.",
+          minLength: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "rename_category",
+    description: "Change a category's name, display label, or both. Its products follow the new name.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["type", "name"],
+      properties: {
+        type: {
+          type: "string",
+          description: "Type the category belongs to",
+          "x-vocabulary": "all_types",
+        },
+        name: {
+          type: "string",
+          description: "Current category name",
+          "x-vocabulary": "all_categories",
+        },
+        new_name: {
+          type: "string",
+          description: "New category name",
+          pattern: SLUG,
+        },
+        label: {
+          type: "string",
+          description: "New display label",
+          minLength: 1,
+        },
+      },
+    },
+  },
+  {
+    name: "retire_category",
+    description:
+      "Retire a category. Its products and sales history are kept, but it can no longer be chosen for new or edited products.",
+    annotations: WRITES,
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["type", "name"],
+      properties: {
+        type: {
+          type: "string",
+          description: "Type the category belongs to",
+          "x-vocabulary": "all_types",
+        },
+        name: {
+          type: "string",
+          description: "Category name",
+          "x-vocabulary": "active_categories",
+        },
+      },
+    },
+  },
+];
+
+const USERNAME = {
+  type: "string",
+  description: "Username (letters, digits, dots, dashes and underscores)",
+  pattern: "^[A-Za-z0-9._-]{2,40}$",
+};
+const PASSWORD = {
+  type: "string",
+  description: "Password, at least 8 characters",
+  minLength: 8,
+  maxLength: 200,
+};
+const ROLE = {
+  type: "string",
+  description: "viewer (read only), clerk (also record sales and stock) or manager (also edit the catalog and users)",
+  enum: ROLES,
+};
+
+// Input schemas for the web server's routes that have no MCP tool: signing
+// in and managing users. validate() checks requests against them the same
+// way as against the tools' schemas.
+export const routeSchemas = [
+  {
+    name: "login",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["username", "password"],
+      properties: {
+        username: { type: "string", minLength: 1 },
+        password: { type: "string", minLength: 1 },
+      },
+    },
+  },
+  {
+    name: "setup",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["username", "password"],
+      properties: { username: USERNAME, password: PASSWORD },
+    },
+  },
+  {
+    name: "list_users",
+    inputSchema: { type: "object", additionalProperties: false, properties: {} },
+  },
+  {
+    name: "create_user",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["username", "password", "role"],
+      properties: { username: USERNAME, password: PASSWORD, role: ROLE },
+    },
+  },
+  {
+    name: "update_user",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["username"],
+      properties: { username: { type: "string" }, password: PASSWORD, role: ROLE },
+    },
+  },
+  {
+    name: "delete_user",
+    inputSchema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["username"],
+      properties: { username: { type: "string" } },
+    },
+  },
+];
+
+export function getTool(name) {
+  return tools.find((tool) => tool.name === name);
+}
+
+// The schema entry for a tool or a REST-only route
+export function getSchema(name) {
+  return getTool(name) ?? routeSchemas.find((route) => route.name === name);
+}
+
+// Fill each "x-vocabulary" property's enum from the database:
+// "active_types" / "all_types" and "active_categories" / "all_categories",
+// where "all" includes retired entries so existing products can still be
+// looked up by them. A static enum on the property is kept as extra values.
+function withVocabulary(schema, vocabulary) {
+  const properties = {};
+
+  for (const [key, property] of Object.entries(schema.properties)) {
+    const { "x-vocabulary": source, ...rest } = property;
+    if (source) {
+      const values = [...vocabulary[source], ...(rest.enum || [])];
+      if (values.length > 0) rest.enum = values;
+    }
+    properties[key] = rest;
+  }
+
+  return { ...schema, properties };
+}
+
+// The tool definitions with enums generated from the current product types
+// and categories. Listed to MCP clients and used for validation.
+export async function getTools() {
+  const [activeTypes, allTypes, activeCategories, allCategories] = await Promise.all([
+    listProductTypes(),
+    listProductTypes({ include_retired: true }),
+    listCategories(),
+    listCategories({ include_retired: true }),
+  ]);
+  const names = (entries) => [...new Set(entries.map((entry) => entry.name))];
+  const vocabulary = {
+    active_types: names(activeTypes),
+    all_types: names(allTypes),
+    active_categories: names(activeCategories),
+    all_categories: names(allCategories),
+  };
+
+  return tools.map((tool) => ({ ...tool, inputSchema: withVocabulary(tool.inputSchema, vocabulary) }));
+}
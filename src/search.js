@@ -0,0 +1,150 @@
+// Ranked product search over name, category and description, backed by the
+// products_fts index (see src/migrations/006_product_search.js). Each word
+// of the query matches indexed terms that start with it or are within a
+// typo or two of it, so "shampo" finds "shampoo" and "victorias" finds
+// "victoria".
+
+import { dbAll } from "./db.js";
+import { getProducts, selectFields, TAXONOMY_JOIN } from "./products.js";
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+
+// Column weights for bm25(): a hit in the name counts most
+const NAME_WEIGHT = 10;
+const CATEGORY_WEIGHT = 5;
+const DESCRIPTION_WEIGHT = 1;
+
+// Typos allowed for a word of this many characters
+function maxTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 7) return 1;
+  return 2;
+}
+
+// Edit distance counting insertions, deletions, substitutions and swaps of
+// neighbouring letters. Stops early once it exceeds `limit`.
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Split a query into lowercase words, dropping punctuation
+function queryWords(query) {
+  return [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+// The indexed terms each query word can match
+async function expandWords(words) {
+  const vocabulary = (await dbAll("SELECT term FROM products_fts_vocab")).map((row) => row.term);
+
+  return words.map((word) => {
+    const typos = maxTypos(word.length);
+    const matches = vocabulary.filter(
+      (term) => term.startsWith(word) || (typos > 0 && editDistance(word, term, typos) <= typos)
+    );
+    return { word, matches };
+  });
+}
+
+// An FTS5 MATCH expression. Every term is quoted, so nothing in the user's
+// query is read as FTS syntax.
+function matchExpression(expanded, operator) {
+  return expanded
+    .map(({ matches }) => `(${matches.map((term) => `"${term.replace(/"/g, '""')}"`).join(" OR ")})`)
+    .join(` ${operator} `);
+}
+
+// Ids of the matching products, best first, with their bm25 rank (lower
+// is better)
+async function rankedIds(expression, { type, category, include_archived }) {
+  let query = `
+    SELECT products_fts.rowid as id, bm25(products_fts, ?, ?, ?) as rank
+    FROM products_fts
+    JOIN products p ON p.id = products_fts.rowid
+    ${TAXONOMY_JOIN}
+    WHERE products_fts MATCH ?
+  `;
+  const params = [NAME_WEIGHT, CATEGORY_WEIGHT, DESCRIPTION_WEIGHT, expression];
+
+  if (!include_archived) {
+    query += " AND p.archived_at IS NULL";
+  }
+  if (type) {
+    query += " AND t.name = ?";
+    params.push(type);
+  }
+  if (category) {
+    query += " AND c.name = ?";
+    params.push(category);
+  }
+
+  return dbAll(`${query} ORDER BY rank`, params);
+}
+
+// Products matching the query, best match first, optionally only of one
+// type or category. Products matching every word rank first; when no
+// product does, products matching any word are returned instead. Words
+// that match nothing in the index are ignored and listed in `unmatched`.
+// Archived products are left out unless include_archived is set.
+export async function searchProducts({
+  query,
+  type,
+  category,
+  limit = DEFAULT_SEARCH_LIMIT,
+  fields,
+  include_archived = false,
+} = {}) {
+  const expanded = await expandWords(queryWords(query));
+  const usable = expanded.filter(({ matches }) => matches.length > 0);
+  const result = {
+    query,
+    terms: Object.fromEntries(usable.map(({ word, matches }) => [word, matches])),
+    unmatched: expanded.filter(({ matches }) => matches.length === 0).map(({ word }) => word),
+    match: "all",
+  };
+
+  let ranked = [];
+  if (usable.length > 0) {
+    const filters = { type, category, include_archived };
+    ranked = await rankedIds(matchExpression(usable, "AND"), filters);
+    if (ranked.length === 0 && usable.length > 1) {
+      ranked = await rankedIds(matchExpression(usable, "OR"), filters);
+      result.match = "any";
+    }
+  }
+
+  const page = ranked.slice(0, limit);
+  const products = page.length
+    ? await getProducts({ ids: page.map((row) => row.id), include_archived })
+    : [];
+  const byId = new Map(products.map((product) => [product.id, product]));
+
+  return {
+    ...result,
+    total: ranked.length,
+    count: page.length,
+    products: page.map((row) => ({
+      ...selectFields(byId.get(row.id), fields),
+      score: Math.round(-row.rank * 1000) / 1000,
+    })),
+  };
+}
@@ -0,0 +1,73 @@
+// Startup work shared by both servers: bring the schema up to date and, when
+// the seed setting is on, fill an empty database with the products in
+// seed_file (data/sample-products.json by default) and a week of sales each.
+
+import fs from "fs/promises";
+import { dbGet, withTransaction } from "./db.js";
+import { getConfig } from "./config.js";
+import { log } from "./log.js";
+import { migrateUp } from "./migrate.js";
+import { addProduct } from "./products.js";
+import { recordSale } from "./sales.js";
+import { validateArgs } from "./validation.js";
+
+// A seed file is a JSON array of add_product arguments. Each product may
+// also have daily_units, the units it sold on each of the last 7 days.
+async function readSeedFile(file) {
+  let products;
+  try {
+    products = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read seed file ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(products)) {
+    throw new Error(`Seed file ${file} must hold an array of products`);
+  }
+
+  for (const [index, { daily_units = 0, ...product }] of products.entries()) {
+    const where = `Seed file ${file}, product ${index + 1}`;
+    if (!Number.isInteger(daily_units) || daily_units < 0) {
+      throw new Error(`${where}: daily_units must be a whole number, 0 or more`);
+    }
+    try {
+      await validateArgs("add_product", product);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+  return products;
+}
+
+// Add the seed file's products and their sales, all or nothing. Returns how
+// many products were added.
+export async function seedDatabase(file) {
+  const products = await readSeedFile(file);
+
+  await withTransaction(async () => {
+    for (const { daily_units = 0, ...product } of products) {
+      const added = await addProduct(product);
+      if (daily_units === 0) continue;
+      for (let daysAgo = 0; daysAgo < 7; daysAgo++) {
+        const soldAt = new Date(Date.now() - daysAgo * 86400000).toISOString();
+        await recordSale({ product_id: added.id, quantity: daily_units, sold_at: soldAt });
+      }
+    }
+  });
+  return products.length;
+}
+
+// Apply pending migrations, then, if seeding is on, seed a database that has
+// no products, archived or not
+export async function prepareDatabase() {
+  for (const migration of await migrateUp()) {
+    log.info(`Applied migration ${migration.id}`);
+  }
+
+  const { seed, seed_file } = getConfig();
+  if (!seed) return;
+  const { count } = await dbGet("SELECT COUNT(*) as count FROM products");
+  if (count > 0) return;
+
+  const added = await seedDatabase(seed_file);
+  log.info(`Added ${added} sample products and a week of their sales from ${seed_file}`);
+}
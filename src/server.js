@@ -1,561 +1,649 @@
 #!/usr/bin/env node
 
+import fs from "fs";
+import { fileURLToPath } from "url";
+import express from "express";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
 } from "@modelcontextprotocol/sdk/types.js";
-import sqlite3 from "sqlite3";
-import { promisify } from "util";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Initialize database
-const dbPath = path.join(__dirname, "..", "shop.db");
-const db = new sqlite3.Database(dbPath);
-
-// Promisify database methods
-const dbRun = promisify(db.run.bind(db));
-const dbGet = promisify(db.get.bind(db));
-const dbAll = promisify(db.all.bind(db));
-
-// Initialize database schema
-async function initializeDatabase() {
-  await dbRun(`
-    CREATE TABLE IF NOT EXISTS products (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      type TEXT NOT NULL,
-      category TEXT NOT NULL,
-      cost REAL NOT NULL,
-      sales_per_day REAL NOT NULL DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create index for faster queries
-  await dbRun(`CREATE INDEX IF NOT EXISTS idx_type ON products(type)`);
-  await dbRun(`CREATE INDEX IF NOT EXISTS idx_category ON products(category)`);
-}
-
-// Initialize the server
-const server = new Server(
-  {
-    name: "shop-manager",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
-
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [
-    {
-      name: "get_products",
-      description: "Fetch products from the database. Can filter by name, type, or category.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          name: {
-            type: "string",
-            description: "Filter by product name (partial match)",
-          },
-          type: {
-            type: "string",
-            description: "Filter by product type (e.g., 'hair', 'perfume', 'skin')",
-            enum: ["hair", "perfume", "skin"],
-          },
-          category: {
-            type: "string",
-            description: "Filter by specific category (e.g., 'shampoo', 'gucci', 'body_lotion')",
-          },
-        },
-      },
-    },
+import { getTool, getTools } from "./schemas.js";
+import { validateArgs } from "./validation.js";
+import {
+  listProducts,
+  getProduct,
+  selectFields,
+  getWeeklySales,
+  getAverageCostByType,
+  addProduct,
+  updateProduct,
+  archiveProduct,
+  restoreProduct,
+  purgeProduct,
+} from "./products.js";
+import { recordSale, getSales } from "./sales.js";
+import { receiveStock, getLowStock } from "./inventory.js";
+import {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  getCustomerPurchases,
+  getTopCustomers,
+} from "./customers.js";
+import {
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  getProductSuppliers,
+  setProductSupplier,
+  removeProductSupplier,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  draftRestockOrders,
+} from "./purchasing.js";
+import { getSalesTrend } from "./trends.js";
+import { answerSalesQuery } from "./nlq.js";
+import { runReadOnlyQuery, describeSchema } from "./sql.js";
+import { forecastDemand } from "./forecast.js";
+import { searchProducts } from "./search.js";
+import { importProducts, exportProducts } from "./catalog.js";
+import { withAuditSource, getProductHistory, getAuditLog } from "./audit.js";
+import {
+  loadPolicy,
+  applyPolicy,
+  isToolAvailable,
+  requiresConfirmation,
+  previewToolCall,
+  redeemConfirmation,
+} from "./policy.js";
+import { createMcpRouter, requireMcpToken } from "./mcp-http.js";
+import {
+  listResources,
+  readResource,
+  RESOURCE_TEMPLATES,
+  isAffectedBy,
+  changesResourceList,
+} from "./resources.js";
+import { listPrompts, getPrompt } from "./prompts.js";
+import { dataChanges } from "./changes.js";
+import { ValidationError, NotFoundError } from "./errors.js";
+import { getConfig } from "./config.js";
+import { log } from "./log.js";
+import { prepareDatabase } from "./seed.js";
+import {
+  listProductTypes,
+  createProductType,
+  renameProductType,
+  retireProductType,
+  listCategories,
+  createCategory,
+  renameCategory,
+  retireCategory,
+} from "./taxonomy.js";
+
+// The MCP error code for an unknown resource
+const RESOURCE_NOT_FOUND = -32002;
+
+// An MCP server for the shop's tools, offered as `policy` allows (see
+// src/policy.js). Each connection needs its own server: stdio makes one, and
+// the HTTP transport makes one per client session.
+export function createServer({ policy }) {
+  const server = new Server(
     {
-      name: "get_weekly_sales",
-      description: "Get weekly sales data. Can filter by product type or show all products.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          type: {
-            type: "string",
-            description: "Filter by product type (e.g., 'hair', 'perfume', 'skin'). Leave empty for all products.",
-            enum: ["hair", "perfume", "skin", ""],
-          },
-          product_id: {
-            type: "number",
-            description: "Get weekly sales for a specific product by ID",
-          },
-        },
-      },
+      name: "shop-manager",
+      version: "1.0.0",
     },
     {
-      name: "get_avg_cost_by_type",
-      description: "Get average cost grouped by product type.",
-      inputSchema: {
-        type: "object",
-        properties: {},
+      instructions: `Money amounts are in ${getConfig().currency}.`,
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true, listChanged: true },
+        prompts: {},
       },
-    },
-    {
-      name: "add_product",
-      description: "Add a new product to the database.",
-      inputSchema: {
-        type: "object",
-        required: ["name", "type", "category", "cost", "sales_per_day"],
-        properties: {
-          name: {
-            type: "string",
-            description: "Product name (e.g., 'Shampoo Pro', 'Gucci Bloom')",
-          },
-          type: {
-            type: "string",
-            description: "Product type",
-            enum: ["hair", "perfume", "skin"],
-          },
-          category: {
-            type: "string",
-            description: "Product category (e.g., 'shampoo', 'gucci', 'body_lotion')",
-          },
-          cost: {
-            type: "number",
-            description: "Product cost in dollars",
-          },
-          sales_per_day: {
-            type: "number",
-            description: "Average sales per day",
-          },
-        },
-      },
-    },
-    {
-      name: "update_product",
-      description: "Update an existing product. Only provide fields you want to update.",
-      inputSchema: {
-        type: "object",
-        required: ["id"],
-        properties: {
-          id: {
-            type: "number",
-            description: "Product ID to update",
-          },
-          name: {
-            type: "string",
-            description: "New product name",
-          },
-          type: {
-            type: "string",
-            description: "New product type",
-            enum: ["hair", "perfume", "skin"],
-          },
-          category: {
-            type: "string",
-            description: "New product category",
-          },
-          cost: {
-            type: "number",
-            description: "New product cost",
-          },
-          sales_per_day: {
-            type: "number",
-            description: "New sales per day value",
-          },
-        },
+    }
+  );
+
+  // List the tools the policy offers, with type and category enums from the
+  // database
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: applyPolicy(policy, await getTools()),
+  }));
+
+  // Handle tool calls. Product changes they make are audited as coming from MCP.
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    log.debug(`MCP tool call: ${name}`);
+    return withAuditSource({ source: "mcp", operation: name }, () => callTool(policy, name, args));
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: await listResources() }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES,
+  }));
+  server.setRequestHandler(ReadResourceRequestSchema, (request) =>
+    asMcpError(async () => ({ contents: [await readResource(request.params.uri)] }))
+  );
+
+  // Subscriptions last as long as the connection
+  const subscriptions = new Set();
+  server.setRequestHandler(SubscribeRequestSchema, (request) =>
+    asMcpError(async () => {
+      await readResource(request.params.uri);
+      subscriptions.add(request.params.uri);
+      return {};
+    })
+  );
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+  notifyChanges(server, subscriptions);
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: listPrompts() }));
+  server.setRequestHandler(GetPromptRequestSchema, (request) =>
+    asMcpError(() => getPrompt(request.params.name, request.params.arguments))
+  );
+
+  return server;
+}
+
+// Report errors from reading resources and prompts as JSON-RPC errors
+async function asMcpError(work) {
+  try {
+    return await work();
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new McpError(RESOURCE_NOT_FOUND, error.message);
+    }
+    if (error instanceof ValidationError) {
+      throw new McpError(ErrorCode.InvalidParams, error.message, error.details);
+    }
+    throw error;
+  }
+}
+
+// Tell the client when resources it subscribed to change, whichever server
+// or surface changed them, and when products join or leave the resource
+// list. Changes are gathered until the current burst of work is done, so a
+// catalog import sends each notification once.
+function notifyChanges(server, subscriptions) {
+  const updated = new Set();
+  let listChanged = false;
+  let scheduled = false;
+
+  const send = () => {
+    scheduled = false;
+    // The client may have gone by the time a notification is sent
+    for (const uri of updated) server.sendResourceUpdated({ uri }).catch(() => {});
+    if (listChanged) server.sendResourceListChanged().catch(() => {});
+    updated.clear();
+    listChanged = false;
+  };
+
+  const onChange = (change) => {
+    for (const uri of subscriptions) {
+      if (isAffectedBy(uri, change)) updated.add(uri);
+    }
+    listChanged ||= changesResourceList(change);
+    if (!scheduled && (updated.size > 0 || listChanged)) {
+      scheduled = true;
+      setImmediate(send);
+    }
+  };
+
+  dataChanges.on("change", onChange);
+  server.onclose = () => dataChanges.off("change", onChange);
+}
+
+// Wrap a payload as a JSON text tool result
+function toolResult(payload) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(payload, null, 2),
       },
-    },
-    {
-      name: "delete_product",
-      description: "Delete a product from the database.",
-      inputSchema: {
-        type: "object",
-        required: ["id"],
-        properties: {
-          id: {
-            type: "number",
-            description: "Product ID to delete",
-          },
-        },
+    ],
+  };
+}
+
+function toolError(message, details) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          error: message,
+          details,
+        }),
       },
-    },
-  ],
-}));
+    ],
+    isError: true,
+  };
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+async function callTool(policy, name, args) {
+  if (!getTool(name)) {
+    return toolError(`Unknown tool: ${name}`);
+  }
+  if (!isToolAvailable(policy, name)) {
+    return toolError(`${name} is not available: the server is read-only`);
+  }
 
   try {
+    // A tool that needs confirming previews its change until it is called
+    // with the token from the preview
+    const confirming = requiresConfirmation(policy, name);
+    let confirmationToken;
+    if (confirming) {
+      ({ confirmation_token: confirmationToken, ...args } = args);
+    }
+
+    await validateArgs(name, args);
+
+    if (confirming) {
+      if (confirmationToken === undefined) {
+        return toolResult(await previewToolCall(name, args));
+      }
+      redeemConfirmation(name, args, confirmationToken);
+    }
+
     switch (name) {
       case "get_products": {
-        let query = "SELECT * FROM products WHERE 1=1";
-        const params = [];
-
-        if (args.name) {
-          query += " AND name LIKE ?";
-          params.push(`%${args.name}%`);
-        }
-        if (args.type) {
-          query += " AND type = ?";
-          params.push(args.type);
-        }
-        if (args.category) {
-          query += " AND category = ?";
-          params.push(args.category);
-        }
-
-        query += " ORDER BY name";
-
-        const products = await dbAll(query, params);
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  count: products.length,
-                  products: products,
-                },
-                null,
-                2
-              ),
-            },
-          ],
-        };
+        return toolResult(await listProducts(args));
+      }
+
+      case "search_products": {
+        return toolResult(await searchProducts(args));
+      }
+
+      case "get_product": {
+        const product = await getProduct(args.id);
+        return toolResult({
+          product: selectFields(product, args.fields),
+        });
       }
 
       case "get_weekly_sales": {
-        let query;
-        let params = [];
-
-        if (args.product_id) {
-          query = `
-            SELECT 
-              id,
-              name,
-              type,
-              category,
-              sales_per_day,
-              (sales_per_day * 7) as weekly_sales,
-              cost,
-              (sales_per_day * 7 * cost) as weekly_revenue
-            FROM products 
-            WHERE id = ?
-          `;
-          params = [args.product_id];
-        } else if (args.type) {
-          query = `
-            SELECT 
-              id,
-              name,
-              type,
-              category,
-              sales_per_day,
-              (sales_per_day * 7) as weekly_sales,
-              cost,
-              (sales_per_day * 7 * cost) as weekly_revenue
-            FROM products 
-            WHERE type = ?
-            ORDER BY weekly_sales DESC
-          `;
-          params = [args.type];
-        } else {
-          query = `
-            SELECT 
-              id,
-              name,
-              type,
-              category,
-              sales_per_day,
-              (sales_per_day * 7) as weekly_sales,
-              cost,
-              (sales_per_day * 7 * cost) as weekly_revenue
-            FROM products 
-            ORDER BY weekly_sales DESC
-          `;
-        }
-
-        const sales = await dbAll(query, params);
-        
-        // Calculate totals
-        const totalWeeklySales = sales.reduce((sum, item) => sum + item.weekly_sales, 0);
-        const totalWeeklyRevenue = sales.reduce((sum, item) => sum + item.weekly_revenue, 0);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  total_weekly_sales: totalWeeklySales,
-                  total_weekly_revenue: totalWeeklyRevenue,
-                  products: sales,
-                },
-                null,
-                2
-              ),
-            },
-          ],
-        };
+        return toolResult(await getWeeklySales(args));
       }
 
       case "get_avg_cost_by_type": {
-        const query = `
-          SELECT 
-            type,
-            COUNT(*) as product_count,
-            AVG(cost) as avg_cost,
-            MIN(cost) as min_cost,
-            MAX(cost) as max_cost,
-            SUM(sales_per_day) as total_daily_sales
-          FROM products
-          GROUP BY type
-          ORDER BY type
-        `;
-
-        const results = await dbAll(query);
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  average_costs_by_type: results,
-                },
-                null,
-                2
-              ),
-            },
-          ],
-        };
+        const results = await getAverageCostByType(args);
+        return toolResult({
+          average_costs_by_type: results,
+        });
       }
 
       case "add_product": {
-        const { name, type, category, cost, sales_per_day } = args;
-
-        await dbRun(
-          `INSERT INTO products (name, type, category, cost, sales_per_day)
-           VALUES (?, ?, ?, ?, ?)`,
-          [name, type, category, cost, sales_per_day]
-        );
-
-        // Get the last inserted row using SQLite's last_insert_rowid()
-        const newProduct = await dbGet(
-          "SELECT * FROM products WHERE id = last_insert_rowid()"
-        );
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  message: "Product added successfully",
-                  product: newProduct,
-                },
-                null,
-                2
-              ),
-            },
-          ],
-        };
+        const newProduct = await addProduct(args);
+        return toolResult({
+          message: "Product added successfully",
+          product: newProduct,
+        });
       }
 
       case "update_product": {
         const { id, ...updates } = args;
-
-        // Build dynamic update query
-        const fields = [];
-        const values = [];
-
-        if (updates.name !== undefined) {
-          fields.push("name = ?");
-          values.push(updates.name);
-        }
-        if (updates.type !== undefined) {
-          fields.push("type = ?");
-          values.push(updates.type);
-        }
-        if (updates.category !== undefined) {
-          fields.push("category = ?");
-          values.push(updates.category);
-        }
-        if (updates.cost !== undefined) {
-          fields.push("cost = ?");
-          values.push(updates.cost);
-        }
-        if (updates.sales_per_day !== undefined) {
-          fields.push("sales_per_day = ?");
-          values.push(updates.sales_per_day);
-        }
-
-        if (fields.length === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify({
-                  error: "No fields to update",
-                }),
-              },
-            ],
-            isError: true,
-          };
-        }
-
-        fields.push("updated_at = CURRENT_TIMESTAMP");
-        values.push(id);
-
-        await dbRun(
-          `UPDATE products SET ${fields.join(", ")} WHERE id = ?`,
-          values
-        );
-
-        const updatedProduct = await dbGet(
-          "SELECT * FROM products WHERE id = ?",
-          [id]
-        );
-
-        if (!updatedProduct) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify({
-                  error: "Product not found",
-                }),
-              },
-            ],
-            isError: true,
-          };
-        }
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  message: "Product updated successfully",
-                  product: updatedProduct,
-                },
-                null,
-                2
-              ),
-            },
-          ],
-        };
+        const updatedProduct = await updateProduct(id, updates);
+        return toolResult({
+          message: "Product updated successfully",
+          product: updatedProduct,
+        });
       }
 
       case "delete_product": {
-        const { id } = args;
-
-        // Check if product exists
-        const product = await dbGet("SELECT * FROM products WHERE id = ?", [id]);
-
-        if (!product) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify({
-                  error: "Product not found",
-                }),
-              },
-            ],
-            isError: true,
-          };
-        }
-
-        await dbRun("DELETE FROM products WHERE id = ?", [id]);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  message: "Product deleted successfully",
-                  deleted_product: product,
-                },
-                null,
-                2
-              ),
-            },
-          ],
-        };
+        const product = await archiveProduct(args.id);
+        return toolResult({
+          message: "Product archived; restore_product brings it back",
+          deleted_product: product,
+        });
+      }
+
+      case "restore_product": {
+        const product = await restoreProduct(args.id);
+        return toolResult({
+          message: "Product restored successfully",
+          product,
+        });
+      }
+
+      case "purge_product": {
+        const product = await purgeProduct(args.id);
+        return toolResult({
+          message: "Product permanently removed",
+          purged_product: product,
+        });
+      }
+
+      case "import_products": {
+        const report = await importProducts(args);
+        return toolResult({
+          message: report.dry_run ? "Dry run: nothing was saved" : "Products imported successfully",
+          ...report,
+        });
+      }
+
+      case "export_products": {
+        return toolResult(await exportProducts(args));
+      }
+
+      case "get_product_history": {
+        return toolResult(await getProductHistory(args));
+      }
+
+      case "get_audit_log": {
+        return toolResult(await getAuditLog(args));
+      }
+
+      case "record_sale": {
+        const sale = await recordSale(args);
+        return toolResult({
+          message: "Sale recorded successfully",
+          sale,
+        });
+      }
+
+      case "get_sales": {
+        return toolResult(await getSales(args));
+      }
+
+      case "get_sales_trend": {
+        return toolResult(await getSalesTrend(args));
+      }
+
+      case "ask_sales": {
+        return toolResult(await answerSalesQuery(args.question));
+      }
+
+      case "describe_schema": {
+        return toolResult(await describeSchema());
+      }
+
+      case "run_readonly_query": {
+        return toolResult(await runReadOnlyQuery(args));
+      }
+
+      case "receive_stock": {
+        const product = await receiveStock(args);
+        return toolResult({
+          message: "Stock received successfully",
+          product,
+        });
+      }
+
+      case "get_low_stock": {
+        return toolResult(await getLowStock(args));
+      }
+
+      case "forecast_demand": {
+        return toolResult(await forecastDemand(args));
+      }
+
+      case "get_suppliers": {
+        const suppliers = await listSuppliers();
+        return toolResult({
+          count: suppliers.length,
+          suppliers,
+        });
+      }
+
+      case "get_supplier": {
+        return toolResult(await getSupplier(args.id));
+      }
+
+      case "create_supplier": {
+        const supplier = await createSupplier(args);
+        return toolResult({
+          message: "Supplier created successfully",
+          supplier,
+        });
+      }
+
+      case "update_supplier": {
+        const { id, ...updates } = args;
+        const supplier = await updateSupplier(id, updates);
+        return toolResult({
+          message: "Supplier updated successfully",
+          supplier,
+        });
+      }
+
+      case "get_product_suppliers": {
+        const suppliers = await getProductSuppliers(args.product_id);
+        return toolResult({
+          count: suppliers.length,
+          suppliers,
+        });
+      }
+
+      case "set_product_supplier": {
+        const link = await setProductSupplier(args);
+        return toolResult({
+          message: "Product supplier saved successfully",
+          product_supplier: link,
+        });
+      }
+
+      case "remove_product_supplier": {
+        await removeProductSupplier(args);
+        return toolResult({
+          message: "Product supplier removed successfully",
+          ...args,
+        });
+      }
+
+      case "get_purchase_orders": {
+        return toolResult(await listPurchaseOrders(args));
+      }
+
+      case "get_purchase_order": {
+        return toolResult(await getPurchaseOrder(args.id));
+      }
+
+      case "create_purchase_order": {
+        const order = await createPurchaseOrder(args);
+        return toolResult({
+          message: "Purchase order drafted successfully",
+          purchase_order: order,
+        });
+      }
+
+      case "send_purchase_order": {
+        const order = await sendPurchaseOrder(args.id);
+        return toolResult({
+          message: "Purchase order marked as sent",
+          purchase_order: order,
+        });
+      }
+
+      case "receive_purchase_order": {
+        const receipt = await receivePurchaseOrder(args);
+        return toolResult({
+          message: "Goods received successfully",
+          ...receipt,
+        });
+      }
+
+      case "cancel_purchase_order": {
+        const order = await cancelPurchaseOrder(args.id);
+        return toolResult({
+          message: "Purchase order cancelled",
+          purchase_order: order,
+        });
+      }
+
+      case "draft_restock_orders": {
+        return toolResult(await draftRestockOrders(args));
+      }
+
+      case "get_customers": {
+        return toolResult(await listCustomers(args));
+      }
+
+      case "get_customer": {
+        return toolResult(await getCustomer(args.id));
+      }
+
+      case "create_customer": {
+        const customer = await createCustomer(args);
+        return toolResult({
+          message: "Customer created successfully",
+          customer,
+        });
+      }
+
+      case "update_customer": {
+        const { id, ...updates } = args;
+        const customer = await updateCustomer(id, updates);
+        return toolResult({
+          message: "Customer updated successfully",
+          customer,
+        });
+      }
+
+      case "get_customer_purchases": {
+        return toolResult(await getCustomerPurchases(args));
+      }
+
+      case "get_top_customers": {
+        return toolResult(await getTopCustomers(args));
+      }
+
+      case "list_product_types": {
+        const types = await listProductTypes(args);
+        return toolResult({
+          count: types.length,
+          product_types: types,
+        });
+      }
+
+      case "create_product_type": {
+        const type = await createProductType(args);
+        return toolResult({
+          message: "Product type created successfully",
+          product_type: type,
+        });
+      }
+
+      case "rename_product_type": {
+        const type = await renameProductType(args);
+        return toolResult({
+          message: "Product type updated successfully",
+          product_type: type,
+        });
+      }
+
+      case "retire_product_type": {
+        const type = await retireProductType(args);
+        return toolResult({
+          message: "Product type retired successfully",
+          product_type: type,
+        });
+      }
+
+      case "list_categories": {
+        const categories = await listCategories(args);
+        return toolResult({
+          count: categories.length,
+          categories,
+        });
+      }
+
+      case "create_category": {
+        const category = await createCategory(args);
+        return toolResult({
+          message: "Category created successfully",
+          category,
+        });
+      }
+
+      case "rename_category": {
+        const category = await renameCategory(args);
+        return toolResult({
+          message: "Category updated successfully",
+          category,
+        });
+      }
+
+      case "retire_category": {
+        const category = await retireCategory(args);
+        return toolResult({
+          message: "Category retired successfully",
+          category,
+        });
       }
 
       default:
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                error: `Unknown tool: ${name}`,
-              }),
-            },
-          ],
-          isError: true,
-        };
+        return toolError(`Unknown tool: ${name}`);
     }
   } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: error.message,
-          }),
-        },
-      ],
-      isError: true,
-    };
+    return toolError(error.message, error.details);
   }
-});
+}
 
-// Start the server
+// The value after a command-line flag, e.g. --port 3001
+function flagValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+// Start the server: on stdio by default, or with --http on the Streamable
+// HTTP transport at /mcp, on the mcp_port setting unless --port says
+// otherwise. HTTP clients must send the mcp_token setting as a bearer
+// token; without one, --http needs --mcp-no-auth.
 async function main() {
-  await initializeDatabase();
-  
-  // Add some sample data if database is empty
-  const existingProducts = await dbAll("SELECT COUNT(*) as count FROM products");
-  if (existingProducts[0].count === 0) {
-    const sampleProducts = [
-      { name: "Shampoo Pro", type: "hair", category: "shampoo", cost: 12.99, sales_per_day: 15 },
-      { name: "Conditioner Plus", type: "hair", category: "conditioner", cost: 14.99, sales_per_day: 12 },
-      { name: "Gucci Bloom", type: "perfume", category: "gucci", cost: 89.99, sales_per_day: 8 },
-      { name: "Victoria Secret Angel", type: "perfume", category: "victoria_secret", cost: 65.99, sales_per_day: 10 },
-      { name: "Body Lotion Smooth", type: "skin", category: "body_lotion", cost: 18.99, sales_per_day: 20 },
-      { name: "Moisturizer Daily", type: "skin", category: "moisturizer", cost: 24.99, sales_per_day: 18 },
-    ];
-
-    for (const product of sampleProducts) {
-      await dbRun(
-        `INSERT INTO products (name, type, category, cost, sales_per_day)
-         VALUES (?, ?, ?, ?, ?)`,
-        [product.name, product.type, product.category, product.cost, product.sales_per_day]
-      );
-    }
-    console.error("Sample products added to database");
+  const config = getConfig();
+  const http = process.argv.includes("--http");
+  const token = http ? requireMcpToken(config, "--http") : null;
+  const policy = await loadPolicy({ readOnly: process.argv.includes("--read-only") });
+  if (policy.mode === "read-only") {
+    log.info("Read-only mode: only read-only tools are offered");
   }
 
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("Shop Manager MCP server running on stdio");
+  await prepareDatabase();
+
+  if (!http) {
+    const transport = new StdioServerTransport();
+    await createServer({ policy }).connect(transport);
+    log.info(`Shop Manager MCP server running on stdio, database ${config.db_path}`);
+    return;
+  }
+
+  const port = Number(flagValue("--port") ?? config.mcp_port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port: ${flagValue("--port")}`);
+  }
+
+  const app = express();
+  app.use("/mcp", createMcpRouter(() => createServer({ policy }), { token }));
+  app.listen(port, () => {
+    log.info(`Shop Manager MCP server running at http://localhost:${port}/mcp, database ${config.db_path}`);
+  });
 }
 
-main().catch((error) => {
-  console.error("Fatal error:", error);
-  process.exit(1);
-});
+// Only start when run directly, not when imported by the web server
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
 
@@ -0,0 +1,277 @@
+// Ad-hoc SQL for analysts (the run_readonly_query tool and POST /api/sql),
+// and the schema to write it against (describe_schema).
+//
+// A query has to be a single SELECT (or WITH ... SELECT) statement. It runs
+// on a read-only connection of its own, so nothing it does can change the
+// database even if it gets past the checks here, and is interrupted when it
+// runs past its time limit. The users and sessions tables, which hold
+// password and session hashes, cannot be queried or described. SQLite
+// accepts a table name in many spellings ('users', [users], main.users,
+// ...), so queries are checked against the program SQLite compiles them to
+// (see checkBlockedTables), not against their text.
+
+import { dbAll, openReadOnlyDb } from "./db.js";
+import { ValidationError } from "./errors.js";
+
+export const DEFAULT_ROW_LIMIT = 100;
+export const MAX_ROW_LIMIT = 1000;
+export const DEFAULT_QUERY_TIMEOUT_MS = 5000;
+export const MAX_QUERY_TIMEOUT_MS = 30000;
+
+const BLOCKED_TABLES = new Set(["users", "sessions"]);
+
+// Keywords that only appear in statements that change the database or the
+// connection
+const WRITE_KEYWORDS = new Set([
+  "insert",
+  "update",
+  "delete",
+  "create",
+  "drop",
+  "alter",
+  "attach",
+  "detach",
+  "pragma",
+  "vacuum",
+  "reindex",
+]);
+
+function invalid(message) {
+  return new ValidationError(message, [{ field: "sql", message }]);
+}
+
+// The words and quoted identifiers in a statement, lowercased, skipping
+// string literals and comments. Only one statement is allowed, so anything
+// after a semicolon is an error.
+function tokenize(sql) {
+  const tokens = [];
+  let ended = false;
+  let i = 0;
+
+  const closing = { '"': '"', "`": "`", "[": "]", "'": "'" };
+  while (i < sql.length) {
+    const char = sql[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (sql.startsWith("--", i)) {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+    if (sql.startsWith("/*", i)) {
+      const end = sql.indexOf("*/", i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+    if (ended) throw invalid("Only one statement can be run at a time");
+    if (char === ";") {
+      ended = true;
+      i++;
+      continue;
+    }
+
+    if (char in closing) {
+      // Quotes are escaped by doubling them; brackets cannot be escaped
+      let text = "";
+      let j = i + 1;
+      for (;;) {
+        if (j >= sql.length) throw invalid(char === "'" ? "Unterminated string" : "Unterminated identifier");
+        if (sql[j] === closing[char]) {
+          if (char !== "[" && sql[j + 1] === closing[char]) {
+            text += sql[j];
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        text += sql[j++];
+      }
+      if (char !== "'") tokens.push({ word: text.toLowerCase(), quoted: true });
+      i = j + 1;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+    if (word) {
+      tokens.push({ word: word[0].toLowerCase(), quoted: false });
+      i += word[0].length;
+      continue;
+    }
+    // Numbers, operators and punctuation
+    const other = /^[0-9.][A-Za-z0-9_.]*/.exec(sql.slice(i));
+    i += other ? other[0].length : 1;
+  }
+  return tokens;
+}
+
+// Reject anything but a single SELECT statement on the tables analysts may
+// see. The read-only connection is the real guard against writes, and
+// checkBlockedTables against reading the blocked tables; these checks give a
+// clear error first.
+function checkQuery(sql) {
+  const tokens = tokenize(sql);
+  if (tokens.length === 0) throw invalid("Empty query");
+
+  const first = tokens[0].word;
+  if (first === "pragma") throw invalid("PRAGMA statements are not allowed");
+  if (first === "attach" || first === "detach") throw invalid("ATTACH and DETACH are not allowed");
+  if (first !== "select" && first !== "with") throw invalid("Only SELECT statements are allowed");
+
+  for (const { word, quoted } of tokens) {
+    if (!quoted && WRITE_KEYWORDS.has(word)) {
+      throw invalid(`${word.toUpperCase()} is not allowed: only SELECT statements are allowed`);
+    }
+    if (BLOCKED_TABLES.has(word)) throw invalid(`The ${word} table cannot be queried`);
+  }
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+  });
+}
+
+// Opcodes that open a cursor on the table or index at root page p2 of the
+// database numbered p3
+const OPEN_OPCODES = new Set(["OpenRead", "OpenWrite", "ReopenIdx"]);
+
+// Refuse a query whose compiled program (EXPLAIN) opens a blocked table or
+// one of its indexes, however the query names them
+async function checkBlockedTables(db, sql) {
+  const blocked = await all(
+    db,
+    `SELECT rootpage, lower(tbl_name) AS table_name FROM sqlite_schema
+     WHERE lower(tbl_name) IN (${[...BLOCKED_TABLES].map(() => "?").join(", ")}) AND rootpage > 0`,
+    [...BLOCKED_TABLES]
+  );
+  const tableAt = new Map(blocked.map((row) => [row.rootpage, row.table_name]));
+
+  for (const step of await all(db, `EXPLAIN ${sql}`)) {
+    if (OPEN_OPCODES.has(step.opcode) && step.p3 === 0 && tableAt.has(step.p2)) {
+      throw invalid(`The ${tableAt.get(step.p2)} table cannot be queried`);
+    }
+  }
+}
+
+// Read up to count rows, one at a time, so a query that would return a huge
+// result stops once it has enough
+function readRows(db, sql, count) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    const statement = db.prepare(sql, (error) => {
+      if (error) return reject(error);
+      const next = () =>
+        statement.get((error, row) => {
+          if (error) return statement.finalize(() => reject(error));
+          if (row === undefined || rows.push(row) >= count) return statement.finalize(() => resolve(rows));
+          next();
+        });
+      next();
+    });
+  });
+}
+
+function close(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+// Errors from SQLite about the query itself are the caller's to fix
+function queryError(error, timeoutMs) {
+  switch (error.code) {
+    case "SQLITE_INTERRUPT":
+      return invalid(`The query ran for more than ${timeoutMs} ms and was stopped`);
+    case "SQLITE_READONLY":
+    case "SQLITE_AUTH":
+      return invalid("Only SELECT statements are allowed");
+    case "SQLITE_ERROR":
+    case "SQLITE_RANGE":
+    case "SQLITE_TOOBIG":
+      return invalid(error.message.replace(/^SQLITE_\w+: /, ""));
+    default:
+      return error;
+  }
+}
+
+// Run one SELECT statement and return up to limit of its rows. columns is
+// taken from the first row, so it is empty when there are none; give
+// columns distinct names (e.g. "p.id AS product_id"), as rows are objects
+// keyed by them.
+export async function runReadOnlyQuery({
+  sql,
+  limit = DEFAULT_ROW_LIMIT,
+  timeout_ms: timeoutMs = DEFAULT_QUERY_TIMEOUT_MS,
+} = {}) {
+  checkQuery(sql);
+
+  const db = await openReadOnlyDb();
+  const timer = setTimeout(() => db.interrupt(), timeoutMs);
+  try {
+    await checkBlockedTables(db, sql);
+    const rows = await readRows(db, sql, limit + 1);
+    const truncated = rows.length > limit;
+    if (truncated) rows.pop();
+    return {
+      columns: Object.keys(rows[0] ?? {}),
+      rows,
+      row_count: rows.length,
+      truncated,
+      limit,
+    };
+  } catch (error) {
+    throw queryError(error, timeoutMs);
+  } finally {
+    clearTimeout(timer);
+    await close(db);
+  }
+}
+
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+// The tables and views a query can use, with their columns, indexes and
+// foreign keys. SQLite's own tables and the full-text index's internal
+// tables are left out.
+export async function describeSchema() {
+  const tables = (await dbAll("PRAGMA table_list")).filter(
+    (table) =>
+      table.schema === "main" &&
+      table.type !== "shadow" &&
+      !table.name.startsWith("sqlite_") &&
+      !BLOCKED_TABLES.has(table.name)
+  );
+  tables.sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    tables: await Promise.all(
+      tables.map(async (table) => {
+        const name = quoteIdentifier(table.name);
+        const [columns, indexes, foreignKeys] = await Promise.all([
+          dbAll(`PRAGMA table_info(${name})`),
+          dbAll(`PRAGMA index_list(${name})`),
+          dbAll(`PRAGMA foreign_key_list(${name})`),
+        ]);
+        return {
+          name: table.name,
+          kind: table.type,
+          columns: columns.map((column) => ({
+            name: column.name,
+            type: column.type,
+            not_null: Boolean(column.notnull),
+            default: column.dflt_value,
+            primary_key: column.pk > 0,
+          })),
+          indexes: await Promise.all(
+            indexes.map(async (index) => ({
+              name: index.name,
+              unique: Boolean(index.unique),
+              columns: (await dbAll(`PRAGMA index_info(${quoteIdentifier(index.name)})`)).map((column) => column.name),
+            }))
+          ),
+          foreign_keys: foreignKeys.map((key) => ({ column: key.from, table: key.table, references: key.to })),
+        };
+      })
+    ),
+  };
+}
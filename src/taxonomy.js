@@ -0,0 +1,223 @@
+// Product types and categories. Each category belongs to a type and each
+// product belongs to a category. Retired types and categories keep their
+// products but can no longer be chosen for new or edited ones, and drop
+// out of the tool enums and UI dropdowns.
+
+import { dbRun, dbGet, dbAll, withTransaction } from "./db.js";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { announceChange } from "./changes.js";
+
+// "victoria_secret" -> "Victoria Secret"
+function labelFor(name) {
+  return name
+    .split(/[_\s]+/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+const TYPE_SELECT = `
+  SELECT
+    t.id,
+    t.name,
+    t.label,
+    t.retired_at,
+    t.created_at,
+    (SELECT COUNT(*) FROM categories c WHERE c.type_id = t.id AND c.retired_at IS NULL) as category_count,
+    (SELECT COUNT(*) FROM products p JOIN categories c ON c.id = p.category_id WHERE c.type_id = t.id) as product_count
+  FROM product_types t
+`;
+
+const CATEGORY_SELECT = `
+  SELECT
+    c.id,
+    c.name,
+    c.label,
+    t.name as type,
+    c.type_id,
+    c.retired_at,
+    c.created_at,
+    (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id) as product_count
+  FROM categories c
+  JOIN product_types t ON t.id = c.type_id
+`;
+
+export async function listProductTypes({ include_retired = false } = {}) {
+  const where = include_retired ? "" : "WHERE t.retired_at IS NULL";
+  return dbAll(`${TYPE_SELECT} ${where} ORDER BY t.name`);
+}
+
+export async function getProductType(name) {
+  const type = await dbGet(`${TYPE_SELECT} WHERE t.name = ?`, [name]);
+  if (!type) {
+    throw new NotFoundError(`Product type not found: ${name}`);
+  }
+  return type;
+}
+
+export async function createProductType({ name, label } = {}) {
+  return withTransaction(async () => {
+    const existing = await dbGet("SELECT id FROM product_types WHERE name = ?", [name]);
+    if (existing) {
+      throw new ValidationError(`Product type already exists: ${name}`);
+    }
+
+    await dbRun("INSERT INTO product_types (name, label) VALUES (?, ?)", [name, label || labelFor(name)]);
+    return getProductType(name);
+  });
+}
+
+// Change a type's name, its label, or both
+export async function renameProductType({ name, new_name, label } = {}) {
+  return withTransaction(async () => {
+    const type = await getProductType(name);
+    if (new_name === undefined && label === undefined) {
+      throw new ValidationError("Provide new_name, label or both");
+    }
+    if (new_name !== undefined && new_name !== name) {
+      const clash = await dbGet("SELECT id FROM product_types WHERE name = ?", [new_name]);
+      if (clash) {
+        throw new ValidationError(`Product type already exists: ${new_name}`);
+      }
+    }
+
+    await dbRun("UPDATE product_types SET name = ?, label = ? WHERE id = ?", [
+      new_name ?? type.name,
+      label ?? type.label,
+      type.id,
+    ]);
+    announceChange();
+    return getProductType(new_name ?? name);
+  });
+}
+
+export async function retireProductType({ name } = {}) {
+  const type = await getProductType(name);
+  await dbRun(
+    "UPDATE product_types SET retired_at = COALESCE(retired_at, CURRENT_TIMESTAMP) WHERE id = ?",
+    [type.id]
+  );
+  announceChange();
+  return getProductType(name);
+}
+
+// Categories of every active type, or of one type. Categories of a retired
+// type count as retired too.
+export async function listCategories({ type, include_retired = false } = {}) {
+  let query = `${CATEGORY_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (type) {
+    query += " AND t.name = ?";
+    params.push(type);
+  }
+  if (!include_retired) {
+    query += " AND c.retired_at IS NULL AND t.retired_at IS NULL";
+  }
+
+  return dbAll(`${query} ORDER BY t.name, c.name`, params);
+}
+
+export async function getCategory(type, name) {
+  const category = await dbGet(`${CATEGORY_SELECT} WHERE t.name = ? AND c.name = ?`, [type, name]);
+  if (!category) {
+    throw new NotFoundError(`Category not found: ${name} (${type})`);
+  }
+  return category;
+}
+
+export async function createCategory({ type, name, label } = {}) {
+  return withTransaction(async () => {
+    const productType = await getProductType(type);
+    const existing = await dbGet("SELECT id FROM categories WHERE type_id = ? AND name = ?", [
+      productType.id,
+      name,
+    ]);
+    if (existing) {
+      throw new ValidationError(`Category already exists: ${name} (${type})`);
+    }
+
+    await dbRun("INSERT INTO categories (type_id, name, label) VALUES (?, ?, ?)", [
+      productType.id,
+      name,
+      label || labelFor(name),
+    ]);
+    return getCategory(type, name);
+  });
+}
+
+export async function renameCategory({ type, name, new_name, label } = {}) {
+  return withTransaction(async () => {
+    const category = await getCategory(type, name);
+    if (new_name === undefined && label === undefined) {
+      throw new ValidationError("Provide new_name, label or both");
+    }
+    if (new_name !== undefined && new_name !== name) {
+      const clash = await dbGet("SELECT id FROM categories WHERE type_id = ? AND name = ?", [
+        category.type_id,
+        new_name,
+      ]);
+      if (clash) {
+        throw new ValidationError(`Category already exists: ${new_name} (${type})`);
+      }
+    }
+
+    await dbRun("UPDATE categories SET name = ?, label = ? WHERE id = ?", [
+      new_name ?? category.name,
+      label ?? category.label,
+      category.id,
+    ]);
+    announceChange();
+    return getCategory(type, new_name ?? name);
+  });
+}
+
+export async function retireCategory({ type, name } = {}) {
+  const category = await getCategory(type, name);
+  await dbRun(
+    "UPDATE categories SET retired_at = COALESCE(retired_at, CURRENT_TIMESTAMP) WHERE id = ?",
+    [category.id]
+  );
+  announceChange();
+  return getCategory(type, name);
+}
+
+// The category a product of this type and category should point at. Used
+// when adding or editing products, so retired entries are refused.
+export async function resolveCategory(type, name) {
+  const category = await dbGet(
+    `SELECT c.id, c.retired_at, t.retired_at as type_retired_at
+     FROM categories c
+     JOIN product_types t ON t.id = c.type_id
+     WHERE t.name = ? AND c.name = ?`,
+    [type, name]
+  );
+
+  if (!category) {
+    throw new ValidationError(
+      `Unknown category '${name}' for type '${type}'. Create it with create_category first.`,
+      [{ field: "category", message: `is not a category of type '${type}'` }]
+    );
+  }
+  if (category.type_retired_at) {
+    throw new ValidationError(`Product type '${type}' is retired`, [
+      { field: "type", message: "is retired" },
+    ]);
+  }
+  if (category.retired_at) {
+    throw new ValidationError(`Category '${name}' is retired`, [
+      { field: "category", message: "is retired" },
+    ]);
+  }
+
+  return category.id;
+}
+
+// Active type and category names, for tool enums and the query parser
+export async function getVocabulary() {
+  const [types, categories] = await Promise.all([listProductTypes(), listCategories()]);
+  return {
+    types: types.map((type) => type.name),
+    categories: [...new Set(categories.map((category) => category.name))],
+    labels: Object.fromEntries([...types, ...categories].map((entry) => [entry.name, entry.label])),
+  };
+}
@@ -0,0 +1,197 @@
+// Sales over time from the sales ledger: units, revenue and gross profit per
+// day, week or month, each compared with the bucket before it, and the whole
+// range compared with the same number of buckets just before it.
+
+import { dbAll } from "./db.js";
+import { ValidationError } from "./errors.js";
+import { TAXONOMY_JOIN } from "./products.js";
+
+export const TREND_INTERVALS = ["day", "week", "month"];
+
+// How far back a trend reaches when no `from` date is given
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+
+// Longest range one request may cover, in buckets
+const MAX_BUCKETS = 400;
+
+// SQL for the first day of the bucket a sale falls in. Weeks start on Monday.
+const BUCKET_SQL = {
+  day: "date(s.sold_at)",
+  week: "date(s.sold_at, '-6 days', 'weekday 1')",
+  month: "date(s.sold_at, 'start of month')",
+};
+
+// Dates are handled as UTC midnights and written as YYYY-MM-DD, matching
+// how SQLite stores sold_at
+function parseDate(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new ValidationError(`${field} must be a date like 2025-11-01`, [
+      { field, message: "must be a date like 2025-11-01" },
+    ]);
+  }
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  if (interval === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+// The start of the bucket `count` buckets after (or before) this one
+function addBuckets(date, interval, count) {
+  const next = new Date(date);
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + count);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + count * 7);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + count);
+  return next;
+}
+
+// Percentage change from previous to current, or null when there is no
+// previous figure to compare with
+function changePct(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+}
+
+function sumBuckets(buckets) {
+  return buckets.reduce(
+    (totals, bucket) => ({
+      units: totals.units + bucket.units,
+      revenue: totals.revenue + bucket.revenue,
+      gross_profit: totals.gross_profit + bucket.gross_profit,
+    }),
+    { units: 0, revenue: 0, gross_profit: 0 }
+  );
+}
+
+// Sales per day, week or month between from and to (inclusive dates), for
+// all products or filtered by product_id, type or category. `from` is moved
+// back to the start of its bucket so every bucket is complete. Buckets with
+// no sales are included with zeros. Sales of archived and purged products
+// are left out unless include_archived is set.
+export async function getSalesTrend({
+  interval = "day",
+  from,
+  to,
+  product_id,
+  type,
+  category,
+  include_archived = false,
+} = {}) {
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw new ValidationError(`interval must be one of: ${TREND_INTERVALS.join(", ")}`);
+  }
+
+  const end = parseDate(to ?? formatDate(new Date()), "to");
+  const lastBucket = bucketStart(end, interval);
+  const start = from
+    ? bucketStart(parseDate(from, "from"), interval)
+    : addBuckets(lastBucket, interval, 1 - DEFAULT_BUCKETS[interval]);
+  if (start > end) {
+    throw new ValidationError("from must not be after to", [
+      { field: "from", message: "must not be after to" },
+    ]);
+  }
+
+  const starts = [];
+  for (let bucket = start; bucket <= lastBucket; bucket = addBuckets(bucket, interval, 1)) {
+    starts.push(bucket);
+    if (starts.length > MAX_BUCKETS) {
+      throw new ValidationError(
+        `Date range covers more than ${MAX_BUCKETS} ${interval}s; use a longer interval or a shorter range`
+      );
+    }
+  }
+
+  // The previous period is the same number of buckets just before `start`.
+  // Its sales are fetched in the same query.
+  const previousStart = addBuckets(start, interval, -starts.length);
+  const rangeEnd = new Date(end);
+  rangeEnd.setUTCDate(rangeEnd.getUTCDate() + 1);
+
+  let query = `
+    SELECT
+      ${BUCKET_SQL[interval]} as period_start,
+      SUM(s.quantity) as units,
+      SUM(s.quantity * s.unit_price) as revenue,
+      SUM(s.quantity * (s.unit_price - s.unit_cost)) as gross_profit
+    FROM sales s
+    LEFT JOIN products p ON p.id = s.product_id
+    ${TAXONOMY_JOIN}
+    WHERE s.sold_at >= ? AND s.sold_at < ?
+  `;
+  const params = [formatDate(previousStart), formatDate(rangeEnd)];
+
+  if (!include_archived) {
+    query += " AND p.id IS NOT NULL AND p.archived_at IS NULL";
+  }
+
+  if (product_id) {
+    query += " AND s.product_id = ?";
+    params.push(product_id);
+  }
+  if (type) {
+    query += " AND t.name = ?";
+    params.push(type);
+  }
+  if (category) {
+    query += " AND c.name = ?";
+    params.push(category);
+  }
+  query += " GROUP BY period_start";
+
+  const rows = new Map((await dbAll(query, params)).map((row) => [row.period_start, row]));
+  const bucketFor = (date) => {
+    const row = rows.get(formatDate(date));
+    return {
+      period_start: formatDate(date),
+      units: row?.units ?? 0,
+      revenue: row?.revenue ?? 0,
+      gross_profit: row?.gross_profit ?? 0,
+    };
+  };
+
+  const previousBuckets = starts.map((_, index) => bucketFor(addBuckets(previousStart, interval, index)));
+  let prior = previousBuckets[previousBuckets.length - 1];
+  const buckets = starts.map((date) => {
+    const bucket = bucketFor(date);
+    const withChange = {
+      ...bucket,
+      units_change_pct: changePct(bucket.units, prior.units),
+      revenue_change_pct: changePct(bucket.revenue, prior.revenue),
+    };
+    prior = bucket;
+    return withChange;
+  });
+
+  const totals = sumBuckets(buckets);
+  const previousTotals = sumBuckets(previousBuckets);
+
+  return {
+    interval,
+    from: formatDate(start),
+    to: formatDate(end),
+    filters: { product_id, type, category, include_archived },
+    totals,
+    previous_period: {
+      from: formatDate(previousStart),
+      to: formatDate(addBuckets(start, "day", -1)),
+      ...previousTotals,
+    },
+    change: {
+      units_pct: changePct(totals.units, previousTotals.units),
+      revenue_pct: changePct(totals.revenue, previousTotals.revenue),
+      gross_profit_pct: changePct(totals.gross_profit, previousTotals.gross_profit),
+    },
+    buckets,
+  };
+}
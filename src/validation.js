@@ -0,0 +1,79 @@
+// Validates tool arguments and REST request data against the input schemas
+// in src/schemas.js. Failures become a ValidationError whose details list
+// one { field, message } entry per problem.
+
+import Ajv from "ajv";
+import { ValidationError } from "./errors.js";
+import { getSchema, getTools } from "./schemas.js";
+
+// allowUnionTypes: import_products takes its data as CSV text or a JSON array
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Compiled validators, keyed by the schema itself: the type and category
+// enums change when the taxonomy does, and a changed schema compiles anew.
+const validators = new Map();
+
+async function validatorFor(toolName) {
+  const tool = (await getTools()).find((candidate) => candidate.name === toolName) ?? getSchema(toolName);
+  if (!tool) throw new Error(`No schema for ${toolName}`);
+
+  const key = JSON.stringify(tool.inputSchema);
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile(tool.inputSchema));
+  }
+  return validators.get(key);
+}
+
+// Turn one ajv error into a field name and a readable message
+function describeError(error) {
+  const field = error.instancePath.replace(/^\//, "").replace(/\//g, ".");
+
+  switch (error.keyword) {
+    case "required":
+      return { field: error.params.missingProperty, message: "is required" };
+    case "additionalProperties":
+      return { field: error.params.additionalProperty, message: "is not a known field" };
+    case "enum":
+      return {
+        field,
+        message: `must be one of: ${error.params.allowedValues.map((v) => JSON.stringify(v)).join(", ")}`,
+      };
+    default:
+      return { field, message: error.message };
+  }
+}
+
+// Check args against a tool's inputSchema. Returns the args unchanged when
+// they are valid and throws a ValidationError listing every problem otherwise.
+export async function validateArgs(toolName, args = {}) {
+  const validate = await validatorFor(toolName);
+  if (validate(args)) return args;
+
+  const details = validate.errors.map(describeError);
+  const summary = details.map(({ field, message }) => `${field} ${message}`).join("; ");
+  throw new ValidationError(`Invalid arguments: ${summary}`, details);
+}
+
+// Query strings and path parameters arrive as strings. Convert the ones the
+// schema declares as numbers or booleans, and split comma-separated lists
+// for arrays; anything that does not convert is left as a string so
+// validation reports it.
+export function coerceStrings(toolName, values = {}) {
+  const { properties = {} } = getSchema(toolName).inputSchema;
+  const coerced = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    const type = properties[key]?.type;
+    if ((type === "number" || type === "integer") && value !== "" && !Number.isNaN(Number(value))) {
+      coerced[key] = Number(value);
+    } else if (type === "boolean" && (value === "true" || value === "false")) {
+      coerced[key] = value === "true";
+    } else if (type === "array" && typeof value === "string") {
+      coerced[key] = value.split(",").filter(Boolean);
+    } else {
+      coerced[key] = value;
+    }
+  }
+
+  return coerced;
+}
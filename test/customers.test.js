@@ -0,0 +1,150 @@
+// Customers (src/customers.js): their details and consent, their purchases
+// from the sales ledger, and the top customers report
+
+import { describe, test, before } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase, productId } from "./helpers.js";
+import {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  getCustomerPurchases,
+  getTopCustomers,
+} from "../src/customers.js";
+import { recordSale, getSales } from "../src/sales.js";
+
+useTestDatabase();
+
+describe("customer records", () => {
+  test("email addresses are unique, ignoring case", async () => {
+    await createCustomer({ name: "Maria Lopez", email: "maria@example.test" });
+    await assert.rejects(createCustomer({ name: "M. Lopez", email: "MARIA@example.test" }), {
+      name: "ValidationError",
+      message: "A customer with email MARIA@example.test already exists",
+    });
+    // Customers without an email address are fine
+    await createCustomer({ name: "Walk-in" });
+    await createCustomer({ name: "Walk-in" });
+  });
+
+  test("consent defaults to none, and records when it changes", async () => {
+    const customer = await createCustomer({ name: "Sam Carter", phone: "555-0142" });
+    assert.deepEqual([customer.email_consent, customer.sms_consent, customer.consent_updated_at], [false, false, null]);
+
+    const opted = await updateCustomer(customer.id, { sms_consent: true });
+    assert.equal(opted.sms_consent, true);
+    assert.ok(opted.consent_updated_at);
+
+    // Saving the same consent again leaves the date alone
+    await updateCustomer(customer.id, { notes: "Likes samples", sms_consent: true });
+    const { consent_updated_at } = await getCustomer(customer.id);
+    assert.equal(consent_updated_at, opted.consent_updated_at);
+  });
+
+  test("updates only the fields given, and an empty string clears one", async () => {
+    const customer = await createCustomer({ name: "Jo Park", email: "jo@example.test", phone: "555-0199" });
+    const updated = await updateCustomer(customer.id, { phone: "" });
+    assert.deepEqual([updated.email, updated.phone], ["jo@example.test", null]);
+    await assert.rejects(updateCustomer(customer.id, {}), { message: "No fields to update" });
+    await assert.rejects(updateCustomer(customer.id, { email: "maria@example.test" }), { name: "ValidationError" });
+    await assert.rejects(updateCustomer(9999, { phone: "1" }), { name: "NotFoundError" });
+  });
+
+  test("search matches part of a name, email address or phone number", async () => {
+    const byName = await listCustomers({ search: "lopez" });
+    assert.deepEqual(
+      byName.customers.map((customer) => customer.name),
+      ["Maria Lopez"]
+    );
+    const byPhone = await listCustomers({ search: "0142" });
+    assert.equal(byPhone.customers[0].name, "Sam Carter");
+    assert.equal((await listCustomers({ search: "nobody" })).count, 0);
+  });
+});
+
+describe("purchases", () => {
+  let maria;
+  let sam;
+
+  before(async () => {
+    [maria] = (await listCustomers({ search: "maria@" })).customers;
+    [sam] = (await listCustomers({ search: "Sam Carter" })).customers;
+
+    const bloom = await productId("Gucci Bloom");
+    const angel = await productId("Victoria Secret Angel");
+    const shampoo = await productId("Shampoo Pro");
+    await recordSale({ product_id: bloom, quantity: 2, customer_id: maria.id, sold_at: "2025-11-03 10:00" });
+    await recordSale({ product_id: shampoo, quantity: 3, customer_id: maria.id, sold_at: "2025-11-04 11:00" });
+    await recordSale({ product_id: angel, quantity: 4, customer_id: sam.id, sold_at: "2025-11-05 12:00" });
+  });
+
+  test("a sale can name a customer who exists", async () => {
+    const product_id = await productId("Shampoo Pro");
+    await assert.rejects(recordSale({ product_id, quantity: 1, customer_id: 9999 }), {
+      name: "NotFoundError",
+      message: "Customer not found",
+    });
+    const { sales } = await getSales({ customer_id: sam.id });
+    assert.deepEqual(
+      sales.map((sale) => [sale.product_name, sale.customer_name]),
+      [["Victoria Secret Angel", "Sam Carter"]]
+    );
+  });
+
+  test("a customer's lifetime value and spending per type", async () => {
+    const customer = await getCustomer(maria.id);
+    assert.equal(customer.purchase_count, 2);
+    assert.equal(customer.lifetime_value, Math.round((2 * 89.99 + 3 * 12.99) * 100) / 100);
+    assert.equal(customer.first_purchase_at, "2025-11-03 10:00:00");
+    assert.equal(customer.last_purchase_at, "2025-11-04 11:00:00");
+    assert.deepEqual(
+      customer.by_type.map((row) => [row.type, row.units]),
+      [
+        ["perfume", 2],
+        ["hair", 3],
+      ]
+    );
+  });
+
+  test("purchase history is newest first and can be filtered", async () => {
+    const history = await getCustomerPurchases({ id: maria.id });
+    assert.equal(history.customer_name, "Maria Lopez");
+    assert.deepEqual(
+      history.sales.map((sale) => sale.product_name),
+      ["Shampoo Pro", "Gucci Bloom"]
+    );
+
+    const perfume = await getCustomerPurchases({ id: maria.id, type: "perfume" });
+    assert.equal(perfume.total_units, 2);
+    const sameDay = await getCustomerPurchases({ id: maria.id, from: "2025-11-04", to: "2025-11-04" });
+    assert.equal(sameDay.count, 1);
+
+    await assert.rejects(getCustomerPurchases({ id: 9999 }), { name: "NotFoundError" });
+  });
+
+  test("top customers by revenue, units or gross profit, for a type", async () => {
+    const perfume = await getTopCustomers({ type: "perfume" });
+    assert.deepEqual(
+      perfume.customers.map((customer) => [customer.name, customer.revenue]),
+      [
+        ["Sam Carter", 263.96],
+        ["Maria Lopez", 179.98],
+      ]
+    );
+
+    const hair = await getTopCustomers({ type: "hair", by: "units" });
+    assert.deepEqual(
+      hair.customers.map((customer) => customer.name),
+      ["Maria Lopez"]
+    );
+
+    const gucci = await getTopCustomers({ category: "gucci", by: "gross_profit" });
+    assert.equal(gucci.customers[0].gross_profit, Math.round(2 * (89.99 - 52) * 100) / 100);
+
+    // Anonymous sales, like the sample week, are not counted
+    const all = await getTopCustomers({ limit: 100 });
+    assert.equal(all.count, 2);
+    assert.equal((await getTopCustomers({ from: "2025-11-05" })).customers[0].name, "Sam Carter");
+  });
+});
@@ -0,0 +1,49 @@
+// Transactions on the shared connection (src/db.js): statements issued from
+// outside an open transaction wait for it instead of joining it
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers.js";
+import { dbRun, dbGet, withTransaction } from "../src/db.js";
+
+useTestDatabase();
+
+// Open a transaction that inserts a product type, then waits for finish()
+// and rolls back
+async function holdTransaction(name) {
+  let started;
+  let finish;
+  const running = new Promise((resolve) => (started = resolve));
+  const finished = new Promise((resolve) => (finish = resolve));
+  const transaction = withTransaction(async () => {
+    await dbRun("INSERT INTO product_types (name, label) VALUES (?, ?)", [name, name]);
+    started();
+    await finished;
+    throw new Error("rolled back");
+  });
+  await running;
+  return { transaction, finish };
+}
+
+describe("withTransaction", () => {
+  test("a write from outside is not rolled back with the transaction", async () => {
+    const { transaction, finish } = await holdTransaction("rolled_back");
+    const outside = dbRun("INSERT INTO product_types (name, label) VALUES ('kept', 'Kept')");
+    finish();
+    await assert.rejects(transaction, { message: "rolled back" });
+    await outside;
+
+    assert.equal(await dbGet("SELECT name FROM product_types WHERE name = 'rolled_back'"), undefined);
+    assert.deepEqual(await dbGet("SELECT name FROM product_types WHERE name = 'kept'"), { name: "kept" });
+  });
+
+  test("a read from outside does not see uncommitted rows", async () => {
+    const { transaction, finish } = await holdTransaction("pending");
+    const seen = dbGet("SELECT COUNT(*) as count FROM product_types WHERE name = 'pending'");
+    // Give the read every chance to run before the transaction ends
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    finish();
+    await assert.rejects(transaction);
+    assert.deepEqual(await seen, { count: 0 });
+  });
+});
@@ -0,0 +1,49 @@
+// Shared setup for the tests. node --test runs each test file in its own
+// process, and each gets its own temporary database, seeded with the
+// products in data/sample-products.json and a week of their sales.
+//
+// Import this before anything from src/: it points the settings at the
+// temporary database before they are first read (src/config.js reads them
+// on first use, not on import).
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { before, after } from "node:test";
+import { prepareDatabase } from "../src/seed.js";
+import { closeDb, dbGet } from "../src/db.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shop-test-"));
+
+// Settings from the developer's environment must not reach the tests (and
+// their shop.db); the tests' own come from a config file in the temporary
+// directory. With no policy file, every MCP tool runs when called.
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith("SHOP_")) delete process.env[name];
+}
+process.env.SHOP_CONFIG = path.join(dir, "shop.config.json");
+fs.writeFileSync(
+  process.env.SHOP_CONFIG,
+  JSON.stringify({ db_path: "shop.db", mcp_policy: "no-policy.json", log_level: "error" })
+);
+
+// Set up the database before the file's tests and remove it after them.
+// setup, when given, runs first on the empty database, e.g. to build an
+// older schema for the migrations to upgrade.
+export function useTestDatabase({ setup } = {}) {
+  before(async () => {
+    if (setup) await setup();
+    await prepareDatabase();
+  });
+  after(async () => {
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+// The id of a sample product
+export async function productId(name) {
+  const row = await dbGet("SELECT id FROM products WHERE name = ?", [name]);
+  if (!row) throw new Error(`No product named ${name}`);
+  return row.id;
+}
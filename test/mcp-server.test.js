@@ -0,0 +1,782 @@
+// The MCP server's tools, resources and prompts, called through a client
+// connected over the in-memory transport
+
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+import { useTestDatabase, productId } from "./helpers.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { createServer } from "../src/server.js";
+import { loadPolicy } from "../src/policy.js";
+import { requireMcpToken } from "../src/mcp-http.js";
+import { getTools } from "../src/schemas.js";
+import { answerSalesQuery } from "../src/nlq.js";
+
+useTestDatabase();
+
+async function connect(policy) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer({ policy }).connect(serverTransport);
+  const client = new Client({ name: "shop-tests", version: "1.0.0" });
+  await client.connect(clientTransport);
+  return client;
+}
+
+let client;
+before(async () => {
+  client = await connect(await loadPolicy());
+});
+after(() => client.close());
+
+// Call a tool that should succeed, and return its JSON result
+async function call(name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  const body = JSON.parse(result.content[0].text);
+  assert.ok(!result.isError, `${name} failed: ${result.content[0].text}`);
+  return body;
+}
+
+// Call a tool that should fail, and return its error and details
+async function callFails(name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.equal(result.isError, true, `${name} should have failed: ${result.content[0].text}`);
+  return JSON.parse(result.content[0].text);
+}
+
+describe("tool list", () => {
+  test("lists every tool with its input schema", async () => {
+    const { tools } = await client.listTools();
+    const expected = (await getTools()).map((tool) => tool.name);
+    assert.deepEqual(
+      tools.map((tool) => tool.name),
+      expected
+    );
+    for (const tool of tools) assert.equal(tool.inputSchema.type, "object");
+  });
+
+  test("offers the current product types as an enum", async () => {
+    const { tools } = await client.listTools();
+    const addProduct = tools.find((tool) => tool.name === "add_product");
+    assert.deepEqual(addProduct.inputSchema.properties.type.enum.sort(), ["hair", "perfume", "skin"]);
+  });
+});
+
+describe("unknown tools and bad arguments", () => {
+  test("an unknown tool is an error", async () => {
+    const { error } = await callFails("no_such_tool");
+    assert.equal(error, "Unknown tool: no_such_tool");
+  });
+
+  test("arguments are checked against the tool's schema", async () => {
+    const { error, details } = await callFails("get_product", { id: "one" });
+    assert.match(error, /Invalid arguments/);
+    assert.ok(details.some((detail) => detail.field === "id"));
+  });
+
+  test("unknown arguments are rejected", async () => {
+    const { details } = await callFails("get_products", { colour: "red" });
+    assert.ok(details.some((detail) => /colour/.test(detail.message) || detail.field === "colour"));
+  });
+});
+
+describe("product queries", () => {
+  test("get_products lists the sample products a page at a time", async () => {
+    const page = await call("get_products", { limit: 4 });
+    assert.equal(page.total, 6);
+    assert.equal(page.count, 4);
+    assert.equal(page.next_offset, 4);
+
+    const rest = await call("get_products", { limit: 4, offset: 4 });
+    assert.equal(rest.count, 2);
+    assert.equal(rest.next_offset, null);
+  });
+
+  test("get_products filters by type and sorts", async () => {
+    const { products } = await call("get_products", { type: "perfume", sort: "retail_price", direction: "desc" });
+    assert.deepEqual(
+      products.map((product) => product.name),
+      ["Gucci Bloom", "Victoria Secret Angel"]
+    );
+  });
+
+  test("get_product returns one product, optionally some fields", async () => {
+    const id = await productId("Shampoo Pro");
+    const { product } = await call("get_product", { id });
+    assert.equal(product.name, "Shampoo Pro");
+    assert.equal(product.type, "hair");
+    assert.equal(product.category, "shampoo");
+
+    const { product: brief } = await call("get_product", { id, fields: ["name", "retail_price"] });
+    assert.deepEqual(Object.keys(brief).sort(), ["id", "name", "retail_price"]);
+  });
+
+  test("get_product on a missing id is Product not found", async () => {
+    const { error } = await callFails("get_product", { id: 9999 });
+    assert.equal(error, "Product not found");
+  });
+
+  test("search_products ranks and tolerates typos", async () => {
+    const { products } = await call("search_products", { query: "shampo" });
+    assert.equal(products[0].name, "Shampoo Pro");
+    assert.ok(products[0].score > 0);
+  });
+});
+
+describe("reports", () => {
+  test("get_weekly_sales totals the seeded week by product and type", async () => {
+    const report = await call("get_weekly_sales", { type: "hair" });
+    assert.equal(report.products.length, 2);
+    const shampoo = report.products.find((product) => product.name === "Shampoo Pro");
+    assert.equal(shampoo.weekly_sales, 15 * 7);
+    assert.equal(report.total_weekly_sales, (15 + 12) * 7);
+    assert.deepEqual(
+      report.by_type.map((type) => type.type),
+      ["hair"]
+    );
+  });
+
+  test("get_avg_cost_by_type has one row per type", async () => {
+    const { average_costs_by_type } = await call("get_avg_cost_by_type");
+    assert.deepEqual(average_costs_by_type.map((row) => row.type).sort(), ["hair", "perfume", "skin"]);
+    const perfume = average_costs_by_type.find((row) => row.type === "perfume");
+    assert.equal(perfume.avg_unit_cost, 45);
+  });
+
+  test("get_sales_trend compares with the previous period", async () => {
+    const trend = await call("get_sales_trend", { interval: "day" });
+    assert.equal(trend.interval, "day");
+    assert.ok(trend.totals.units > 0);
+    assert.ok("previous_period" in trend);
+  });
+
+  test("get_sales_trend leaves out archived products unless include_archived is set", async () => {
+    const id = await productId("Body Lotion Smooth");
+    const own = await call("get_sales_trend", { interval: "day", product_id: id });
+    const before = await call("get_sales_trend", { interval: "day" });
+    assert.ok(own.totals.units > 0);
+
+    await call("delete_product", { id });
+    try {
+      const archived = await call("get_sales_trend", { interval: "day", product_id: id });
+      assert.equal(archived.totals.units, 0);
+      const after = await call("get_sales_trend", { interval: "day" });
+      assert.equal(after.totals.units, before.totals.units - own.totals.units);
+      const included = await call("get_sales_trend", { interval: "day", include_archived: true });
+      assert.equal(included.totals.units, before.totals.units);
+    } finally {
+      await call("restore_product", { id });
+    }
+  });
+
+  test("forecast_demand suggests order quantities", async () => {
+    const forecast = await call("forecast_demand", { days: 30 });
+    assert.equal(forecast.count, 6);
+    const lotion = forecast.products.find((product) => product.name === "Body Lotion Smooth");
+    assert.ok(lotion.forecast_units > 0);
+    assert.ok(lotion.suggested_order_quantity >= 0);
+  });
+
+  test("get_low_stock lists products that are low or will run low", async () => {
+    const { days, products } = await call("get_low_stock", { days: 7 });
+    assert.equal(days, 7);
+    assert.ok(products.some((product) => product.name === "Gucci Bloom"));
+    for (const product of products) {
+      assert.ok(product.quantity_on_hand <= product.reorder_point || product.days_of_cover < 7);
+    }
+  });
+
+  test("describe_schema and run_readonly_query", async () => {
+    const { tables } = await call("describe_schema");
+    assert.ok(tables.some((table) => table.name === "sales"));
+
+    const result = await call("run_readonly_query", { sql: "SELECT COUNT(*) AS products FROM products", limit: 1 });
+    assert.deepEqual(result.rows, [{ products: 6 }]);
+
+    const { error } = await callFails("run_readonly_query", { sql: "UPDATE products SET retail_price = 0" });
+    assert.equal(error, "Only SELECT statements are allowed");
+  });
+
+  test("ask_sales answers a question as the dashboard does", async () => {
+    const answer = await call("ask_sales", { question: "top 2 hair products by revenue" });
+    assert.deepEqual(answer, await answerSalesQuery("top 2 hair products by revenue"));
+    assert.equal(answer.interpreted.intent, "top");
+    assert.deepEqual(
+      answer.items.map((item) => item.name),
+      ["Shampoo Pro", "Conditioner Plus"]
+    );
+    assert.match(answer.summary, /^Top 2 by revenue \(Hair\)/);
+
+    const { error, details } = await callFails("ask_sales", { question: "perfume vs" });
+    assert.match(error, /Name two or more/);
+    assert.equal(details[0].field, "question");
+  });
+});
+
+describe("sales and stock", () => {
+  test("record_sale takes the units out of stock", async () => {
+    const id = await productId("Gucci Bloom");
+    const { product: before } = await call("get_product", { id });
+    const { sale } = await call("record_sale", { product_id: id, quantity: 2 });
+    assert.equal(sale.quantity, 2);
+    assert.equal(sale.unit_price, 89.99);
+
+    const { product: after } = await call("get_product", { id });
+    assert.equal(after.quantity_on_hand, before.quantity_on_hand - 2);
+  });
+
+  test("record_sale of a missing product is Product not found", async () => {
+    const { error } = await callFails("record_sale", { product_id: 9999, quantity: 1 });
+    assert.equal(error, "Product not found");
+  });
+
+  test("record_sale refuses a sold_at it cannot store", async () => {
+    const id = await productId("Gucci Bloom");
+    const { product: before } = await call("get_product", { id });
+    for (const sold_at of ["Nov 5 2025", "2025-11-05T10:00:00.000+0100"]) {
+      const { details } = await callFails("record_sale", { product_id: id, quantity: 1, sold_at });
+      assert.deepEqual(details, [{ field: "sold_at", message: "is not a YYYY-MM-DD date or date-time" }]);
+    }
+    const { product: after } = await call("get_product", { id });
+    assert.equal(after.quantity_on_hand, before.quantity_on_hand);
+
+    const { sale } = await call("record_sale", { product_id: id, quantity: 1, sold_at: "2025-11-05T10:00:00+01:00" });
+    assert.equal(sale.sold_at, "2025-11-05 09:00:00");
+  });
+
+  test("get_sales lists the recorded sales of a product", async () => {
+    const id = await productId("Gucci Bloom");
+    const sales = await call("get_sales", { product_id: id, limit: 100 });
+    assert.equal(sales.total_units, 8 * 7 + 2 + 1);
+    assert.ok(sales.sales.every((sale) => sale.product_id === id));
+  });
+
+  test("receive_stock adds to stock on hand", async () => {
+    const id = await productId("Conditioner Plus");
+    const { product: before } = await call("get_product", { id });
+    const { product } = await call("receive_stock", { product_id: id, quantity: 30 });
+    assert.equal(product.quantity_on_hand, before.quantity_on_hand + 30);
+  });
+
+  test("receive_stock rejects a quantity below 1", async () => {
+    const id = await productId("Conditioner Plus");
+    await callFails("receive_stock", { product_id: id, quantity: 0 });
+  });
+});
+
+describe("suppliers and purchase orders", () => {
+  test("create_supplier, set_product_supplier and get_supplier", async () => {
+    const { supplier } = await call("create_supplier", { name: "Acme Beauty", lead_time_days: 5 });
+    const product_id = await productId("Shampoo Pro");
+    const { product_supplier } = await call("set_product_supplier", {
+      product_id,
+      supplier_id: supplier.id,
+      supplier_sku: "AC-100",
+      preferred: true,
+    });
+    assert.deepEqual([product_supplier.lead_time_days, product_supplier.preferred], [5, true]);
+
+    const { products } = await call("get_supplier", { id: supplier.id });
+    assert.deepEqual(
+      products.map((product) => product.product_name),
+      ["Shampoo Pro"]
+    );
+    const { suppliers } = await call("get_product_suppliers", { product_id });
+    assert.equal(suppliers[0].supplier_sku, "AC-100");
+  });
+
+  test("a purchase order is drafted, sent and received", async () => {
+    const product_id = await productId("Shampoo Pro");
+    const { suppliers } = await call("get_suppliers");
+    const supplier_id = suppliers.find((supplier) => supplier.name === "Acme Beauty").id;
+    const { product: before } = await call("get_product", { id: product_id });
+
+    const { purchase_order } = await call("create_purchase_order", {
+      supplier_id,
+      lines: [{ product_id, quantity: 40, unit_cost: 6 }],
+    });
+    await call("send_purchase_order", { id: purchase_order.id });
+    const { received } = await call("receive_purchase_order", { id: purchase_order.id });
+    assert.equal(received[0].quantity_on_hand, before.quantity_on_hand + 40);
+
+    const order = await call("get_purchase_order", { id: purchase_order.id });
+    assert.equal(order.status, "received");
+    const { purchase_orders } = await call("get_purchase_orders", { status: "received" });
+    assert.ok(purchase_orders.some((candidate) => candidate.id === purchase_order.id));
+
+    const { error } = await callFails("cancel_purchase_order", { id: purchase_order.id });
+    assert.match(error, /cannot be cancelled/);
+  });
+
+  test("a missing purchase order is Purchase order not found", async () => {
+    const { error } = await callFails("get_purchase_order", { id: 9999 });
+    assert.equal(error, "Purchase order not found");
+  });
+
+  test("draft_restock_orders orders low stock from preferred suppliers", async () => {
+    const { purchase_orders, without_supplier } = await call("draft_restock_orders", { days: 365 });
+    assert.ok(purchase_orders.every((order) => order.status === "draft" && order.supplier_name === "Acme Beauty"));
+    assert.ok(without_supplier.length > 0);
+  });
+});
+
+describe("customers", () => {
+  test("create_customer, record_sale with customer_id and get_customer", async () => {
+    const { customer } = await call("create_customer", { name: "Dana Reyes", email: "dana@example.test", email_consent: true });
+    assert.equal(customer.email_consent, true);
+    const product_id = await productId("Body Lotion Smooth");
+    const { sale } = await call("record_sale", { product_id, quantity: 2, customer_id: customer.id });
+    assert.equal(sale.customer_name, "Dana Reyes");
+
+    const { lifetime_value, by_type } = await call("get_customer", { id: customer.id });
+    assert.equal(lifetime_value, 2 * 18.99);
+    assert.deepEqual(
+      by_type.map((row) => row.type),
+      ["skin"]
+    );
+    const { customers } = await call("get_customers", { search: "dana@" });
+    assert.equal(customers[0].id, customer.id);
+  });
+
+  test("get_customer_purchases and get_top_customers", async () => {
+    const { customers } = await call("get_top_customers", { type: "skin" });
+    assert.equal(customers[0].name, "Dana Reyes");
+    const { sales } = await call("get_customer_purchases", { id: customers[0].id });
+    assert.equal(sales[0].product_name, "Body Lotion Smooth");
+
+    const { error } = await callFails("update_customer", { id: customers[0].id, phone: "555-0100", email_consent: "yes" });
+    assert.match(error, /email_consent/);
+  });
+
+  test("a missing customer is Customer not found", async () => {
+    const { error } = await callFails("get_customer", { id: 9999 });
+    assert.equal(error, "Customer not found");
+  });
+});
+
+describe("catalog changes", () => {
+  let id;
+
+  test("add_product creates a product", async () => {
+    const { message, product } = await call("add_product", {
+      name: "Hair Gel Hold",
+      type: "hair",
+      category: "shampoo",
+      unit_cost: 3,
+      retail_price: 7.5,
+    });
+    assert.equal(message, "Product added successfully");
+    assert.equal(product.name, "Hair Gel Hold");
+    id = product.id;
+  });
+
+  test("add_product rejects a category of another type", async () => {
+    await callFails("add_product", {
+      name: "Mismatched",
+      type: "perfume",
+      category: "shampoo",
+      unit_cost: 1,
+      retail_price: 2,
+    });
+  });
+
+  test("update_product changes only the given fields", async () => {
+    const { product } = await call("update_product", { id, retail_price: 8 });
+    assert.equal(product.retail_price, 8);
+    assert.equal(product.unit_cost, 3);
+  });
+
+  test("update_product with no fields is No fields to update", async () => {
+    const { error } = await callFails("update_product", { id });
+    assert.equal(error, "No fields to update");
+  });
+
+  test("update_product of a missing product is Product not found", async () => {
+    const { error } = await callFails("update_product", { id: 9999, retail_price: 1 });
+    assert.equal(error, "Product not found");
+  });
+
+  test("get_product_history lists the product's changes", async () => {
+    const history = await call("get_product_history", { product_id: id });
+    assert.deepEqual(
+      history.entries.map((entry) => entry.action).sort(),
+      ["create", "update"]
+    );
+    assert.ok(history.entries.every((entry) => entry.source === "mcp"));
+    const update = history.entries.find((entry) => entry.action === "update");
+    assert.deepEqual(update.changes.retail_price, { from: 7.5, to: 8 });
+  });
+
+  test("get_audit_log filters changes across the catalog", async () => {
+    const log = await call("get_audit_log", { action: "create", source: "mcp" });
+    assert.ok(log.entries.some((entry) => entry.product_id === id));
+    assert.ok(log.entries.every((entry) => entry.action === "create"));
+  });
+
+  test("delete_product archives, restore_product brings back", async () => {
+    const { deleted_product } = await call("delete_product", { id });
+    assert.ok(deleted_product.archived_at);
+    const { total } = await call("get_products", { name: "Hair Gel" });
+    assert.equal(total, 0);
+
+    const { product } = await call("restore_product", { id });
+    assert.equal(product.archived_at, null);
+  });
+
+  test("update_product of an archived product is an error", async () => {
+    await call("delete_product", { id });
+    await callFails("update_product", { id, retail_price: 9 });
+  });
+
+  test("purge_product removes an archived product for good", async () => {
+    const { purged_product } = await call("purge_product", { id });
+    assert.equal(purged_product.id, id);
+    const { error } = await callFails("get_product", { id });
+    assert.equal(error, "Product not found");
+  });
+
+  test("purge_product refuses a product that is not archived", async () => {
+    const { error } = await callFails("purge_product", { id: await productId("Shampoo Pro") });
+    assert.match(error, /must be archived/);
+  });
+});
+
+describe("import and export", () => {
+  const csv = "name,type,category,unit_cost,retail_price\nShampoo Pro,hair,shampoo,6.5,13.49\nRose Mist,perfume,gucci,20,39\n";
+
+  test("import_products dry_run reports without saving", async () => {
+    const report = await call("import_products", { data: csv, dry_run: true });
+    assert.equal(report.created, 1);
+    assert.equal(report.updated, 1);
+    assert.equal(report.committed, false);
+    const { total } = await call("get_products", { name: "Rose Mist" });
+    assert.equal(total, 0);
+  });
+
+  test("import_products creates and updates", async () => {
+    const report = await call("import_products", { data: csv });
+    assert.equal(report.committed, true);
+    const { products } = await call("get_products", { name: "Shampoo Pro" });
+    assert.equal(products[0].retail_price, 13.49);
+  });
+
+  test("import_products with a bad row imports nothing", async () => {
+    const { error, details } = await callFails("import_products", {
+      format: "json",
+      data: [{ name: "Ok Product", type: "hair", category: "shampoo", unit_cost: 1, retail_price: 2 }, { name: "No Price" }],
+    });
+    assert.match(error, /Import failed/);
+    assert.ok(details.every((detail) => detail.row === 2));
+    const { total } = await call("get_products", { name: "Ok Product" });
+    assert.equal(total, 0);
+  });
+
+  test("import_products dry_run follows rows that build on earlier ones", async () => {
+    const data = [
+      "name,sku,type,category,unit_cost,retail_price",
+      "Amber Oud,AO-1,perfume,gucci,30,60",
+      "amber oud,AO-1,perfume,gucci,30,65",
+      "Oud Mist,AO-1,perfume,gucci,10,20",
+    ].join("\n");
+    const report = await call("import_products", { data, dry_run: true });
+    assert.deepEqual(
+      report.rows.map((row) => row.action),
+      ["create", "update", "error"]
+    );
+    assert.deepEqual(report.rows[1].changes, ["name", "retail_price"]);
+    assert.equal(report.rows[2].errors[0].message, "is already used by row 1");
+  });
+
+  test("import_products dry_run follows SKU changes that earlier rows make to existing products", async () => {
+    const clash = "name,sku\nGucci Bloom,GB-1\nShampoo Pro,GB-1\n";
+    const preview = await call("import_products", { data: clash, dry_run: true });
+    assert.deepEqual(
+      preview.rows.map((row) => row.action),
+      ["update", "error"]
+    );
+    assert.equal(preview.rows[1].errors[0].message, "is already used by row 1");
+    const { details } = await callFails("import_products", { data: clash });
+    assert.deepEqual(
+      details.map((detail) => detail.row),
+      [2]
+    );
+
+    // A SKU that an earlier row moves off a product is free for later rows
+    await call("import_products", { data: "name,sku\nGucci Bloom,GB-1\n" });
+    const swap = "name,sku\nGucci Bloom,GB-2\nShampoo Pro,GB-1\n";
+    const swapPreview = await call("import_products", { data: swap, dry_run: true });
+    assert.equal(swapPreview.failed, 0);
+    const applied = await call("import_products", { data: swap });
+    assert.equal(applied.updated, 2);
+  });
+
+  test("import_products reports a row that matches an archived product", async () => {
+    const { product } = await call("add_product", {
+      name: "Retired Mist",
+      type: "perfume",
+      category: "gucci",
+      unit_cost: 5,
+      retail_price: 9,
+    });
+    await call("delete_product", { id: product.id });
+
+    const data = "name,type,category,unit_cost,retail_price\nretired mist,perfume,gucci,5,10\n";
+    const report = await call("import_products", { data, dry_run: true });
+    assert.equal(report.rows[0].action, "error");
+    assert.equal(report.rows[0].errors[0].message, `matches archived product ${product.id}`);
+
+    const { error } = await callFails("import_products", { data });
+    assert.match(error, /Import failed/);
+    const { total } = await call("get_products", { name: "Retired Mist", include_archived: true });
+    assert.equal(total, 1);
+  });
+
+  test("export_products writes CSV or JSON", async () => {
+    const csvExport = await call("export_products", { type: "perfume", fields: ["name", "retail_price"] });
+    assert.equal(csvExport.format, "csv");
+    assert.match(csvExport.data, /^name,retail_price\r?\n/);
+
+    const jsonExport = await call("export_products", { format: "json", type: "perfume" });
+    assert.equal(jsonExport.count, 3);
+    assert.ok(jsonExport.data.some((row) => row.name === "Rose Mist"));
+  });
+});
+
+describe("product types and categories", () => {
+  test("create, rename and retire a product type", async () => {
+    const { product_type } = await call("create_product_type", { name: "nail_care" });
+    assert.equal(product_type.name, "nail_care");
+
+    const renamed = await call("rename_product_type", { name: "nail_care", new_name: "nails", label: "Nails" });
+    assert.equal(renamed.product_type.name, "nails");
+    assert.equal(renamed.product_type.label, "Nails");
+
+    await call("retire_product_type", { name: "nails" });
+    const { product_types } = await call("list_product_types");
+    assert.ok(!product_types.some((type) => type.name === "nails"));
+    const all = await call("list_product_types", { include_retired: true });
+    assert.ok(all.product_types.some((type) => type.name === "nails"));
+  });
+
+  test("create, rename and retire a category", async () => {
+    const { category } = await call("create_category", { type: "hair", name: "hair_oil" });
+    assert.equal(category.name, "hair_oil");
+
+    const renamed = await call("rename_category", { type: "hair", name: "hair_oil", new_name: "oils" });
+    assert.equal(renamed.category.name, "oils");
+
+    await call("retire_category", { type: "hair", name: "oils" });
+    const { categories } = await call("list_categories", { type: "hair" });
+    assert.deepEqual(categories.map((entry) => entry.name).sort(), ["conditioner", "shampoo"]);
+  });
+
+  test("retiring a category is announced to subscribers", async () => {
+    await call("create_category", { type: "hair", name: "hair_serum" });
+    const uri = "shop://products";
+    await client.subscribeResource({ uri });
+    const updated = new Promise((resolve) => {
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) =>
+        resolve(notification.params.uri)
+      );
+    });
+    await call("retire_category", { type: "hair", name: "hair_serum" });
+    assert.equal(await updated, uri);
+    await client.unsubscribeResource({ uri });
+  });
+
+  test("renaming a missing type is an error", async () => {
+    const { error } = await callFails("rename_product_type", { name: "no_such_type", label: "Nothing" });
+    assert.match(error, /name must be one of/);
+  });
+
+  test("a duplicate type is an error", async () => {
+    await callFails("create_product_type", { name: "hair" });
+  });
+});
+
+describe("policy", () => {
+  test("tools set to confirm preview first, then apply with the token", async () => {
+    const confirming = await connect(await loadPolicy({ file: new URL("../mcp-policy.json", import.meta.url) }));
+    try {
+      const id = await productId("Moisturizer Daily");
+      const first = await confirming.callTool({ name: "update_product", arguments: { id, retail_price: 26 } });
+      const preview = JSON.parse(first.content[0].text);
+      assert.equal(preview.confirmation_required, true);
+      assert.deepEqual(preview.preview.changes.retail_price, { from: 24.99, to: 26 });
+
+      const wrong = await confirming.callTool({
+        name: "update_product",
+        arguments: { id, retail_price: 27, confirmation_token: preview.confirmation_token },
+      });
+      assert.equal(wrong.isError, true);
+
+      const again = await confirming.callTool({ name: "update_product", arguments: { id, retail_price: 26 } });
+      const { confirmation_token } = JSON.parse(again.content[0].text);
+      const applied = await confirming.callTool({
+        name: "update_product",
+        arguments: { id, retail_price: 26, confirmation_token },
+      });
+      assert.ok(!applied.isError);
+      assert.equal(JSON.parse(applied.content[0].text).product.retail_price, 26);
+
+      const reused = await confirming.callTool({
+        name: "update_product",
+        arguments: { id, retail_price: 26, confirmation_token },
+      });
+      assert.equal(reused.isError, true);
+    } finally {
+      await confirming.close();
+    }
+  });
+
+  test("purchase order changes preview what they would receive, cancel or draft", async () => {
+    const confirming = await connect(await loadPolicy({ file: new URL("../mcp-policy.json", import.meta.url) }));
+    const preview = async (name, args) => {
+      const result = await confirming.callTool({ name, arguments: args });
+      assert.ok(!result.isError, `${name} failed: ${result.content[0].text}`);
+      const body = JSON.parse(result.content[0].text);
+      assert.equal(body.confirmation_required, true);
+      return body.preview;
+    };
+    try {
+      const product_id = await productId("Shampoo Pro");
+      const { product } = await call("get_product", { id: product_id });
+      const { suppliers } = await call("get_suppliers");
+      const supplier_id = suppliers.find((supplier) => supplier.name === "Acme Beauty").id;
+      const { purchase_order } = await call("create_purchase_order", {
+        supplier_id,
+        lines: [{ product_id, quantity: 10, unit_cost: product.unit_cost }],
+      });
+      await call("send_purchase_order", { id: purchase_order.id });
+
+      const receipt = await preview("receive_purchase_order", {
+        id: purchase_order.id,
+        lines: [{ product_id, quantity: 4 }],
+      });
+      assert.deepEqual(receipt.receive[0].quantity_on_hand, {
+        from: product.quantity_on_hand,
+        to: product.quantity_on_hand + 4,
+      });
+      const cancellation = await preview("cancel_purchase_order", { id: purchase_order.id });
+      assert.deepEqual(cancellation.no_longer_on_order, [{ product_id, product_name: "Shampoo Pro", quantity: 10 }]);
+
+      const { count } = await call("get_purchase_orders");
+      const { restock } = await preview("draft_restock_orders", { days: 365 });
+      assert.ok(Array.isArray(restock.orders) && Array.isArray(restock.without_supplier));
+
+      // Nothing was received, cancelled or drafted
+      const order = await call("get_purchase_order", { id: purchase_order.id });
+      assert.deepEqual([order.status, order.lines[0].quantity_received], ["sent", 0]);
+      assert.equal((await call("get_purchase_orders")).count, count);
+
+      // A preview fails as the call would
+      const missing = await confirming.callTool({ name: "cancel_purchase_order", arguments: { id: 9999 } });
+      assert.equal(missing.isError, true);
+      assert.match(missing.content[0].text, /Purchase order not found/);
+    } finally {
+      await confirming.close();
+    }
+  });
+
+  test("read-only mode offers and runs only read-only tools", async () => {
+    const readOnly = await connect(await loadPolicy({ readOnly: true }));
+    try {
+      const { tools } = await readOnly.listTools();
+      const names = tools.map((tool) => tool.name);
+      for (const name of ["get_products", "search_products", "ask_sales", "run_readonly_query", "list_categories"]) {
+        assert.ok(names.includes(name), `${name} should be offered`);
+      }
+      assert.ok(!names.includes("add_product"));
+      assert.ok(tools.every((tool) => tool.annotations.readOnlyHint));
+
+      const { rows } = JSON.parse(
+        (await readOnly.callTool({ name: "run_readonly_query", arguments: { sql: "SELECT 1 as one" } })).content[0].text
+      );
+      assert.deepEqual(rows, [{ one: 1 }]);
+
+      const result = await readOnly.callTool({ name: "record_sale", arguments: { product_id: 1, quantity: 1 } });
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /the server is read-only/);
+    } finally {
+      await readOnly.close();
+    }
+  });
+});
+
+describe("MCP over HTTP", () => {
+  // Start an entry point, which should refuse to run, and return its error
+  async function refusesToStart(file, flag) {
+    const script = fileURLToPath(new URL(file, import.meta.url));
+    const error = await promisify(execFile)(process.execPath, [script, flag], { timeout: 20000 }).then(
+      () => assert.fail(`${file} ${flag} started`),
+      (failed) => failed
+    );
+    assert.equal(error.code, 1);
+    return error.stderr;
+  }
+
+  test("src/server.js --http and web-server.js --mcp refuse to start without a token", async () => {
+    assert.match(await refusesToStart("../src/server.js", "--http"), /--http needs the mcp_token setting/);
+    assert.match(await refusesToStart("../web-server.js", "--mcp"), /--mcp needs the mcp_token setting/);
+  });
+
+  test("--mcp-no-auth serves without a token", () => {
+    assert.equal(requireMcpToken({ mcp_token: "a-long-enough-secret" }, "--http", []), "a-long-enough-secret");
+    assert.equal(requireMcpToken({ mcp_token: null }, "--http", ["--http", "--mcp-no-auth"]), null);
+    assert.throws(() => requireMcpToken({ mcp_token: null }, "--http", ["--http"]), /add --mcp-no-auth/);
+  });
+});
+
+describe("resources and prompts", () => {
+  test("lists the reports and a resource per product", async () => {
+    const { resources } = await client.listResources();
+    const uris = resources.map((resource) => resource.uri);
+    assert.ok(uris.includes("shop://products"));
+    assert.ok(uris.includes("shop://reports/weekly-sales"));
+    assert.ok(uris.includes(`shop://products/${await productId("Shampoo Pro")}`));
+  });
+
+  test("reads a product resource", async () => {
+    const id = await productId("Shampoo Pro");
+    const { contents } = await client.readResource({ uri: `shop://products/${id}` });
+    assert.equal(JSON.parse(contents[0].text).product.name, "Shampoo Pro");
+  });
+
+  test("an unknown resource is an error", async () => {
+    await assert.rejects(client.readResource({ uri: "shop://nothing" }), /Unknown resource/);
+  });
+
+  test("a subscribed resource is announced when it changes", async () => {
+    const id = await productId("Shampoo Pro");
+    const uri = `shop://products/${id}`;
+    await client.subscribeResource({ uri });
+    const updated = new Promise((resolve) => {
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) =>
+        resolve(notification.params.uri)
+      );
+    });
+    await call("receive_stock", { product_id: id, quantity: 1 });
+    assert.equal(await updated, uri);
+    await client.unsubscribeResource({ uri });
+  });
+
+  test("prompts embed their resources", async () => {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(
+      prompts.map((prompt) => prompt.name),
+      ["weekly_sales_review", "restock_plan", "pricing_review"]
+    );
+
+    const { messages } = await client.getPrompt({ name: "restock_plan", arguments: { days: "7" } });
+    assert.equal(messages.at(-1).content.type, "text");
+    assert.match(messages.at(-1).content.text, /next 7 days/);
+    assert.equal(messages[0].content.resource.uri, "shop://products");
+  });
+
+  test("a bad prompt argument is an error", async () => {
+    await assert.rejects(client.getPrompt({ name: "restock_plan", arguments: { days: "soon" } }), /days must be/);
+  });
+});
@@ -0,0 +1,77 @@
+// Migrations (src/migrations/) upgrading a database made before them: the
+// schema of the original shop.db, with its hand-entered sales_per_day
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers.js";
+import { dbRun, dbGet } from "../src/db.js";
+import { getProduct, updateProduct, addProduct } from "../src/products.js";
+import { recordSale } from "../src/sales.js";
+import { getLowStock } from "../src/inventory.js";
+
+useTestDatabase({
+  setup: async () => {
+    await dbRun(`
+      CREATE TABLE products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        category TEXT NOT NULL,
+        cost REAL NOT NULL,
+        sales_per_day REAL NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dbRun(
+      `INSERT INTO products (name, type, category, cost, sales_per_day) VALUES
+         ('Shampoo Pro', 'hair', 'shampoo', 12.99, 15),
+         ('Gucci Bloom', 'perfume', 'gucci', 89.99, 2.5),
+         ('Moisturizer Daily', 'skin', 'moisturizer', 24.99, 0)`
+    );
+  },
+});
+
+describe("upgrading the original database", () => {
+  test("sales_per_day is kept as an opening week of sales", async () => {
+    assert.equal((await getProduct(1)).sales_per_day, 15);
+    // 2.5 a day is 17.5 units a week, recorded as 18 whole units
+    assert.equal((await getProduct(2)).sales_per_day, 18 / 7);
+    assert.equal((await getProduct(3)).sales_per_day, 0);
+
+    const { days, units, price } = await dbGet(
+      `SELECT COUNT(DISTINCT date(sold_at)) as days, SUM(quantity) as units, MAX(unit_price) as price
+       FROM sales WHERE product_id = 1`
+    );
+    assert.deepEqual({ days, units, price }, { days: 7, units: 105, price: 12.99 });
+  });
+
+  test("the low-stock report orders for the old rate of sales", async () => {
+    const { products } = await getLowStock({ days: 7 });
+    const shampoo = products.find((product) => product.name === "Shampoo Pro");
+    assert.equal(shampoo.sales_per_day, 15);
+    assert.ok(shampoo.suggested_order_quantity >= 7 * 15);
+  });
+
+  test("a sale names the missing opening stock balance until it is entered", async () => {
+    await assert.rejects(recordSale({ product_id: 1, quantity: 1 }), {
+      name: "ValidationError",
+      message: /^Shampoo Pro has no opening stock balance yet/,
+    });
+    await updateProduct(1, { quantity_on_hand: 40 });
+    const sale = await recordSale({ product_id: 1, quantity: 1 });
+    assert.equal(sale.quantity, 1);
+
+    // A product added since, with no stock, is simply out of stock
+    const added = await addProduct({
+      name: "Rose Mist",
+      type: "perfume",
+      category: "gucci",
+      unit_cost: 5,
+      retail_price: 9,
+    });
+    await assert.rejects(recordSale({ product_id: added.id, quantity: 1 }), {
+      message: "Not enough stock of Rose Mist: 0 on hand, 1 requested",
+    });
+  });
+});
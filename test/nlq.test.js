@@ -0,0 +1,283 @@
+// Natural-language sales questions (src/nlq.js, POST /api/query)
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers.js";
+import { parseSalesQuery, answerSalesQuery } from "../src/nlq.js";
+
+useTestDatabase();
+
+const vocabulary = {
+  types: ["hair", "perfume", "skin"],
+  categories: ["shampoo", "conditioner", "gucci", "victoria_secret", "body_lotion", "moisturizer"],
+  labels: { hair: "Hair", perfume: "Fragrance", skin: "Skin", victoria_secret: "Victoria's Secret" },
+  names: ["Shampoo Pro", "Conditioner Plus", "Gucci Bloom", "Victoria Secret Angel", "Body Lotion Smooth", "Moisturizer Daily"],
+};
+
+const parse = (question) => parseSalesQuery(question, vocabulary);
+
+// The period and window a question asks about
+function periodOf(question) {
+  const { period, days } = parse(question);
+  return [period, days];
+}
+
+// What a plain question about the last 7 days parses to, with overrides
+const listing = (overrides = {}) => ({
+  intent: "list",
+  period: "day",
+  days: 7,
+  scope: {},
+  metric: "sales",
+  unrecognized: [],
+  ...overrides,
+});
+
+describe("parseSalesQuery", () => {
+  test("an empty question is an error", () => {
+    assert.deepEqual(parse(""), { error: "Empty query" });
+    assert.deepEqual(parse("   "), { error: "Empty query" });
+    assert.deepEqual(parse(undefined), { error: "Empty query" });
+  });
+
+  test("a type, by name or label, scopes to the type", () => {
+    assert.deepEqual(parse("hair sales"), listing({ scope: { type: "hair" } }));
+    assert.deepEqual(parse("Fragrance sales"), listing({ scope: { type: "perfume" } }));
+  });
+
+  test("a category, with or without underscores or by label, scopes to the category", () => {
+    assert.deepEqual(parse("shampoo sales"), listing({ scope: { category: "shampoo" } }));
+    assert.deepEqual(parse("body lotion sales"), listing({ scope: { category: "body_lotion" } }));
+    assert.deepEqual(parse("body_lotion sales"), listing({ scope: { category: "body_lotion" } }));
+    assert.deepEqual(parse("Victoria's Secret sales"), listing({ scope: { category: "victoria_secret" } }));
+  });
+
+  test("plurals match", () => {
+    assert.deepEqual(parse("shampoos"), listing({ scope: { category: "shampoo" } }));
+  });
+
+  test("words are matched whole", () => {
+    assert.deepEqual(parse("skincare sales"), listing({ unrecognized: ["skincare"] }));
+  });
+
+  test("filters combine", () => {
+    assert.deepEqual(
+      parse("hair shampoo under $15"),
+      listing({ scope: { type: "hair", category: "shampoo", max_price: 15 } })
+    );
+  });
+
+  test("several values of one filter match any of them", () => {
+    assert.deepEqual(parse("hair and skin sales"), listing({ scope: { type: ["hair", "skin"] } }));
+  });
+
+  test("a product name is matched before the types and categories in it", () => {
+    assert.deepEqual(parse("gucci bloom sales"), listing({ scope: { name: "gucci bloom" } }));
+    assert.deepEqual(parse("moisturizer daily sales"), listing({ scope: { name: "moisturizer daily" } }));
+  });
+
+  test("words from product names filter by name", () => {
+    assert.deepEqual(parse("bloom sales"), listing({ scope: { name: "bloom" } }));
+    assert.deepEqual(parse("secret angel"), listing({ scope: { name: "secret angel" } }));
+  });
+
+  test("filler words are ignored", () => {
+    assert.deepEqual(parse("show me the sales"), listing());
+    assert.deepEqual(parse("what are the sales of hair products"), listing({ scope: { type: "hair" } }));
+  });
+
+  test("words it does not understand are reported, not used as filters", () => {
+    assert.deepEqual(parse("sales of argan oil"), listing({ unrecognized: ["argan", "oil"] }));
+  });
+
+  test("price and cost ranges", () => {
+    assert.deepEqual(parse("perfume over $60").scope, { type: "perfume", min_price: 60 });
+    assert.deepEqual(parse("sales under 20 dollars").scope, { max_price: 20 });
+    assert.deepEqual(parse("products between $10 and $20").scope, { min_price: 10, max_price: 20 });
+    assert.deepEqual(parse("products $20-$10").scope, { min_price: 10, max_price: 20 });
+    assert.deepEqual(parse("products costing less than $10").scope, { max_cost: 10 });
+    assert.deepEqual(parse("unit cost at least 8.5").scope, { min_cost: 8.5 });
+    assert.deepEqual(parse("cost between 5 and 10, price over 15").scope, {
+      min_cost: 5,
+      max_cost: 10,
+      min_price: 15,
+    });
+  });
+
+  test("periods: per day by default, over the last 7 days", () => {
+    assert.deepEqual(periodOf("hair sales"), ["day", 7]);
+  });
+
+  test("periods: this week, weekly and per week give weekly figures", () => {
+    for (const question of ["hair sales this week", "weekly hair sales", "hair sales per week", "week"]) {
+      assert.deepEqual(periodOf(question), ["week", 7], question);
+    }
+  });
+
+  test("periods: today, daily and per day give daily figures, even alongside week", () => {
+    assert.deepEqual(periodOf("hair sales today"), ["day", 1]);
+    for (const question of ["daily hair sales", "hair sales per day", "hair sales per day this week"]) {
+      assert.deepEqual(periodOf(question), ["day", 7], question);
+    }
+  });
+
+  test("periods: months", () => {
+    assert.deepEqual(periodOf("hair sales per month"), ["month", 30]);
+    assert.deepEqual(periodOf("sales this month"), ["month", 30]);
+  });
+
+  test("periods: a number of days, weeks or months gives totals over them", () => {
+    assert.deepEqual(periodOf("sales last 30 days"), ["total", 30]);
+    assert.deepEqual(periodOf("sales in the past 2 weeks"), ["total", 14]);
+    assert.deepEqual(periodOf("sales over 3 months"), ["total", 90]);
+    assert.deepEqual(parse("sales over 30 days").scope, {});
+  });
+
+  test("periods: a rate over a longer window", () => {
+    const parsed = parse("shampoo sales per week over the last 4 weeks");
+    assert.deepEqual([parsed.period, parsed.days], ["week", 28]);
+  });
+
+  test("periods must be 1 to MAX_DAYS days", () => {
+    assert.match(parse("sales last 0 days").error, /between 1 and/);
+    assert.match(parse("sales last 20000 days").error, /between 1 and/);
+  });
+
+  test("top-N ranks by a metric", () => {
+    assert.deepEqual(parse("top 3 sellers"), listing({ intent: "top", top: { count: 3, order: "desc" } }));
+    assert.deepEqual(
+      parse("worst 2 hair products by revenue"),
+      listing({ intent: "top", scope: { type: "hair" }, metric: "revenue", top: { count: 2, order: "asc" } })
+    );
+    assert.deepEqual(parse("best sellers").top, { count: 5, order: "desc" });
+    assert.deepEqual(parse("most profitable perfume").metric, "gross_profit");
+    assert.deepEqual(parse("top 200 sellers"), { error: "Top lists can have 1 to 100 products" });
+  });
+
+  test("cheapest and priciest rank by retail price", () => {
+    assert.deepEqual(
+      parse("cheapest perfume"),
+      listing({ intent: "top", scope: { type: "perfume" }, metric: "retail_price", top: { count: 1, order: "asc" } })
+    );
+  });
+
+  test("comparisons give a side per type, category or product", () => {
+    assert.deepEqual(
+      parse("perfume vs skin"),
+      listing({ intent: "compare", compare: [{ type: "perfume" }, { type: "skin" }] })
+    );
+    assert.deepEqual(
+      parse("compare gucci and victoria secret revenue this week").compare,
+      [{ category: "gucci" }, { category: "victoria_secret" }]
+    );
+    assert.deepEqual(parse("shampoo versus conditioner under $20").scope, { max_price: 20 });
+  });
+
+  test("a comparison needs two sides", () => {
+    assert.match(parse("perfume vs").error, /Name two or more/);
+  });
+
+  test("aggregates", () => {
+    assert.deepEqual(
+      parse("average price of perfume"),
+      listing({ intent: "aggregate", scope: { type: "perfume" }, metric: "retail_price", aggregate: "average" })
+    );
+    assert.deepEqual(
+      parse("total revenue last 30 days"),
+      listing({ intent: "aggregate", period: "total", days: 30, metric: "revenue", aggregate: "total" })
+    );
+    assert.deepEqual(parse("how many skin products").aggregate, "count");
+    assert.deepEqual(parse("average margin").metric, "margin_pct");
+  });
+
+  test("how many units, or how many sold, is a total of sales", () => {
+    const parsed = parse("how many units of shampoo sold this week");
+    assert.deepEqual([parsed.aggregate, parsed.metric, parsed.period], ["total", "sales", "week"]);
+  });
+
+  test("matching ignores case", () => {
+    assert.deepEqual(parse("WEEKLY GUCCI SALES"), listing({ period: "week", scope: { category: "gucci" } }));
+  });
+});
+
+describe("answerSalesQuery", () => {
+  test("lists products with figures per period", async () => {
+    const { interpreted, items, totals } = await answerSalesQuery("weekly hair sales");
+    assert.equal(interpreted.period, "week");
+    assert.deepEqual(
+      items.map((item) => [item.name, item.sales]),
+      [
+        ["Shampoo Pro", 15 * 7],
+        ["Conditioner Plus", 12 * 7],
+      ]
+    );
+    assert.equal(totals.sales, 27 * 7);
+
+    const daily = await answerSalesQuery("hair sales per day");
+    assert.equal(daily.totals.sales, 27);
+  });
+
+  test("applies price filters", async () => {
+    const { items } = await answerSalesQuery("products under $15");
+    assert.deepEqual(items.map((item) => item.name).sort(), ["Conditioner Plus", "Shampoo Pro"]);
+  });
+
+  test("ranks the top N", async () => {
+    const { items } = await answerSalesQuery("top 2 by revenue");
+    assert.deepEqual(
+      items.map((item) => item.name),
+      ["Gucci Bloom", "Victoria Secret Angel"]
+    );
+  });
+
+  test("compares groups", async () => {
+    const { groups } = await answerSalesQuery("perfume vs skin this week");
+    assert.deepEqual(
+      groups.map((group) => [group.scope, group.count, group.sales]),
+      [
+        [{ type: "perfume" }, 2, (8 + 10) * 7],
+        [{ type: "skin" }, 2, (20 + 18) * 7],
+      ]
+    );
+  });
+
+  test("works out aggregates", async () => {
+    const average = await answerSalesQuery("average price of perfume");
+    assert.deepEqual(average.answer, { aggregate: "average", metric: "retail_price", value: 77.99 });
+
+    const count = await answerSalesQuery("how many skin products");
+    assert.equal(count.answer.value, 2);
+
+    const units = await answerSalesQuery("how many units of shampoo sold this week");
+    assert.equal(units.answer.value, 15 * 7);
+  });
+
+  test("reports words it did not understand", async () => {
+    const { interpreted, items } = await answerSalesQuery("hair sales in narnia");
+    assert.deepEqual(interpreted.unrecognized, ["narnia"]);
+    assert.equal(items.length, 2);
+  });
+
+  test("sums up the answer in words", async () => {
+    const summary = async (question) => (await answerSalesQuery(question)).summary;
+    assert.equal(
+      await summary("weekly hair sales"),
+      "2 products (Hair) sold 189 units a week for $2,623.11 revenue at a 50.76% margin, over the last 7 days."
+    );
+    assert.equal(
+      await summary("cheapest perfume"),
+      "Lowest retail price (Perfume), over the last 7 days: Victoria Secret Angel ($65.99)."
+    );
+    assert.equal(await summary("how many skin products"), "2 products (Skin).");
+    assert.equal(await summary("average price of perfume"), "Average retail price (Perfume), over the last 7 days: $77.99.");
+    assert.match(await summary("perfume vs skin this week"), /^Perfume: 2 products, 126 units .* Skin leads on units sold\.$/);
+    assert.equal(
+      await summary("sales of argan oil under $1"),
+      "No products match (priced $1.00 or less). Not understood: argan, oil."
+    );
+  });
+
+  test("a question that cannot be answered is a ValidationError", async () => {
+    await assert.rejects(answerSalesQuery("perfume vs"), { name: "ValidationError", status: 400 });
+  });
+});
@@ -0,0 +1,307 @@
+// Suppliers and purchase orders (src/purchasing.js), and what they add to
+// the low-stock report
+
+import { describe, test, before } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase, productId } from "./helpers.js";
+import {
+  createSupplier,
+  updateSupplier,
+  getSupplier,
+  setProductSupplier,
+  getProductSuppliers,
+  removeProductSupplier,
+  createPurchaseOrder,
+  getPurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  listPurchaseOrders,
+  draftRestockOrders,
+} from "../src/purchasing.js";
+import { getLowStock } from "../src/inventory.js";
+import { forecastDemand } from "../src/forecast.js";
+import { getProduct, archiveProduct, restoreProduct, purgeProduct } from "../src/products.js";
+import { getProductHistory } from "../src/audit.js";
+
+useTestDatabase();
+
+describe("suppliers", () => {
+  test("names are unique, ignoring case", async () => {
+    await createSupplier({ name: "Bloom Wholesale", lead_time_days: 5 });
+    await assert.rejects(createSupplier({ name: "bloom wholesale" }), {
+      name: "ValidationError",
+      message: "Supplier already exists: bloom wholesale",
+    });
+  });
+
+  test("updates only the fields given, and an empty string clears one", async () => {
+    const supplier = await createSupplier({ name: "Salon Direct", email: "orders@salon.test", phone: "555-0100" });
+    const updated = await updateSupplier(supplier.id, { phone: "", lead_time_days: 3 });
+    assert.deepEqual([updated.email, updated.phone, updated.lead_time_days], ["orders@salon.test", null, 3]);
+    await assert.rejects(updateSupplier(supplier.id, {}), { message: "No fields to update" });
+    await assert.rejects(updateSupplier(9999, { phone: "1" }), { name: "NotFoundError" });
+  });
+
+  test("links products, with one preferred supplier per product", async () => {
+    const product_id = await productId("Shampoo Pro");
+    const first = await createSupplier({ name: "Hair First", lead_time_days: 4 });
+    const second = await createSupplier({ name: "Hair Second" });
+
+    await setProductSupplier({ product_id, supplier_id: first.id, supplier_sku: "HF-1", preferred: true });
+    const link = await setProductSupplier({
+      product_id,
+      supplier_id: second.id,
+      unit_cost: 6,
+      lead_time_days: 9,
+      preferred: true,
+    });
+    assert.equal(link.preferred, true);
+
+    const suppliers = await getProductSuppliers(product_id);
+    assert.deepEqual(
+      suppliers.map((supplier) => [supplier.supplier_name, supplier.preferred, supplier.lead_time_days]),
+      [
+        ["Hair Second", true, 9],
+        ["Hair First", false, 4],
+      ]
+    );
+    assert.equal(suppliers[1].supplier_sku, "HF-1");
+
+    // Fields left out keep their values
+    const relinked = await setProductSupplier({ product_id, supplier_id: first.id, unit_cost: 5.5 });
+    assert.deepEqual([relinked.supplier_sku, relinked.preferred], ["HF-1", false]);
+
+    await removeProductSupplier({ product_id, supplier_id: first.id });
+    assert.equal((await getSupplier(first.id)).product_count, 0);
+    await assert.rejects(removeProductSupplier({ product_id, supplier_id: first.id }), { name: "NotFoundError" });
+  });
+});
+
+describe("purchase orders", () => {
+  let supplier;
+
+  before(async () => {
+    supplier = await createSupplier({ name: "Scent House", lead_time_days: 10 });
+    await setProductSupplier({
+      product_id: await productId("Victoria Secret Angel"),
+      supplier_id: supplier.id,
+      supplier_sku: "SH-VSA",
+      unit_cost: 36,
+    });
+  });
+
+  test("a draft takes line costs from the supplier, then the product", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    const bloom = await productId("Gucci Bloom");
+    const order = await createPurchaseOrder({
+      supplier_id: supplier.id,
+      lines: [
+        { product_id: angel, quantity: 10 },
+        { product_id: bloom, quantity: 4 },
+      ],
+    });
+    assert.equal(order.status, "draft");
+    assert.deepEqual(
+      order.lines.map((line) => [line.product_name, line.supplier_sku, line.unit_cost]),
+      [
+        ["Victoria Secret Angel", "SH-VSA", 36],
+        ["Gucci Bloom", null, 52],
+      ]
+    );
+    assert.equal(order.total_cost, 10 * 36 + 4 * 52);
+  });
+
+  test("a product can only be on one line", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    await assert.rejects(
+      createPurchaseOrder({
+        supplier_id: supplier.id,
+        lines: [
+          { product_id: angel, quantity: 1 },
+          { product_id: angel, quantity: 2 },
+        ],
+      }),
+      { message: `Product ${angel} is on more than one line` }
+    );
+  });
+
+  test("is sent, received in parts, and closed when all has arrived", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    const original = await getProduct(angel);
+    const order = await createPurchaseOrder({
+      supplier_id: supplier.id,
+      lines: [{ product_id: angel, quantity: 20, unit_cost: 40 }],
+    });
+    await assert.rejects(receivePurchaseOrder({ id: order.id }), {
+      message: `Purchase order ${order.id} cannot be received: it is draft`,
+    });
+
+    const sent = await sendPurchaseOrder(order.id);
+    assert.equal(sent.status, "sent");
+    const expected = new Date(Date.now() + 10 * 86400000).toISOString().slice(0, 10);
+    assert.equal(sent.expected_at, expected);
+
+    await assert.rejects(receivePurchaseOrder({ id: order.id, lines: [{ product_id: angel, quantity: 21 }] }), {
+      message: `Only 20 of Victoria Secret Angel are outstanding on purchase order ${order.id}`,
+    });
+
+    const partial = await receivePurchaseOrder({ id: order.id, lines: [{ product_id: angel, quantity: 5 }] });
+    assert.equal(partial.purchase_order.status, "partially_received");
+    assert.equal(partial.received[0].quantity_on_hand, original.quantity_on_hand + 5);
+
+    // The new unit cost is the average of the stock on hand and the units
+    // received at the order's cost
+    const averaged =
+      Math.round(((original.quantity_on_hand * original.unit_cost + 5 * 40) / (original.quantity_on_hand + 5)) * 100) / 100;
+    assert.equal(partial.received[0].unit_cost, averaged);
+    assert.equal((await getProduct(angel)).unit_cost, averaged);
+
+    const rest = await receivePurchaseOrder({ id: order.id });
+    assert.equal(rest.received[0].quantity, 15);
+    assert.equal(rest.purchase_order.status, "received");
+    assert.ok(rest.purchase_order.received_at);
+
+    await assert.rejects(cancelPurchaseOrder(order.id), {
+      message: `Purchase order ${order.id} cannot be cancelled: it is received`,
+    });
+
+    const [change] = (await getProductHistory({ product_id: angel, limit: 1 })).entries;
+    assert.deepEqual(change.changes.quantity_on_hand, {
+      from: original.quantity_on_hand + 5,
+      to: original.quantity_on_hand + 20,
+    });
+  });
+
+  test("a receipt can only name a product once", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    const order = await createPurchaseOrder({ supplier_id: supplier.id, lines: [{ product_id: angel, quantity: 4 }] });
+    await sendPurchaseOrder(order.id);
+
+    // Each line alone is within what is outstanding, but not together
+    await assert.rejects(
+      receivePurchaseOrder({
+        id: order.id,
+        lines: [
+          { product_id: angel, quantity: 3 },
+          { product_id: angel, quantity: 3 },
+        ],
+      }),
+      { name: "ValidationError", message: `Product ${angel} is on more than one line` }
+    );
+    assert.equal((await getPurchaseOrder(order.id)).lines[0].quantity_received, 0);
+    await cancelPurchaseOrder(order.id);
+  });
+
+  test("cancelling stops what is outstanding counting as on order", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    const onOrder = async () =>
+      (await getLowStock({ days: 365 })).products.find((product) => product.id === angel).quantity_on_order;
+    const baseline = await onOrder();
+
+    const order = await createPurchaseOrder({ supplier_id: supplier.id, lines: [{ product_id: angel, quantity: 7 }] });
+    assert.equal(await onOrder(), baseline + 7);
+
+    const cancelled = await cancelPurchaseOrder(order.id);
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(await onOrder(), baseline);
+  });
+
+  test("the forecast counts what is on order against its suggested quantity", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    const forecast = async () => (await forecastDemand({ product_id: angel, days: 365 })).products[0];
+    const before = await forecast();
+    assert.ok(before.suggested_order_quantity >= before.reorder_quantity + 5);
+
+    const order = await createPurchaseOrder({ supplier_id: supplier.id, lines: [{ product_id: angel, quantity: 5 }] });
+    const after = await forecast();
+    assert.equal(after.quantity_on_order, before.quantity_on_order + 5);
+    assert.equal(after.suggested_order_quantity, before.suggested_order_quantity - 5);
+
+    await cancelPurchaseOrder(order.id);
+  });
+
+  test("lists orders by status, supplier and product", async () => {
+    const { purchase_orders } = await listPurchaseOrders({ status: "received" });
+    assert.equal(purchase_orders.length, 1);
+    assert.equal(purchase_orders[0].supplier_name, "Scent House");
+    assert.equal(purchase_orders[0].line_count, 1);
+
+    const bloom = await listPurchaseOrders({ product_id: await productId("Gucci Bloom") });
+    assert.equal(bloom.count, 1);
+  });
+
+  test("a product archived after ordering is still received", async () => {
+    const angel = await productId("Victoria Secret Angel");
+    const bloom = await productId("Gucci Bloom");
+    const order = await createPurchaseOrder({
+      supplier_id: supplier.id,
+      lines: [
+        { product_id: angel, quantity: 2 },
+        { product_id: bloom, quantity: 3 },
+      ],
+    });
+    await sendPurchaseOrder(order.id);
+    const before = await archiveProduct(bloom);
+
+    const { purchase_order, received } = await receivePurchaseOrder({ id: order.id });
+    assert.equal(purchase_order.status, "received");
+    assert.deepEqual(
+      received.map((line) => [line.product_name, line.quantity, line.archived]),
+      [
+        ["Victoria Secret Angel", 2, false],
+        ["Gucci Bloom", 3, true],
+      ]
+    );
+    const after = await getProduct(bloom);
+    assert.equal(after.quantity_on_hand, before.quantity_on_hand + 3);
+    assert.ok(after.archived_at);
+    await restoreProduct(bloom);
+  });
+});
+
+describe("restocking", () => {
+  test("the low-stock report names the preferred supplier", async () => {
+    const lotion = await productId("Body Lotion Smooth");
+    const supplier = await createSupplier({ name: "Skin Supplies", lead_time_days: 6 });
+    await setProductSupplier({ product_id: lotion, supplier_id: supplier.id, preferred: true });
+
+    const row = (await getLowStock({ days: 365 })).products.find((product) => product.id === lotion);
+    assert.deepEqual([row.supplier_name, row.lead_time_days], ["Skin Supplies", 6]);
+  });
+
+  test("draft_restock_orders drafts an order per preferred supplier, once", async () => {
+    const { purchase_orders, without_supplier } = await draftRestockOrders({ days: 365 });
+    const lotion = await productId("Body Lotion Smooth");
+    const order = purchase_orders.find((candidate) => candidate.supplier_name === "Skin Supplies");
+    assert.deepEqual(
+      order.lines.map((line) => line.product_id),
+      [lotion]
+    );
+    assert.ok(order.lines[0].quantity_ordered > 0);
+    assert.ok(without_supplier.some((product) => product.name === "Moisturizer Daily"));
+
+    // What was drafted is now on order, so a second run leaves it out
+    const again = await draftRestockOrders({ days: 365 });
+    assert.ok(!again.purchase_orders.some((candidate) => candidate.supplier_name === "Skin Supplies"));
+  });
+
+  test("a product waited for on an open order is received before it can be purged", async () => {
+    const lotion = await productId("Body Lotion Smooth");
+    const supplier = (await getProductSuppliers(lotion))[0];
+    const [order] = (await listPurchaseOrders({ product_id: lotion, status: "draft" })).purchase_orders;
+    await archiveProduct(lotion);
+
+    await assert.rejects(purgeProduct(lotion), {
+      name: "ValidationError",
+      message: `Body Lotion Smooth is still to be received on purchase order ${order.id}; receive or cancel it first`,
+    });
+
+    // The order can still be received in full, and then the product purged
+    await sendPurchaseOrder(order.id);
+    const { purchase_order } = await receivePurchaseOrder({ id: order.id });
+    assert.equal(purchase_order.status, "received");
+    await purgeProduct(lotion);
+    assert.equal((await getSupplier(supplier.supplier_id)).product_count, 0);
+  });
+});
@@ -0,0 +1,125 @@
+// Ad-hoc read-only SQL (src/sql.js, run_readonly_query, POST /api/sql)
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers.js";
+import { runReadOnlyQuery, describeSchema } from "../src/sql.js";
+import { dbGet } from "../src/db.js";
+
+useTestDatabase();
+
+// The error a statement is rejected with
+async function rejection(sql, options = {}) {
+  const error = await runReadOnlyQuery({ sql, ...options }).then(
+    () => assert.fail(`${sql} should have been rejected`),
+    (error) => error
+  );
+  assert.equal(error.name, "ValidationError");
+  assert.equal(error.details[0].field, "sql");
+  return error.message;
+}
+
+describe("runReadOnlyQuery", () => {
+  test("runs a SELECT and returns its columns and rows", async () => {
+    const result = await runReadOnlyQuery({
+      sql: `SELECT t.name AS type, COUNT(*) AS products
+            FROM products p
+            JOIN categories c ON c.id = p.category_id
+            JOIN product_types t ON t.id = c.type_id
+            GROUP BY t.name ORDER BY t.name;`,
+    });
+    assert.deepEqual(result, {
+      columns: ["type", "products"],
+      rows: [
+        { type: "hair", products: 2 },
+        { type: "perfume", products: 2 },
+        { type: "skin", products: 2 },
+      ],
+      row_count: 3,
+      truncated: false,
+      limit: 100,
+    });
+  });
+
+  test("WITH queries are allowed", async () => {
+    const { rows } = await runReadOnlyQuery({ sql: "WITH n(x) AS (SELECT 41) SELECT x + 1 AS answer FROM n" });
+    assert.deepEqual(rows, [{ answer: 42 }]);
+  });
+
+  test("stops at the row limit and says there were more", async () => {
+    const result = await runReadOnlyQuery({ sql: "SELECT id FROM sales ORDER BY id", limit: 2 });
+    assert.equal(result.row_count, 2);
+    assert.equal(result.truncated, true);
+  });
+
+  test("stops a query that runs past its time limit", async () => {
+    const message = await rejection(
+      "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT COUNT(*) FROM n",
+      { timeout_ms: 100 }
+    );
+    assert.match(message, /ran for more than 100 ms/);
+  });
+
+  test("rejects anything but a single SELECT", async () => {
+    assert.equal(await rejection("DELETE FROM sales"), "Only SELECT statements are allowed");
+    assert.match(await rejection("WITH old AS (SELECT 1) DELETE FROM sales"), /^DELETE is not allowed/);
+    assert.equal(await rejection("PRAGMA table_info(products)"), "PRAGMA statements are not allowed");
+    assert.equal(await rejection("ATTACH 'other.db' AS other"), "ATTACH and DETACH are not allowed");
+    assert.equal(await rejection("SELECT 1; DROP TABLE sales"), "Only one statement can be run at a time");
+    assert.equal(await rejection("  -- nothing\n"), "Empty query");
+
+    const { count } = await dbGet("SELECT COUNT(*) AS count FROM sales");
+    assert.ok(count > 0);
+  });
+
+  test("reads semicolons and keywords in strings and comments as text", async () => {
+    const { rows } = await runReadOnlyQuery({ sql: "SELECT 'drop; delete' AS text -- ; insert" });
+    assert.deepEqual(rows, [{ text: "drop; delete" }]);
+  });
+
+  test("the users and sessions tables cannot be queried", async () => {
+    assert.equal(await rejection("SELECT * FROM users"), "The users table cannot be queried");
+    assert.equal(await rejection('SELECT * FROM "Sessions"'), "The sessions table cannot be queried");
+  });
+
+  test("the blocked tables cannot be reached by other spellings", async () => {
+    for (const sql of [
+      "SELECT * FROM 'users'",
+      "select * from main.'users'",
+      "SELECT password_hash FROM [users]",
+      "SELECT * FROM `users`",
+      "SELECT * FROM 'SESSIONS' s",
+      "SELECT (SELECT COUNT(*) FROM 'users') AS n",
+    ]) {
+      assert.match(await rejection(sql), /^The (users|sessions) table cannot be queried$/, sql);
+    }
+  });
+
+  test("reports SQL errors as validation errors", async () => {
+    assert.equal(await rejection("SELECT nope FROM products"), "no such column: nope");
+  });
+});
+
+describe("describeSchema", () => {
+  test("lists tables with their columns, indexes and foreign keys", async () => {
+    const { tables } = await describeSchema();
+    const names = tables.map((table) => table.name);
+    assert.ok(names.includes("products") && names.includes("sales"));
+    assert.ok(!names.includes("users") && !names.includes("sessions"));
+    assert.ok(!names.some((name) => name.startsWith("sqlite_") || name === "products_fts_data"));
+
+    const sales = tables.find((table) => table.name === "sales");
+    assert.deepEqual(sales.columns.find((column) => column.name === "id"), {
+      name: "id",
+      type: "INTEGER",
+      not_null: false,
+      default: null,
+      primary_key: true,
+    });
+    assert.deepEqual(sales.foreign_keys, [
+      { column: "customer_id", table: "customers", references: "id" },
+      { column: "product_id", table: "products", references: "id" },
+    ]);
+    assert.deepEqual(sales.indexes.find((index) => index.name === "idx_sales_product").columns, ["product_id", "sold_at"]);
+  });
+});
@@ -0,0 +1,416 @@
+// The web server's routes, called through supertest: signing in and user
+// accounts, then each API route with the role it needs
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { useTestDatabase, productId } from "./helpers.js";
+import { app } from "../web-server.js";
+
+useTestDatabase();
+
+// Session tokens for a user of each role, set up by the first tests
+const tokens = {};
+
+function as(role) {
+  return { Authorization: `Bearer ${tokens[role]}` };
+}
+
+describe("accounts and sessions", () => {
+  test("GET /api/config needs no sign-in", async () => {
+    const res = await request(app).get("/api/config").expect(200);
+    assert.equal(res.body.currency, "USD");
+  });
+
+  test("GET /api/auth/me asks for setup on a new install", async () => {
+    const res = await request(app).get("/api/auth/me").expect(401);
+    assert.equal(res.body.needs_setup, true);
+  });
+
+  test("API routes need a signed-in user", async () => {
+    const res = await request(app).get("/api/products").expect(401);
+    assert.equal(res.body.success, false);
+  });
+
+  test("POST /api/auth/setup creates the first manager and signs in", async () => {
+    const res = await request(app)
+      .post("/api/auth/setup")
+      .send({ username: "boss", password: "manager-pass" })
+      .expect(200);
+    assert.equal(res.body.user.role, "manager");
+    assert.match(res.headers["set-cookie"][0], /^shop_session=.+HttpOnly/);
+    tokens.manager = res.body.token;
+  });
+
+  test("POST /api/auth/setup only works once", async () => {
+    await request(app).post("/api/auth/setup").send({ username: "other", password: "other-pass" }).expect(400);
+  });
+
+  test("POST /api/users adds users of each role", async () => {
+    for (const role of ["clerk", "viewer"]) {
+      const res = await request(app)
+        .post("/api/users")
+        .set(as("manager"))
+        .send({ username: role, password: `${role}-pass` })
+        .expect(400);
+      assert.ok(res.body.details.some((detail) => detail.field === "role"));
+
+      await request(app)
+        .post("/api/users")
+        .set(as("manager"))
+        .send({ username: role, password: `${role}-pass`, role })
+        .expect(200);
+    }
+  });
+
+  test("POST /api/auth/login signs in with the right password only", async () => {
+    await request(app).post("/api/auth/login").send({ username: "clerk", password: "wrong-pass" }).expect(401);
+
+    for (const role of ["clerk", "viewer"]) {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .send({ username: role, password: `${role}-pass` })
+        .expect(200);
+      tokens[role] = res.body.token;
+    }
+  });
+
+  test("GET /api/auth/me returns the user from a bearer token or the cookie", async () => {
+    const res = await request(app).get("/api/auth/me").set(as("clerk")).expect(200);
+    assert.equal(res.body.user.username, "clerk");
+
+    const cookie = await request(app).get("/api/auth/me").set("Cookie", `shop_session=${tokens.viewer}`).expect(200);
+    assert.equal(cookie.body.user.role, "viewer");
+  });
+
+  test("GET /api/users is for managers", async () => {
+    await request(app).get("/api/users").set(as("clerk")).expect(403);
+    const res = await request(app).get("/api/users").set(as("manager")).expect(200);
+    assert.deepEqual(res.body.users.map((user) => user.username).sort(), ["boss", "clerk", "viewer"]);
+    assert.ok(res.body.users.every((user) => !("password_hash" in user)));
+  });
+
+  test("PUT /api/users/:username changes a role", async () => {
+    await request(app).post("/api/users").set(as("manager")).send({ username: "temp", password: "temp-pass", role: "viewer" });
+    const res = await request(app).put("/api/users/temp").set(as("manager")).send({ role: "clerk" }).expect(200);
+    assert.equal(res.body.user.role, "clerk");
+  });
+
+  test("the only manager cannot be demoted", async () => {
+    const res = await request(app).put("/api/users/boss").set(as("manager")).send({ role: "viewer" }).expect(400);
+    assert.match(res.body.error, /only manager/);
+  });
+
+  test("DELETE /api/users/:username removes a user and signs them out", async () => {
+    const login = await request(app).post("/api/auth/login").send({ username: "temp", password: "temp-pass" });
+    await request(app).delete("/api/users/temp").set(as("manager")).expect(200);
+    await request(app).get("/api/auth/me").set("Authorization", `Bearer ${login.body.token}`).expect(401);
+    await request(app).delete("/api/users/temp").set(as("manager")).expect(404);
+  });
+
+  test("POST /api/auth/logout ends the session", async () => {
+    const login = await request(app).post("/api/auth/login").send({ username: "viewer", password: "viewer-pass" });
+    const bearer = { Authorization: `Bearer ${login.body.token}` };
+    await request(app).post("/api/auth/logout").set(bearer).expect(200);
+    await request(app).get("/api/auth/me").set(bearer).expect(401);
+  });
+});
+
+describe("products", () => {
+  let id;
+
+  test("GET /api/products lists a page, with filters from the query string", async () => {
+    const res = await request(app).get("/api/products?type=skin&limit=1").set(as("viewer")).expect(200);
+    assert.equal(res.body.total, 2);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.next_offset, 1);
+  });
+
+  test("GET /api/products rejects a bad query parameter", async () => {
+    const res = await request(app).get("/api/products?limit=lots").set(as("viewer")).expect(400);
+    assert.ok(res.body.details.some((detail) => detail.field === "limit"));
+  });
+
+  test("GET /api/products/:id returns one product", async () => {
+    const res = await request(app)
+      .get(`/api/products/${await productId("Gucci Bloom")}`)
+      .set(as("viewer"))
+      .expect(200);
+    assert.equal(res.body.product.name, "Gucci Bloom");
+    await request(app).get("/api/products/9999").set(as("viewer")).expect(404);
+  });
+
+  test("GET /api/search ranks products", async () => {
+    const res = await request(app).get("/api/search?query=moisturiser").set(as("viewer")).expect(200);
+    assert.equal(res.body.products[0].name, "Moisturizer Daily");
+  });
+
+  test("POST /api/products is for managers", async () => {
+    const product = { name: "Night Cream", type: "skin", category: "moisturizer", unit_cost: 9, retail_price: 21 };
+    await request(app).post("/api/products").set(as("clerk")).send(product).expect(403);
+    const res = await request(app).post("/api/products").set(as("manager")).send(product).expect(200);
+    assert.equal(res.body.product.name, "Night Cream");
+    id = res.body.product.id;
+  });
+
+  test("POST /api/products checks the product", async () => {
+    const res = await request(app)
+      .post("/api/products")
+      .set(as("manager"))
+      .send({ name: "Free Cream", type: "skin", category: "moisturizer", unit_cost: -1, retail_price: 21 })
+      .expect(400);
+    assert.ok(res.body.details.some((detail) => detail.field === "unit_cost"));
+  });
+
+  test("PUT /api/products/:id updates the given fields", async () => {
+    const res = await request(app).put(`/api/products/${id}`).set(as("manager")).send({ retail_price: 22 }).expect(200);
+    assert.equal(res.body.product.retail_price, 22);
+
+    const empty = await request(app).put(`/api/products/${id}`).set(as("manager")).send({}).expect(400);
+    assert.equal(empty.body.error, "No fields to update");
+  });
+
+  test("GET /api/products/:product_id/history lists changes with who made them", async () => {
+    await request(app).get(`/api/products/${id}/history`).set(as("viewer")).expect(403);
+    const res = await request(app).get(`/api/products/${id}/history`).set(as("manager")).expect(200);
+    assert.deepEqual(res.body.entries.map((entry) => entry.action).sort(), ["create", "update"]);
+    assert.ok(res.body.entries.every((entry) => entry.source === "rest" && entry.username === "boss"));
+  });
+
+  test("GET /api/audit filters the audit log", async () => {
+    const res = await request(app).get("/api/audit?username=boss&action=update").set(as("manager")).expect(200);
+    assert.ok(res.body.entries.length > 0);
+    assert.ok(res.body.entries.every((entry) => entry.action === "update"));
+  });
+
+  test("DELETE /api/products/:id archives; restore brings it back", async () => {
+    const res = await request(app).delete(`/api/products/${id}`).set(as("manager")).expect(200);
+    assert.ok(res.body.deleted_product.archived_at);
+
+    const restored = await request(app).post(`/api/products/${id}/restore`).set(as("manager")).expect(200);
+    assert.equal(restored.body.product.archived_at, null);
+  });
+
+  test("POST /api/products/:id/purge removes an archived product", async () => {
+    await request(app).post(`/api/products/${id}/purge`).set(as("manager")).expect(400);
+    await request(app).delete(`/api/products/${id}`).set(as("manager")).expect(200);
+    await request(app).post(`/api/products/${id}/purge`).set(as("manager")).expect(200);
+    await request(app).get(`/api/products/${id}`).set(as("manager")).expect(404);
+  });
+
+  test("POST /api/products/import previews and imports", async () => {
+    const data = "name,type,category,unit_cost,retail_price\nRose Mist,perfume,gucci,20,39\n";
+    await request(app).post("/api/products/import").set(as("clerk")).send({ data }).expect(403);
+
+    const dryRun = await request(app).post("/api/products/import").set(as("manager")).send({ data, dry_run: true }).expect(200);
+    assert.equal(dryRun.body.message, "Dry run: nothing was saved");
+    assert.equal(dryRun.body.created, 1);
+
+    const res = await request(app).post("/api/products/import").set(as("manager")).send({ data }).expect(200);
+    assert.equal(res.body.committed, true);
+  });
+
+  test("GET /api/products/export downloads CSV or JSON", async () => {
+    const csv = await request(app).get("/api/products/export?type=perfume&fields=name").set(as("viewer")).expect(200);
+    assert.match(csv.headers["content-type"], /text\/csv/);
+    assert.match(csv.headers["content-disposition"], /products\.csv/);
+    assert.match(csv.text, /Rose Mist/);
+
+    const json = await request(app).get("/api/products/export?format=json").set(as("viewer")).expect(200);
+    assert.ok(Array.isArray(json.body));
+  });
+});
+
+describe("sales and inventory", () => {
+  test("POST /api/sales records a sale for clerks", async () => {
+    const product_id = await productId("Shampoo Pro");
+    await request(app).post("/api/sales").set(as("viewer")).send({ product_id, quantity: 1 }).expect(403);
+    const res = await request(app).post("/api/sales").set(as("clerk")).send({ product_id, quantity: 3 }).expect(200);
+    assert.equal(res.body.sale.quantity, 3);
+
+    await request(app).post("/api/sales").set(as("clerk")).send({ product_id: 9999, quantity: 1 }).expect(404);
+  });
+
+  test("GET /api/sales lists sales", async () => {
+    const product_id = await productId("Shampoo Pro");
+    const res = await request(app).get(`/api/sales?product_id=${product_id}&limit=100`).set(as("viewer")).expect(200);
+    assert.equal(res.body.total_units, 15 * 7 + 3);
+  });
+
+  test("GET /api/sales/weekly reports the last 7 days", async () => {
+    const res = await request(app).get("/api/sales/weekly?type=perfume").set(as("viewer")).expect(200);
+    assert.equal(res.body.total_weekly_sales, (8 + 10) * 7);
+  });
+
+  test("GET /api/sales/trend groups sales by interval", async () => {
+    const res = await request(app).get("/api/sales/trend?interval=week").set(as("viewer")).expect(200);
+    assert.equal(res.body.interval, "week");
+    await request(app).get("/api/sales/trend?interval=year").set(as("viewer")).expect(400);
+  });
+
+  test("POST /api/inventory/receive adds stock for clerks", async () => {
+    const product_id = await productId("Gucci Bloom");
+    await request(app).post("/api/inventory/receive").set(as("viewer")).send({ product_id, quantity: 5 }).expect(403);
+    const before = await request(app).get(`/api/products/${product_id}`).set(as("clerk"));
+    const res = await request(app)
+      .post("/api/inventory/receive")
+      .set(as("clerk"))
+      .send({ product_id, quantity: 5 })
+      .expect(200);
+    assert.equal(res.body.product.quantity_on_hand, before.body.product.quantity_on_hand + 5);
+  });
+
+  test("suppliers and purchase orders", async () => {
+    await request(app).post("/api/suppliers").set(as("clerk")).send({ name: "Acme Beauty" }).expect(403);
+    const { body } = await request(app)
+      .post("/api/suppliers")
+      .set(as("manager"))
+      .send({ name: "Acme Beauty", lead_time_days: 3 })
+      .expect(200);
+    const supplierId = body.supplier.id;
+    const product_id = await productId("Moisturizer Daily");
+    await request(app)
+      .put(`/api/products/${product_id}/suppliers/${supplierId}`)
+      .set(as("manager"))
+      .send({ preferred: true })
+      .expect(200);
+    const suppliers = await request(app).get(`/api/products/${product_id}/suppliers`).set(as("viewer")).expect(200);
+    assert.equal(suppliers.body.suppliers[0].supplier_name, "Acme Beauty");
+
+    const created = await request(app)
+      .post("/api/purchase-orders")
+      .set(as("manager"))
+      .send({ supplier_id: supplierId, lines: [{ product_id, quantity: 12 }] })
+      .expect(200);
+    const orderId = created.body.purchase_order.id;
+    await request(app).post(`/api/purchase-orders/${orderId}/send`).set(as("clerk")).expect(403);
+    const sent = await request(app).post(`/api/purchase-orders/${orderId}/send`).set(as("manager")).expect(200);
+    assert.ok(sent.body.purchase_order.expected_at);
+
+    const received = await request(app)
+      .post(`/api/purchase-orders/${orderId}/receive`)
+      .set(as("clerk"))
+      .send({ lines: [{ product_id, quantity: 2 }] })
+      .expect(200);
+    assert.equal(received.body.purchase_order.status, "partially_received");
+    await request(app).post(`/api/purchase-orders/${orderId}/cancel`).set(as("manager")).expect(200);
+
+    const listed = await request(app).get(`/api/purchase-orders?supplier_id=${supplierId}`).set(as("viewer")).expect(200);
+    assert.deepEqual(
+      listed.body.purchase_orders.map((order) => order.status),
+      ["cancelled"]
+    );
+    await request(app).get("/api/purchase-orders/9999").set(as("viewer")).expect(404);
+  });
+
+  test("GET /api/inventory/low-stock lists products running low", async () => {
+    const res = await request(app).get("/api/inventory/low-stock?days=30").set(as("viewer")).expect(200);
+    assert.equal(res.body.days, 30);
+    assert.ok(res.body.count > 0);
+  });
+
+  test("GET /api/inventory/forecast forecasts demand", async () => {
+    const res = await request(app).get("/api/inventory/forecast?days=14&type=hair").set(as("viewer")).expect(200);
+    assert.equal(res.body.days, 14);
+    assert.ok(res.body.products.every((product) => product.type === "hair"));
+  });
+
+  test("GET /api/costs/average averages by type", async () => {
+    const res = await request(app).get("/api/costs/average").set(as("viewer")).expect(200);
+    assert.deepEqual(res.body.average_costs_by_type.map((row) => row.type).sort(), ["hair", "perfume", "skin"]);
+  });
+
+  test("POST /api/query answers a sales question", async () => {
+    const res = await request(app).post("/api/query").set(as("viewer")).send({ question: "weekly hair sales" }).expect(200);
+    assert.equal(res.body.interpreted.period, "week");
+    assert.deepEqual(res.body.interpreted.scope, { type: "hair" });
+    assert.equal(res.body.items.length, 2);
+    assert.equal(res.body.totals.sales, 15 * 7 + 3 + 12 * 7);
+    assert.match(res.body.summary, /^2 products \(Hair\) sold 192 units a week/);
+
+    await request(app).post("/api/query").set(as("viewer")).send({ question: "" }).expect(400);
+    await request(app).post("/api/query").set(as("viewer")).send({ question: 42 }).expect(400);
+  });
+
+  test("POST /api/sql runs a SELECT for managers", async () => {
+    const sql = "SELECT name FROM products ORDER BY name";
+    await request(app).post("/api/sql").set(as("clerk")).send({ sql }).expect(403);
+    const res = await request(app).post("/api/sql").set(as("manager")).send({ sql, limit: 2 }).expect(200);
+    assert.deepEqual(res.body.columns, ["name"]);
+    assert.equal(res.body.truncated, true);
+
+    const rejected = await request(app).post("/api/sql").set(as("manager")).send({ sql: "DROP TABLE sales" }).expect(400);
+    assert.equal(rejected.body.error, "Only SELECT statements are allowed");
+  });
+
+  test("customers and their purchases", async () => {
+    await request(app).post("/api/customers").set(as("viewer")).send({ name: "Lee Chan" }).expect(403);
+    const created = await request(app)
+      .post("/api/customers")
+      .set(as("clerk"))
+      .send({ name: "Lee Chan", email: "lee@example.test" })
+      .expect(200);
+    const customerId = created.body.customer.id;
+    const updated = await request(app)
+      .put(`/api/customers/${customerId}`)
+      .set(as("clerk"))
+      .send({ sms_consent: true })
+      .expect(200);
+    assert.equal(updated.body.customer.sms_consent, true);
+
+    const product_id = await productId("Moisturizer Daily");
+    await request(app).post("/api/sales").set(as("clerk")).send({ product_id, quantity: 1, customer_id: customerId }).expect(200);
+
+    const found = await request(app).get("/api/customers?search=chan").set(as("viewer")).expect(200);
+    assert.deepEqual(
+      found.body.customers.map((customer) => customer.lifetime_value),
+      [24.99]
+    );
+    const purchases = await request(app).get(`/api/customers/${customerId}/purchases`).set(as("viewer")).expect(200);
+    assert.equal(purchases.body.count, 1);
+    const top = await request(app).get("/api/customers/top?type=skin&by=units").set(as("viewer")).expect(200);
+    assert.equal(top.body.customers[0].name, "Lee Chan");
+    await request(app).get("/api/customers/top?by=visits").set(as("viewer")).expect(400);
+    await request(app).get("/api/customers/9999").set(as("viewer")).expect(404);
+  });
+});
+
+describe("product types and categories", () => {
+  test("GET /api/types lists types", async () => {
+    const res = await request(app).get("/api/types").set(as("viewer")).expect(200);
+    assert.deepEqual(res.body.product_types.map((type) => type.name).sort(), ["hair", "perfume", "skin"]);
+  });
+
+  test("POST /api/types, PUT /api/types/:name and retire", async () => {
+    await request(app).post("/api/types").set(as("clerk")).send({ name: "nail_care" }).expect(403);
+    await request(app).post("/api/types").set(as("manager")).send({ name: "nail_care" }).expect(200);
+    const renamed = await request(app).put("/api/types/nail_care").set(as("manager")).send({ label: "Nails" }).expect(200);
+    assert.equal(renamed.body.product_type.label, "Nails");
+    await request(app).post("/api/types/nail_care/retire").set(as("manager")).expect(200);
+  });
+
+  test("GET /api/categories lists a type's categories", async () => {
+    const res = await request(app).get("/api/categories?type=perfume").set(as("viewer")).expect(200);
+    assert.deepEqual(res.body.categories.map((category) => category.name).sort(), ["gucci", "victoria_secret"]);
+  });
+
+  test("POST /api/categories, PUT /api/categories/:type/:name and retire", async () => {
+    await request(app).post("/api/categories").set(as("manager")).send({ type: "skin", name: "sunscreen" }).expect(200);
+    const renamed = await request(app)
+      .put("/api/categories/skin/sunscreen")
+      .set(as("manager"))
+      .send({ new_name: "sun_care" })
+      .expect(200);
+    assert.equal(renamed.body.category.name, "sun_care");
+    await request(app).post("/api/categories/skin/sun_care/retire").set(as("manager")).expect(200);
+    await request(app).post("/api/categories/skin/sun_care/retire").set(as("manager")).expect(400);
+  });
+});
+
+describe("dashboard", () => {
+  test("GET / serves the dashboard page", async () => {
+    const res = await request(app).get("/").expect(200);
+    assert.match(res.headers["content-type"], /text\/html/);
+    assert.match(res.text, /<html/i);
+  });
+});
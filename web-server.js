@@ -1,352 +1,777 @@
 #!/usr/bin/env node
 
+import fs from "fs";
 import express from "express";
-import sqlite3 from "sqlite3";
-import { promisify } from "util";
 import path from "path";
 import { fileURLToPath } from "url";
 import bodyParser from "body-parser";
+import { getConfig } from "./src/config.js";
+import { log } from "./src/log.js";
+import { prepareDatabase } from "./src/seed.js";
+import { validateArgs, coerceStrings } from "./src/validation.js";
+import {
+  listProducts,
+  getProduct,
+  selectFields,
+  getWeeklySales,
+  getAverageCostByType,
+  addProduct,
+  updateProduct,
+  archiveProduct,
+  restoreProduct,
+  purgeProduct,
+} from "./src/products.js";
+import { recordSale, getSales } from "./src/sales.js";
+import { receiveStock, getLowStock } from "./src/inventory.js";
+import {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  getCustomerPurchases,
+  getTopCustomers,
+} from "./src/customers.js";
+import {
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  getProductSuppliers,
+  setProductSupplier,
+  removeProductSupplier,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  draftRestockOrders,
+} from "./src/purchasing.js";
+import { getSalesTrend } from "./src/trends.js";
+import { forecastDemand } from "./src/forecast.js";
+import { searchProducts } from "./src/search.js";
+import { importProducts, exportProducts } from "./src/catalog.js";
+import { withAuditSource, getProductHistory, getAuditLog } from "./src/audit.js";
+import {
+  hasRole,
+  login,
+  logout,
+  getSessionUser,
+  countUsers,
+  setupFirstManager,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+} from "./src/auth.js";
+import { AuthenticationError, ForbiddenError } from "./src/errors.js";
+import { createServer } from "./src/server.js";
+import { createMcpRouter, requireMcpToken } from "./src/mcp-http.js";
+import { loadPolicy } from "./src/policy.js";
+import {
+  listProductTypes,
+  createProductType,
+  renameProductType,
+  retireProductType,
+  listCategories,
+  createCategory,
+  renameCategory,
+  retireCategory,
+} from "./src/taxonomy.js";
+import { answerSalesQuery } from "./src/nlq.js";
+import { runReadOnlyQuery } from "./src/sql.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-const PORT = 3000;
+export const app = express();
 
 // Middleware
-app.use(bodyParser.json());
+app.use((req, res, next) => {
+  log.debug(`${req.method} ${req.originalUrl}`);
+  next();
+});
+// Large enough for a catalog import (POST /api/products/import)
+app.use(bodyParser.json({ limit: "10mb" }));
 app.use(express.static(path.join(__dirname, "public")));
 
-// Initialize database
-const dbPath = path.join(__dirname, "shop.db");
-const db = new sqlite3.Database(dbPath);
+// Errors from the data-access layer carry their own status code
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message, details: error.details });
+}
+
+const SESSION_COOKIE = "shop_session";
+
+// The session token from an "Authorization: Bearer" header (API clients) or
+// from the session cookie (the dashboard)
+function sessionToken(req) {
+  const bearer = req.get("Authorization")?.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+
+  const cookie = (req.get("Cookie") || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+function setSessionCookie(res, { token, expires_at }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "strict",
+    expires: new Date(`${expires_at.replace(" ", "T")}Z`),
+  });
+}
+
+// Every API request carries the signed-in user as req.user, or null.
+// Routes check the role they need with requireRole.
+app.use("/api", async (req, res, next) => {
+  try {
+    req.user = await getSessionUser(sessionToken(req));
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Let a request through only for a signed-in user whose role includes
+// `role` (see src/auth.js)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, new AuthenticationError());
+    }
+    if (!hasRole(req.user, role)) {
+      return sendError(res, new ForbiddenError(`This needs the ${role} role; ${req.user.username} is a ${req.user.role}`));
+    }
+    next();
+  };
+}
+
+// Product changes are audited with the signed-in user, as coming from the
+// dashboard when it says so with an X-Client header, and from the REST API
+// otherwise
+app.use("/api", (req, res, next) => {
+  const source = req.get("X-Client") === "dashboard" ? "ui" : "rest";
+  withAuditSource(
+    { source, operation: `${req.method} ${req.originalUrl.split("?")[0]}`, username: req.user?.username },
+    next
+  );
+});
 
-// Promisify database methods
-const dbRun = promisify(db.run.bind(db));
-const dbGet = promisify(db.get.bind(db));
-const dbAll = promisify(db.all.bind(db));
+// Validate a request against the named tool's inputSchema (src/schemas.js)
+// and expose the checked arguments as req.args. Query strings and path
+// parameters are strings, so they are coerced first; JSON bodies are not.
+function validate(toolName) {
+  return async (req, res, next) => {
+    try {
+      req.args = await validateArgs(toolName, {
+        ...coerceStrings(toolName, req.query),
+        ...req.body,
+        ...coerceStrings(toolName, req.params),
+      });
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
 
 // API Routes
 
-// Simple NLQ parsing helper
-function parseSalesQuery(query) {
-  const q = String(query || "").toLowerCase().trim();
-  if (!q) return { error: "Empty query" };
-
-  // Determine time window
-  let period = "day"; // default per-day
-  if (q.includes("week") || q.includes("weekly") || q.includes("this week")) period = "week";
-  if (q.includes("today")) period = "day";
-  if (q.includes("per day") || q.includes("daily")) period = "day";
-
-  // Determine product scope
-  // Try matching type keywords first
-  if (q.includes("hair")) return { period, scope: { type: "hair" } };
-  if (q.includes("perfume")) return { period, scope: { type: "perfume" } };
-  if (q.includes("skin")) return { period, scope: { type: "skin" } };
-
-  // Category keywords
-  const categoryMap = [
-    "shampoo",
-    "conditioner",
-    "gucci",
-    "victoria secret",
-    "victoria_secret",
-    "body lotion",
-    "body_lotion",
-    "moisturizer",
-  ];
-  for (const cat of categoryMap) {
-    if (q.includes(cat)) {
-      // normalize to db category format (underscores)
-      const category = cat.replace(/\s+/g, "_");
-      return { period, scope: { category } };
+// Settings the dashboard needs before anyone signs in
+app.get("/api/config", (req, res) => {
+  res.json({ success: true, currency: getConfig().currency });
+});
+
+// The signed-in user. When nobody is signed in, needs_setup says whether
+// there are no accounts yet, so the first manager has to be created.
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    if (req.user) {
+      return res.json({ success: true, user: req.user });
     }
+    res.status(401).json({ success: false, error: "Sign in required", needs_setup: (await countUsers()) === 0 });
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  // Otherwise, use any remaining word as name contains
-  // Extract likely product name token(s)
-  const nameHint = q
-    .replace(/sales|sale|revenue|for|of|what|show|get|how\s+many|how\s+much|today|weekly|this\s+week|per\s+day/gi, "")
-    .trim();
-  if (nameHint) return { period, scope: { name: nameHint } };
+// Sign in. The session is set as a cookie for the dashboard; API clients
+// can send the returned token as "Authorization: Bearer <token>".
+app.post("/api/auth/login", validate("login"), async (req, res) => {
+  try {
+    const session = await login(req.args);
+    setSessionCookie(res, session);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-  return { period, scope: {} };
-}
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const token = sessionToken(req);
+    if (token) await logout(token);
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true, message: "Signed out" });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-// Natural language sales query
-app.post("/api/query", async (req, res) => {
+// Create the first manager account on a new install, and sign in as it
+app.post("/api/auth/setup", validate("setup"), async (req, res) => {
   try {
-    const { question } = req.body || {};
-    const parsed = parseSalesQuery(question);
-    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+    await setupFirstManager(req.args);
+    const session = await login(req.args);
+    setSessionCookie(res, session);
+    res.json({ success: true, message: "Manager account created", ...session });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const { period, scope } = parsed;
+// List user accounts
+app.get("/api/users", requireRole("manager"), validate("list_users"), async (req, res) => {
+  try {
+    const users = await listUsers();
+    res.json({ success: true, count: users.length, users });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    let where = "WHERE 1=1";
-    const params = [];
-    if (scope.type) {
-      where += " AND type = ?";
-      params.push(scope.type);
-    }
-    if (scope.category) {
-      where += " AND category = ?";
-      params.push(scope.category);
-    }
-    if (scope.name) {
-      where += " AND name LIKE ?";
-      params.push(`%${scope.name}%`);
-    }
+// Add a user account
+app.post("/api/users", requireRole("manager"), validate("create_user"), async (req, res) => {
+  try {
+    const user = await createUser(req.args);
+    res.json({ success: true, message: "User created successfully", user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    // Base select
-    let select = `
-      SELECT id, name, type, category, cost, sales_per_day
-      FROM products
-      ${where}
-      ORDER BY name
-    `;
-
-    const products = await dbAll(select, params);
-
-    // Compute metrics based on period
-    const results = products.map(p => {
-      const daily = p.sales_per_day;
-      const weekly = daily * 7;
-      const sales = period === "week" ? weekly : daily;
-      const revenue = sales * p.cost;
-      return {
-        id: p.id,
-        name: p.name,
-        type: p.type,
-        category: p.category,
-        cost: p.cost,
-        sales,
-        revenue,
-        period,
-      };
-    });
+// Change a user's role or password
+app.put("/api/users/:username", requireRole("manager"), validate("update_user"), async (req, res) => {
+  try {
+    const user = await updateUser(req.args);
+    res.json({ success: true, message: "User updated successfully", user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove a user account and sign it out
+app.delete("/api/users/:username", requireRole("manager"), validate("delete_user"), async (req, res) => {
+  try {
+    const user = await deleteUser(req.args);
+    res.json({ success: true, message: "User deleted successfully", user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Natural language sales query, answered as by the ask_sales tool (see
+// src/nlq.js)
+app.post("/api/query", requireRole("viewer"), validate("ask_sales"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await answerSalesQuery(req.args.question)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Ad-hoc SELECT statements (see src/sql.js). Managers only, as a query can
+// read everything the role-limited routes hand out piecemeal, the audit log
+// included.
+app.post("/api/sql", requireRole("manager"), validate("run_readonly_query"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await runReadOnlyQuery(req.args)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List products, one page at a time
+app.get("/api/products", requireRole("viewer"), validate("get_products"), async (req, res) => {
+  try {
+    const page = await listProducts(req.args);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const totalSales = results.reduce((s, r) => s + r.sales, 0);
-    const totalRevenue = results.reduce((s, r) => s + r.revenue, 0);
+// Ranked, typo-tolerant product search
+app.get("/api/search", requireRole("viewer"), validate("search_products"), async (req, res) => {
+  try {
+    const results = await searchProducts(req.args);
+    res.json({ success: true, ...results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
+// Import products from CSV or JSON; dry_run previews without saving
+app.post("/api/products/import", requireRole("manager"), validate("import_products"), async (req, res) => {
+  try {
+    const report = await importProducts(req.args);
     res.json({
       success: true,
-      interpreted: { period, scope },
-      totals: { sales: totalSales, revenue: totalRevenue },
-      items: results,
+      message: report.dry_run ? "Dry run: nothing was saved" : "Products imported successfully",
+      ...report,
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get all products
-app.get("/api/products", async (req, res) => {
+// Download products as a CSV or JSON file
+app.get("/api/products/export", requireRole("viewer"), validate("export_products"), async (req, res) => {
   try {
-    const { name, type, category } = req.query;
-    let query = "SELECT * FROM products WHERE 1=1";
-    const params = [];
-
-    if (name) {
-      query += " AND name LIKE ?";
-      params.push(`%${name}%`);
-    }
-    if (type) {
-      query += " AND type = ?";
-      params.push(type);
-    }
-    if (category) {
-      query += " AND category = ?";
-      params.push(category);
+    const { format, data } = await exportProducts(req.args);
+    res.attachment(`products.${format}`);
+    if (format === "csv") {
+      res.type("text/csv").send(data);
+    } else {
+      res.json(data);
     }
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get one product
+app.get("/api/products/:id", requireRole("viewer"), validate("get_product"), async (req, res) => {
+  try {
+    const product = await getProduct(req.args.id);
+    res.json({ success: true, product: selectFields(product, req.args.fields) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    query += " ORDER BY name";
+// Every recorded change to one product
+app.get("/api/products/:product_id/history", requireRole("manager"), validate("get_product_history"), async (req, res) => {
+  try {
+    const history = await getProductHistory(req.args);
+    res.json({ success: true, ...history });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const products = await dbAll(query, params);
-    res.json({ success: true, count: products.length, products });
+// Product changes across the catalog, filtered
+app.get("/api/audit", requireRole("manager"), validate("get_audit_log"), async (req, res) => {
+  try {
+    const log = await getAuditLog(req.args);
+    res.json({ success: true, ...log });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
 // Get weekly sales
-app.get("/api/sales/weekly", async (req, res) => {
-  try {
-    const { type, product_id } = req.query;
-    let query;
-    let params = [];
-
-    if (product_id) {
-      query = `
-        SELECT 
-          id, name, type, category, sales_per_day,
-          (sales_per_day * 7) as weekly_sales,
-          cost,
-          (sales_per_day * 7 * cost) as weekly_revenue
-        FROM products 
-        WHERE id = ?
-      `;
-      params = [product_id];
-    } else if (type) {
-      query = `
-        SELECT 
-          id, name, type, category, sales_per_day,
-          (sales_per_day * 7) as weekly_sales,
-          cost,
-          (sales_per_day * 7 * cost) as weekly_revenue
-        FROM products 
-        WHERE type = ?
-        ORDER BY weekly_sales DESC
-      `;
-      params = [type];
-    } else {
-      query = `
-        SELECT 
-          id, name, type, category, sales_per_day,
-          (sales_per_day * 7) as weekly_sales,
-          cost,
-          (sales_per_day * 7 * cost) as weekly_revenue
-        FROM products 
-        ORDER BY weekly_sales DESC
-      `;
-    }
+app.get("/api/sales/weekly", requireRole("viewer"), validate("get_weekly_sales"), async (req, res) => {
+  try {
+    const sales = await getWeeklySales(req.args);
+    res.json({ success: true, ...sales });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const sales = await dbAll(query, params);
-    const totalWeeklySales = sales.reduce((sum, item) => sum + item.weekly_sales, 0);
-    const totalWeeklyRevenue = sales.reduce((sum, item) => sum + item.weekly_revenue, 0);
+// Sales per day, week or month, with period-over-period change
+app.get("/api/sales/trend", requireRole("viewer"), validate("get_sales_trend"), async (req, res) => {
+  try {
+    const trend = await getSalesTrend(req.args);
+    res.json({ success: true, ...trend });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    res.json({
-      success: true,
-      total_weekly_sales: totalWeeklySales,
-      total_weekly_revenue: totalWeeklyRevenue,
-      products: sales,
-    });
+// List recorded sales
+app.get("/api/sales", requireRole("viewer"), validate("get_sales"), async (req, res) => {
+  try {
+    const sales = await getSales(req.args);
+    res.json({ success: true, ...sales });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get average costs by type
-app.get("/api/costs/average", async (req, res) => {
-  try {
-    const query = `
-      SELECT 
-        type,
-        COUNT(*) as product_count,
-        AVG(cost) as avg_cost,
-        MIN(cost) as min_cost,
-        MAX(cost) as max_cost,
-        SUM(sales_per_day) as total_daily_sales
-      FROM products
-      GROUP BY type
-      ORDER BY type
-    `;
-
-    const results = await dbAll(query);
-    res.json({ success: true, average_costs_by_type: results });
+// Record a sale
+app.post("/api/sales", requireRole("clerk"), validate("record_sale"), async (req, res) => {
+  try {
+    const sale = await recordSale(req.args);
+    res.json({ success: true, message: "Sale recorded successfully", sale });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Add product
-app.post("/api/products", async (req, res) => {
+// Products that need reordering
+app.get("/api/inventory/low-stock", requireRole("viewer"), validate("get_low_stock"), async (req, res) => {
   try {
-    const { name, type, category, cost, sales_per_day } = req.body;
+    const lowStock = await getLowStock(req.args);
+    res.json({ success: true, ...lowStock });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    if (!name || !type || !category || cost === undefined || sales_per_day === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: name, type, category, cost, sales_per_day",
-      });
-    }
+// Forecast demand and suggest order quantities
+app.get("/api/inventory/forecast", requireRole("viewer"), validate("forecast_demand"), async (req, res) => {
+  try {
+    const forecast = await forecastDemand(req.args);
+    res.json({ success: true, ...forecast });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    await dbRun(
-      `INSERT INTO products (name, type, category, cost, sales_per_day)
-       VALUES (?, ?, ?, ?, ?)`,
-      [name, type, category, cost, sales_per_day]
-    );
+// Receive goods into stock
+app.post("/api/inventory/receive", requireRole("clerk"), validate("receive_stock"), async (req, res) => {
+  try {
+    const product = await receiveStock(req.args);
+    res.json({ success: true, message: "Stock received successfully", product });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const newProduct = await dbGet(
-      "SELECT * FROM products WHERE id = last_insert_rowid()"
-    );
+// Suppliers (see src/purchasing.js)
+app.get("/api/suppliers", requireRole("viewer"), validate("get_suppliers"), async (req, res) => {
+  try {
+    const suppliers = await listSuppliers();
+    res.json({ success: true, count: suppliers.length, suppliers });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    res.json({ success: true, message: "Product added successfully", product: newProduct });
+app.get("/api/suppliers/:id", requireRole("viewer"), validate("get_supplier"), async (req, res) => {
+  try {
+    res.json({ success: true, supplier: await getSupplier(req.args.id) });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Update product
-app.put("/api/products/:id", async (req, res) => {
+app.post("/api/suppliers", requireRole("manager"), validate("create_supplier"), async (req, res) => {
+  try {
+    const supplier = await createSupplier(req.args);
+    res.json({ success: true, message: "Supplier created successfully", supplier });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put("/api/suppliers/:id", requireRole("manager"), validate("update_supplier"), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const { id, ...updates } = req.args;
+    const supplier = await updateSupplier(id, updates);
+    res.json({ success: true, message: "Supplier updated successfully", supplier });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const fields = [];
-    const values = [];
+// A product's suppliers, and linking or unlinking one
+app.get("/api/products/:product_id/suppliers", requireRole("viewer"), validate("get_product_suppliers"), async (req, res) => {
+  try {
+    const suppliers = await getProductSuppliers(req.args.product_id);
+    res.json({ success: true, count: suppliers.length, suppliers });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    if (updates.name !== undefined) {
-      fields.push("name = ?");
-      values.push(updates.name);
+app.put(
+  "/api/products/:product_id/suppliers/:supplier_id",
+  requireRole("manager"),
+  validate("set_product_supplier"),
+  async (req, res) => {
+    try {
+      const link = await setProductSupplier(req.args);
+      res.json({ success: true, message: "Product supplier saved successfully", product_supplier: link });
+    } catch (error) {
+      sendError(res, error);
     }
-    if (updates.type !== undefined) {
-      fields.push("type = ?");
-      values.push(updates.type);
-    }
-    if (updates.category !== undefined) {
-      fields.push("category = ?");
-      values.push(updates.category);
-    }
-    if (updates.cost !== undefined) {
-      fields.push("cost = ?");
-      values.push(updates.cost);
-    }
-    if (updates.sales_per_day !== undefined) {
-      fields.push("sales_per_day = ?");
-      values.push(updates.sales_per_day);
+  }
+);
+
+app.delete(
+  "/api/products/:product_id/suppliers/:supplier_id",
+  requireRole("manager"),
+  validate("remove_product_supplier"),
+  async (req, res) => {
+    try {
+      await removeProductSupplier(req.args);
+      res.json({ success: true, message: "Product supplier removed successfully", ...req.args });
+    } catch (error) {
+      sendError(res, error);
     }
+  }
+);
 
-    if (fields.length === 0) {
-      return res.status(400).json({ success: false, error: "No fields to update" });
-    }
+// Purchase orders. Clerks receive deliveries, as they receive stock;
+// managers place and cancel orders.
+app.get("/api/purchase-orders", requireRole("viewer"), validate("get_purchase_orders"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await listPurchaseOrders(req.args)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get("/api/purchase-orders/:id", requireRole("viewer"), validate("get_purchase_order"), async (req, res) => {
+  try {
+    res.json({ success: true, purchase_order: await getPurchaseOrder(req.args.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    fields.push("updated_at = CURRENT_TIMESTAMP");
-    values.push(id);
+app.post("/api/purchase-orders", requireRole("manager"), validate("create_purchase_order"), async (req, res) => {
+  try {
+    const order = await createPurchaseOrder(req.args);
+    res.json({ success: true, message: "Purchase order drafted successfully", purchase_order: order });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    await dbRun(
-      `UPDATE products SET ${fields.join(", ")} WHERE id = ?`,
-      values
-    );
+app.post("/api/purchase-orders/restock", requireRole("manager"), validate("draft_restock_orders"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await draftRestockOrders(req.args)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const updatedProduct = await dbGet("SELECT * FROM products WHERE id = ?", [id]);
+app.post("/api/purchase-orders/:id/send", requireRole("manager"), validate("send_purchase_order"), async (req, res) => {
+  try {
+    const order = await sendPurchaseOrder(req.args.id);
+    res.json({ success: true, message: "Purchase order marked as sent", purchase_order: order });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    if (!updatedProduct) {
-      return res.status(404).json({ success: false, error: "Product not found" });
-    }
+app.post("/api/purchase-orders/:id/receive", requireRole("clerk"), validate("receive_purchase_order"), async (req, res) => {
+  try {
+    const receipt = await receivePurchaseOrder(req.args);
+    res.json({ success: true, message: "Goods received successfully", ...receipt });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post("/api/purchase-orders/:id/cancel", requireRole("manager"), validate("cancel_purchase_order"), async (req, res) => {
+  try {
+    const order = await cancelPurchaseOrder(req.args.id);
+    res.json({ success: true, message: "Purchase order cancelled", purchase_order: order });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Customers (see src/customers.js). Clerks add customers and correct their
+// details at the till, as they record their sales.
+app.get("/api/customers", requireRole("viewer"), validate("get_customers"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await listCustomers(req.args)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get("/api/customers/top", requireRole("viewer"), validate("get_top_customers"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getTopCustomers(req.args)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get("/api/customers/:id", requireRole("viewer"), validate("get_customer"), async (req, res) => {
+  try {
+    res.json({ success: true, customer: await getCustomer(req.args.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get("/api/customers/:id/purchases", requireRole("viewer"), validate("get_customer_purchases"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getCustomerPurchases(req.args)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post("/api/customers", requireRole("clerk"), validate("create_customer"), async (req, res) => {
+  try {
+    const customer = await createCustomer(req.args);
+    res.json({ success: true, message: "Customer created successfully", customer });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put("/api/customers/:id", requireRole("clerk"), validate("update_customer"), async (req, res) => {
+  try {
+    const { id, ...updates } = req.args;
+    const customer = await updateCustomer(id, updates);
+    res.json({ success: true, message: "Customer updated successfully", customer });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get average costs by type
+app.get("/api/costs/average", requireRole("viewer"), validate("get_avg_cost_by_type"), async (req, res) => {
+  try {
+    const results = await getAverageCostByType(req.args);
+    res.json({ success: true, average_costs_by_type: results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add product
+app.post("/api/products", requireRole("manager"), validate("add_product"), async (req, res) => {
+  try {
+    const newProduct = await addProduct(req.args);
+    res.json({ success: true, message: "Product added successfully", product: newProduct });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
+// Update product
+app.put("/api/products/:id", requireRole("manager"), validate("update_product"), async (req, res) => {
+  try {
+    const { id, ...updates } = req.args;
+    const updatedProduct = await updateProduct(id, updates);
     res.json({ success: true, message: "Product updated successfully", product: updatedProduct });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Delete product
-app.delete("/api/products/:id", async (req, res) => {
+// Delete (archive) product
+app.delete("/api/products/:id", requireRole("manager"), validate("delete_product"), async (req, res) => {
   try {
-    const { id } = req.params;
+    const product = await archiveProduct(req.args.id);
+    res.json({ success: true, message: "Product archived successfully", deleted_product: product });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    const product = await dbGet("SELECT * FROM products WHERE id = ?", [id]);
+// Bring back an archived product
+app.post("/api/products/:id/restore", requireRole("manager"), validate("restore_product"), async (req, res) => {
+  try {
+    const product = await restoreProduct(req.args.id);
+    res.json({ success: true, message: "Product restored successfully", product });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    if (!product) {
-      return res.status(404).json({ success: false, error: "Product not found" });
-    }
+// Permanently remove an archived product
+app.post("/api/products/:id/purge", requireRole("manager"), validate("purge_product"), async (req, res) => {
+  try {
+    const product = await purgeProduct(req.args.id);
+    res.json({ success: true, message: "Product permanently removed", purged_product: product });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    await dbRun("DELETE FROM products WHERE id = ?", [id]);
+// List product types
+app.get("/api/types", requireRole("viewer"), validate("list_product_types"), async (req, res) => {
+  try {
+    const types = await listProductTypes(req.args);
+    res.json({ success: true, count: types.length, product_types: types });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    res.json({ success: true, message: "Product deleted successfully", deleted_product: product });
+// Create a product type
+app.post("/api/types", requireRole("manager"), validate("create_product_type"), async (req, res) => {
+  try {
+    const type = await createProductType(req.args);
+    res.json({ success: true, message: "Product type created successfully", product_type: type });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Rename or relabel a product type
+app.put("/api/types/:name", requireRole("manager"), validate("rename_product_type"), async (req, res) => {
+  try {
+    const type = await renameProductType(req.args);
+    res.json({ success: true, message: "Product type updated successfully", product_type: type });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Retire a product type
+app.post("/api/types/:name/retire", requireRole("manager"), validate("retire_product_type"), async (req, res) => {
+  try {
+    const type = await retireProductType(req.args);
+    res.json({ success: true, message: "Product type retired successfully", product_type: type });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List categories
+app.get("/api/categories", requireRole("viewer"), validate("list_categories"), async (req, res) => {
+  try {
+    const categories = await listCategories(req.args);
+    res.json({ success: true, count: categories.length, categories });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create a category
+app.post("/api/categories", requireRole("manager"), validate("create_category"), async (req, res) => {
+  try {
+    const category = await createCategory(req.args);
+    res.json({ success: true, message: "Category created successfully", category });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Rename or relabel a category
+app.put("/api/categories/:type/:name", requireRole("manager"), validate("rename_category"), async (req, res) => {
+  try {
+    const category = await renameCategory(req.args);
+    res.json({ success: true, message: "Category updated successfully", category });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Retire a category
+app.post("/api/categories/:type/:name/retire", requireRole("manager"), validate("retire_category"), async (req, res) => {
+  try {
+    const category = await retireCategory(req.args);
+    res.json({ success: true, message: "Category retired successfully", category });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -355,9 +780,35 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+// With --mcp, also serve the MCP server's tools at /mcp over the Streamable
+// HTTP transport, under the same policy and mcp_token as
+// `src/server.js --http`. MCP clients don't sign in as web users.
+async function mountMcp(config, token) {
+  const policy = await loadPolicy({ readOnly: process.argv.includes("--read-only") });
+  app.use("/mcp", createMcpRouter(() => createServer({ policy }), { token }));
+  log.info(`🔌 MCP endpoint at http://localhost:${config.web_port}/mcp`);
+}
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Shop Manager UI running at http://localhost:${PORT}`);
-  console.log(`📊 Open your browser and navigate to http://localhost:${PORT}`);
-});
+async function main() {
+  const config = getConfig();
+  const mcp = process.argv.includes("--mcp");
+  const token = mcp ? requireMcpToken(config, "--mcp") : null;
+  await prepareDatabase();
+  if (mcp) {
+    await mountMcp(config, token);
+  }
+  app.listen(config.web_port, () => {
+    log.info(`🚀 Shop Manager UI running at http://localhost:${config.web_port}, database ${config.db_path}`);
+    log.info(`📊 Open your browser and navigate to http://localhost:${config.web_port}`);
+  });
+}
+
+// Only start when run directly, not when imported by the tests
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
 